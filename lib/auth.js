@@ -0,0 +1,163 @@
+// ═══════════════════════════════════════════════════════════
+// ADMIN-AUTH – Schutz für Operator-Endpoints
+// ═══════════════════════════════════════════════════════════
+// Gilt für /api/stats, /api/wa/broadcast, /api/recipes (NICHT für /api/chat & Co.)
+//
+// Zwei Varianten (beide per ENV konfiguriert):
+//
+// 1. HMAC-Signatur (WordPress-Plugin, empfohlen) – ENV ADMIN_SECRET
+//    X-MDR-Timestamp: Unix-Sekunden
+//    X-MDR-Signature: sha256=<hex>
+//    Signiert wird: `${timestamp}.${METHOD}.${pfad+query}.${rawBody}`
+//    → Timestamp max ±5 Min alt, jede Signatur nur EINMAL gültig (Replay-Schutz)
+//
+// 2. Shared Secret (curl, Dashboard) – ENV ADMIN_TOKEN
+//    Authorization: Bearer <ADMIN_TOKEN>
+//
+// Antworten:
+//   401 → Keine Zugangsdaten mitgeschickt
+//   403 → Zugangsdaten falsch, Signatur abgelaufen/wiederverwendet, oder Auth nicht konfiguriert
+
+const crypto = require('crypto');
+
+const MAX_SKEW = 5 * 60;  // Sekunden Toleranz für X-MDR-Timestamp
+
+/**
+ * Konstanter Zeitvergleich (verhindert Timing-Angriffe auf Secrets)
+ */
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * HMAC-SHA256 als "sha256=<hex>" (gleiches Format wie Meta X-Hub-Signature-256)
+ */
+function sign(secret, payload) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Signatur-Payload für Operator-Requests
+ */
+function signedPayload(timestamp, req) {
+  const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+  return `${timestamp}.${req.method.toUpperCase()}.${req.originalUrl}.${body}`;
+}
+
+/**
+ * HMAC-Prüfer mit Replay-Cache erzeugen.
+ * verify(req) → null (ok) ODER { status, detail }
+ */
+function createSignatureVerifier(secret) {
+  const seen = new Map(); // Signatur → Ablauf (ms)
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [sig, exp] of seen) if (exp < now) seen.delete(sig);
+  }, 60 * 1000).unref();
+
+  return function verify(req) {
+    const timestamp = req.headers['x-mdr-timestamp'];
+    const signature = req.headers['x-mdr-signature'];
+    if (!timestamp || !signature) return { status: 401, detail: 'missing signature headers' };
+
+    const ts = parseInt(timestamp, 10);
+    if (!ts || Math.abs(Date.now() / 1000 - ts) > MAX_SKEW) {
+      return { status: 403, detail: 'timestamp expired' };
+    }
+    if (!safeEqual(signature, sign(secret, signedPayload(ts, req)))) {
+      return { status: 403, detail: 'invalid signature' };
+    }
+    if (seen.has(signature)) return { status: 403, detail: 'replayed request' };
+    seen.set(signature, Date.now() + MAX_SKEW * 2 * 1000);
+    return null;
+  };
+}
+
+/**
+ * Express-Middleware für Operator-Routen
+ * { secret: ADMIN_SECRET, token: ADMIN_TOKEN }
+ */
+function createAdminAuth({ secret, token }) {
+  const verifySignature = secret ? createSignatureVerifier(secret) : null;
+
+  return function requireAdmin(req, res, next) {
+    const deny = (status, detail) => {
+      console.warn(`[Auth] ${status} ${req.method} ${req.originalUrl} – ${detail}`);
+      if (status === 401) res.set('WWW-Authenticate', 'Bearer realm="mdr-admin"');
+      return res.status(status).json({ error: status === 401 ? 'Unauthorized' : 'Forbidden', detail });
+    };
+
+    if (!secret && !token) return deny(403, 'admin authentication not configured');
+
+    // Variante 2: Bearer Token
+    const auth = req.headers.authorization || '';
+    if (auth.startsWith('Bearer ')) {
+      if (token && safeEqual(auth.slice(7).trim(), token)) return next();
+      return deny(403, 'invalid token');
+    }
+
+    // Variante 1: HMAC-Signatur
+    if (req.headers['x-mdr-signature'] || req.headers['x-mdr-timestamp']) {
+      if (!verifySignature) return deny(403, 'signed requests not configured');
+      const error = verifySignature(req);
+      return error ? deny(error.status, error.detail) : next();
+    }
+
+    return deny(401, 'missing credentials');
+  };
+}
+
+// ─── WEBHOOK-SIGNATUREN (WhatsApp, Telegram) ─────────────
+// Meta signiert jeden Webhook mit dem App-Secret:
+//   X-Hub-Signature-256: sha256=HMAC(META_APP_SECRET, rawBody)
+// Vom WordPress-Plugin weitergeleitete Webhooks ({ raw_webhook, chat_limit })
+// laufen über einen EIGENEN Pfad und sind mit ADMIN_SECRET signiert (wie oben).
+//
+// Telegram signiert nicht, schickt aber das bei setWebhook gesetzte secret_token
+// in jedem Request mit: X-Telegram-Bot-Api-Secret-Token (TELEGRAM_WEBHOOK_SECRET).
+//
+// 401 → keine Signatur, 403 → Signatur falsch / Secret nicht konfiguriert
+
+/**
+ * Middlewares für /api/whatsapp (Meta), /api/whatsapp/forward (WordPress) und /api/telegram
+ * { appSecret: META_APP_SECRET, forwardSecret: ADMIN_SECRET, telegramSecret: TELEGRAM_WEBHOOK_SECRET }
+ */
+function createWebhookAuth({ appSecret, forwardSecret, telegramSecret }) {
+  const verifyForward = forwardSecret ? createSignatureVerifier(forwardSecret) : null;
+
+  const deny = (req, res, status, detail) => {
+    console.warn(`[Webhook Auth] ${status} ${req.originalUrl} – ${detail} (ip ${req.ip})`);
+    return res.status(status).json({ error: status === 401 ? 'Unauthorized' : 'Forbidden', detail });
+  };
+
+  function meta(req, res, next) {
+    const signature = req.headers['x-hub-signature-256'];
+    if (!signature) return deny(req, res, 401, 'missing X-Hub-Signature-256');
+    if (!appSecret) return deny(req, res, 403, 'META_APP_SECRET not configured');
+    const body = req.rawBody || Buffer.alloc(0);
+    if (!safeEqual(signature, sign(appSecret, body))) return deny(req, res, 403, 'invalid signature');
+    next();
+  }
+
+  function forward(req, res, next) {
+    if (!verifyForward) return deny(req, res, 403, 'ADMIN_SECRET not configured');
+    const error = verifyForward(req);
+    if (error) return deny(req, res, error.status, error.detail);
+    next();
+  }
+
+  function telegram(req, res, next) {
+    const token = req.headers['x-telegram-bot-api-secret-token'];
+    if (!token) return deny(req, res, 401, 'missing X-Telegram-Bot-Api-Secret-Token');
+    if (!telegramSecret) return deny(req, res, 403, 'TELEGRAM_WEBHOOK_SECRET not configured');
+    if (!safeEqual(token, telegramSecret)) return deny(req, res, 403, 'invalid secret token');
+    next();
+  }
+
+  return { meta, forward, telegram };
+}
+
+module.exports = { createAdminAuth, createSignatureVerifier, createWebhookAuth, sign, safeEqual };
@@ -0,0 +1,336 @@
+// ═══════════════════════════════════════════════════════════
+// BROADCAST-QUEUE – Dauerhafte WhatsApp-Broadcast-Jobs
+// ═══════════════════════════════════════════════════════════
+// Statt alle Subscriber innerhalb EINES HTTP-Requests abzuarbeiten, wird
+// jeder Broadcast ein Job mit ID. Ein Worker sendet im Hintergrund:
+//   - Senderate konfigurierbar (Nachrichten/Sekunde)
+//   - Meta Rate-Limits (HTTP 429, Codes 130429/131056/131048/80007)
+//     → exponentielles Backoff, Empfänger bleibt "pending"
+//   - Status pro Empfänger: pending | sending | sent | failed | skipped | scheduled
+//   - Job-Snapshot (inkl. aller Empfänger) beim Start, alle SAVE_EVERY Empfänger
+//     bzw. SAVE_INTERVAL ms und am Ende → Schreibaufwand wächst linear, nicht
+//     quadratisch mit der Liste. Dazwischen nur ein kleiner Cursor pro Versuch
+//     (broadcastJob:<id>:cursor = Ergebnisse seit dem Snapshot + der EINE
+//     Empfänger, der gerade gesendet wird) → nach Neustart macht der Job dort
+//     weiter (resume); nur dieser eine gilt als "interrupted during send",
+//     sent/skipped/scheduled seit dem Snapshot bleiben erhalten.
+//   - "scheduled" (z.B. Ruhezeit beim Empfänger) → sendAt gespeichert, der
+//     eingebaute Scheduler stellt den Empfänger zur Zeit wieder in die Queue.
+//     Job-Status bleibt "scheduled" bis alle verschobenen Empfänger durch sind.
+//
+// Typ-spezifische Logik kommt vom Server als Handler:
+//   handlers[type] = {
+//     prepare(job)            → einmalig vor dem Senden (z.B. AI-Texte pro Sprache in job.data)
+//     deliver(job, recipient) → { status: 'sent'|'skipped'|'scheduled', reason?, wamid?, sendAt? } ODER throw
+//   }
+
+const crypto = require('crypto');
+
+const INDEX_KEY = 'broadcastJobs';               // Liste aller Job-IDs
+const JOB_TTL = 30 * 24 * 60 * 60 * 1000;         // Fertige Jobs 30 Tage aufheben
+const RATE_LIMIT_CODES = [130429, 131056, 131048, 80007];
+const BACKOFF_BASE = 2000;
+const BACKOFF_MAX = 5 * 60 * 1000;
+const SCHEDULER_INTERVAL = 60 * 1000;             // Fällige verschobene Empfänger prüfen
+const SAVE_EVERY = 50;                            // Job-Snapshot spätestens nach N Empfängern ...
+const SAVE_INTERVAL = 10 * 1000;                  // ... oder nach T ms
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const cursorKey = (id) => `broadcastJob:${id}:cursor`;
+
+/**
+ * Meta-Fehler die "langsamer senden" bedeuten (statt "Empfänger kaputt")
+ */
+function isRateLimitError(err) {
+  return err && (err.status === 429 || RATE_LIMIT_CODES.includes(err.code));
+}
+
+class BroadcastQueue {
+  /**
+   * { storage, handlers, rate (msg/s), maxAttempts }
+   */
+  constructor({ storage, handlers, rate, maxAttempts }) {
+    this.storage = storage;
+    this.handlers = handlers;
+    this.interval = 1000 / (rate || 5);
+    this.maxAttempts = maxAttempts || 5;
+    this.jobs = new Map();   // id → job
+    this.results = new Map(); // id → { index: Ergebnis } seit dem letzten Snapshot
+    this.running = false;
+    this.timer = null;
+  }
+
+  // ─── LADEN / SPEICHERN ─────────────────────────────────
+  async load({ resume } = {}) {
+    const ids = (await this.storage.get(INDEX_KEY)) || [];
+    const now = Date.now();
+    for (const id of ids) {
+      const job = await this.storage.get(`broadcastJob:${id}`);
+      if (!job) continue;
+      if (job.finishedAt && now - job.finishedAt > JOB_TTL) {
+        await this.storage.del(`broadcastJob:${id}`);
+        await this.storage.del(cursorKey(id));
+        continue;
+      }
+      this.jobs.set(id, job);
+      if (job.status === 'queued' || job.status === 'running') {
+        // Cursor nach dem Snapshot: Ergebnisse übernehmen, der Empfänger "in Arbeit" ist unklar
+        const cursor = await this.storage.get(cursorKey(id));
+        if (cursor && cursor.version === job.updatedAt) {
+          for (const [index, result] of Object.entries(cursor.results || {})) {
+            if (job.recipients[index]) Object.assign(job.recipients[index], result);
+          }
+          const inflight = job.recipients[cursor.inflight];
+          if (inflight && inflight.status === 'pending') inflight.status = 'sending';
+        }
+        // 'sending' = Absturz während des Sendens → Zustellung unklar, NICHT nochmal senden
+        for (const r of job.recipients) {
+          if (r.status === 'sending') Object.assign(r, { status: 'failed', error: 'interrupted during send' });
+        }
+        job.status = resume ? 'queued' : 'interrupted';
+        await this._save(job);
+      }
+    }
+    await this._saveIndex();
+    const open = [...this.jobs.values()].filter(j => j.status === 'queued').length;
+    if (open) console.log(`[Broadcast] ${open} Job(s) werden fortgesetzt`);
+    await this._releaseDue(); // Während der Downtime fällig gewordene Empfänger + Worker starten
+    this.start();
+  }
+
+  // ─── SCHEDULER ─────────────────────────────────────────
+  start(interval = SCHEDULER_INTERVAL) {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this._releaseDue().catch(e => console.error('[Broadcast] Scheduler-Fehler:', e.message));
+    }, interval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Verschobene Empfänger deren sendAt erreicht ist → wieder "pending"
+   */
+  async _releaseDue() {
+    const now = Date.now();
+    for (const job of this.jobs.values()) {
+      if (job.status !== 'scheduled') continue;
+      const due = job.recipients.filter(r => r.status === 'scheduled' && r.sendAt <= now);
+      if (due.length === 0) continue;
+      for (const r of due) r.status = 'pending';
+      job.status = 'queued';
+      await this._save(job);
+      console.log(`[Broadcast] ${job.id}: ${due.length} verschobene Empfänger fällig`);
+    }
+    this._kick();
+  }
+
+  async _save(job) {
+    job.updatedAt = Date.now();
+    await this.storage.set(`broadcastJob:${job.id}`, job);
+    this.results.delete(job.id); // Stehen jetzt im Snapshot
+  }
+
+  /**
+   * Fortschritt seit dem letzten Snapshot (gehört zu dessen updatedAt):
+   * inflight = Index des Empfängers, der gerade gesendet wird (sonst null)
+   */
+  async _saveCursor(job, inflight) {
+    const results = this.results.get(job.id) || {};
+    await this.storage.set(cursorKey(job.id), { version: job.updatedAt, inflight, results });
+  }
+
+  /**
+   * Ergebnis eines Empfängers für den Cursor merken
+   */
+  _record(job, index, r) {
+    if (!this.results.has(job.id)) this.results.set(job.id, {});
+    const { status, reason, wamid, error, at, sendAt, attempts } = r;
+    this.results.get(job.id)[index] = { status, reason, wamid, error, at, sendAt, attempts };
+  }
+
+  async _saveIndex() {
+    await this.storage.set(INDEX_KEY, [...this.jobs.keys()]);
+  }
+
+  // ─── JOBS ──────────────────────────────────────────────
+  /**
+   * Neuen Job anlegen + Worker starten
+   * recipients: [{ phone, lang, name }]
+   */
+  async create(type, payload, recipients) {
+    if (!this.handlers[type]) throw new Error(`Unbekannter Broadcast-Typ: ${type}`);
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      type,
+      status: 'queued',
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      payload,
+      data: {},
+      recipients: recipients.map(r => ({ ...r, status: 'pending', attempts: 0 })),
+    };
+    this.jobs.set(job.id, job);
+    await this._save(job);
+    await this._saveIndex();
+    this._kick();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Letzter Job dieses Typs innerhalb von `windowMs` (Duplikat-Schutz)
+   */
+  findRecent(type, windowMs) {
+    const now = Date.now();
+    return [...this.jobs.values()]
+      .filter(j => j.type === type && j.status !== 'failed' && now - j.createdAt < windowMs)
+      .sort((a, b) => b.createdAt - a.createdAt)[0] || null;
+  }
+
+  /**
+   * Unterbrochenen Job manuell fortsetzen
+   */
+  async resume(id) {
+    const job = this.jobs.get(id);
+    if (!job || !['interrupted', 'paused'].includes(job.status)) return null;
+    job.status = 'queued';
+    await this._save(job);
+    this._kick();
+    return job;
+  }
+
+  /**
+   * Fortschritt für GET /api/wa/broadcast/:id
+   */
+  summary(job, { withRecipients = true } = {}) {
+    const counts = { pending: 0, sending: 0, sent: 0, failed: 0, skipped: 0, scheduled: 0 };
+    for (const r of job.recipients) counts[r.status] = (counts[r.status] || 0) + 1;
+    const total = job.recipients.length;
+    const done = total - counts.pending - counts.sending - counts.scheduled;
+    const waiting = job.recipients.filter(r => r.status === 'scheduled').map(r => r.sendAt);
+    const out = {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      total,
+      sent: counts.sent,
+      counts,
+      progress: total ? Math.round((done / total) * 100) : 100,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      nextSendAt: waiting.length ? Math.min(...waiting) : null,
+      error: job.error,
+    };
+    if (withRecipients) {
+      out.recipients = job.recipients.map(r => ({
+        phone: r.phone, status: r.status, reason: r.reason, error: r.error, at: r.at,
+        sendAt: r.sendAt, attempts: r.attempts,
+      }));
+    }
+    return out;
+  }
+
+  // ─── WORKER ────────────────────────────────────────────
+  _kick() {
+    if (this.running) return;
+    this.running = true;
+    this._run()
+      .catch(e => console.error('[Broadcast] Worker-Fehler:', e.message))
+      .finally(() => { this.running = false; });
+  }
+
+  async _run() {
+    for (;;) {
+      const job = [...this.jobs.values()]
+        .filter(j => j.status === 'queued')
+        .sort((a, b) => a.createdAt - b.createdAt)[0];
+      if (!job) return;
+      await this._process(job);
+    }
+  }
+
+  async _process(job) {
+    const handler = this.handlers[job.type];
+    job.status = 'running';
+    job.startedAt = job.startedAt || Date.now();
+    await this._save(job);
+
+    try {
+      if (handler.prepare && !job.data.prepared) {
+        await handler.prepare(job);
+        job.data.prepared = true;
+        await this._save(job);
+      }
+    } catch (e) {
+      console.error(`[Broadcast] ${job.id} prepare fehlgeschlagen:`, e.message);
+      Object.assign(job, { status: 'failed', error: e.message, finishedAt: Date.now() });
+      await this._save(job);
+      return;
+    }
+
+    let backoff = 0;
+    let unsaved = 0; // Empfänger seit dem letzten Snapshot
+    for (const [index, r] of job.recipients.entries()) {
+      if (r.status !== 'pending') continue;
+      if (job.status !== 'running') { // Pausiert/abgebrochen
+        await this._save(job);
+        return;
+      }
+
+      while (r.status === 'pending') {
+        r.status = 'sending';
+        r.attempts++;
+        await this._saveCursor(job, index);
+        try {
+          const result = await handler.deliver(job, r) || { status: 'sent' };
+          Object.assign(r, { status: result.status, reason: result.reason, wamid: result.wamid, at: Date.now() });
+          if (result.sendAt) r.sendAt = result.sendAt; // Geplante Zeit bleibt auch nach dem Senden sichtbar
+          if (result.status === 'scheduled') r.attempts--; // Verschieben ist kein Zustellversuch
+          backoff = 0;
+        } catch (e) {
+          if (isRateLimitError(e) && r.attempts < this.maxAttempts) {
+            // Meta bremst → warten, dann denselben Empfänger nochmal
+            backoff = Math.min(backoff ? backoff * 2 : BACKOFF_BASE, BACKOFF_MAX);
+            console.warn(`[Broadcast] ${job.id} Rate-Limit (${e.code || e.status}) – warte ${Math.round(backoff / 1000)}s`);
+            r.status = 'pending';
+            await this._save(job);
+            unsaved = 0;
+            await sleep(backoff);
+            continue;
+          }
+          console.error(`[Broadcast] ${job.id} Failed ${r.phone}:`, e.message);
+          Object.assign(r, { status: 'failed', error: e.message.slice(0, 300), at: Date.now() });
+        }
+      }
+      this._record(job, index, r);
+      await this._saveCursor(job, null);
+      if (++unsaved >= SAVE_EVERY || Date.now() - job.updatedAt >= SAVE_INTERVAL) {
+        await this._save(job);
+        unsaved = 0;
+      }
+      if (r.status === 'sent') await sleep(this.interval);
+    }
+
+    const c = this.summary(job, { withRecipients: false }).counts;
+    if (c.scheduled > 0) {
+      // Noch verschobene Empfänger → Scheduler übernimmt
+      job.status = 'scheduled';
+    } else {
+      Object.assign(job, { status: 'done', finishedAt: Date.now() });
+    }
+    await this._save(job);
+    console.log(`[WA Broadcast] ${job.type} ${job.id}: ${c.sent} gesendet, ${c.failed} fehlgeschlagen, ${c.skipped} übersprungen, ${c.scheduled} verschoben / ${job.recipients.length}`);
+  }
+}
+
+module.exports = { BroadcastQueue, isRateLimitError };
@@ -0,0 +1,280 @@
+// ═══════════════════════════════════════════════════════════
+// ALLERGENE & ERNÄHRUNG – Rezept-Metadaten + Sicherheitsfilter
+// ═══════════════════════════════════════════════════════════
+// WordPress liefert pro Rezept (optional):
+//   allergens: ["Erdnüsse", "milk", { name: "Gluten" }, ...]
+//   diets:     ["vegetarisch", "vegan", ...]   (auch `diet`)
+// normalizeAllergens()/normalizeDiets() machen daraus feste Codes
+// (ALLERGENS/DIETS aus lib/profiles.js), egal in welcher Sprache getaggt wurde.
+// Feld fehlt → null = "unbekannt" → KEINE Aussage (nicht filtern).
+//
+// Filter (deterministisch, nach der Modell-Antwort):
+//   [RECIPE]-Karten, die zum Profil nicht passen → entfernt
+//   Rezept-Links im Text (WhatsApp/Telegram)     → bleiben, werden markiert
+//   Beides → Sicherheitshinweis am Ende der Antwort (Text kommt vom Server)
+// Das Profil lernt erst NACH der Antwort (lib/profiles.js) → withRestrictions()
+// nimmt Allergien/Diät aus der aktuellen Nachricht schon für diese Antwort mit.
+
+const { DIETS, ALLERGENS } = require('./profiles');
+const { urlPath } = require('./tags');
+
+const URL_RE = /https?:\/\/[^\s)\]>*_]+/g;
+
+// ─── SYNONYME (normalisiert: klein, ohne Akzente) ────────
+const ALLERGEN_ALIASES = {
+  gluten: ['gluten', 'glutenhaltig', 'weizen', 'wheat', 'ble', 'trigo'],
+  crustaceans: ['krebstiere', 'crustaceans', 'crustacean', 'shellfish', 'garnelen', 'shrimp', 'crustaces', 'crustaceos'],
+  eggs: ['eier', 'ei', 'egg', 'eggs', 'oeufs', 'oeuf', 'huevo', 'huevos', 'ovo', 'ovos'],
+  fish: ['fisch', 'fish', 'poisson', 'pescado', 'peixe'],
+  peanuts: ['erdnuss', 'erdnusse', 'peanut', 'peanuts', 'arachide', 'arachides', 'cacahuete', 'cacahuetes', 'mani', 'amendoim'],
+  soy: ['soja', 'soy', 'soya'],
+  milk: ['milch', 'laktose', 'milk', 'lactose', 'dairy', 'lait', 'leche', 'lactosa', 'leite'],
+  nuts: ['nusse', 'nuss', 'schalenfruchte', 'nut', 'nuts', 'tree nuts', 'noix', 'fruits a coque', 'frutos secos', 'frutos de cascara', 'nozes', 'castanhas'],
+  celery: ['sellerie', 'celery', 'celeri', 'apio', 'aipo'],
+  mustard: ['senf', 'mustard', 'moutarde', 'mostaza', 'mostarda'],
+  sesame: ['sesam', 'sesame', 'sesamo', 'gergelim'],
+  sulphites: ['sulfite', 'sulfites', 'sulphites', 'schwefeldioxid', 'sulfitos'],
+  lupin: ['lupine', 'lupinen', 'lupin', 'altramuces', 'tremoco'],
+  molluscs: ['weichtiere', 'molluscs', 'mollusks', 'mollusques', 'moluscos'],
+};
+
+const DIET_ALIASES = {
+  vegetarian: ['vegetarisch', 'vegetarier', 'vegetarierin', 'vegetarian', 'vegetarien', 'vegetarienne', 'vegetariano', 'vegetariana'],
+  vegan: ['vegan', 'vegane', 'veganer', 'veganerin', 'vegetalien', 'vegano', 'vegana'],
+  pescetarian: ['pescetarisch', 'pescetarian', 'pescatarian', 'pescetarien', 'pescetariano', 'pescetariana'],
+  halal: ['halal'],
+  kosher: ['kosher', 'koscher', 'casher', 'cacher'],
+  low_carb: ['low carb', 'lowcarb', 'kohlenhydratarm', 'baja en carbohidratos'],
+  keto: ['keto', 'ketogen', 'ketogenic', 'cetogene', 'cetogenica', 'cetogenico'],
+};
+
+// Welche Rezept-Tags eine Ernährungsweise erfüllen
+const DIET_ACCEPTS = {
+  vegetarian: ['vegetarian', 'vegan'],
+  vegan: ['vegan'],
+  pescetarian: ['pescetarian', 'vegetarian', 'vegan'],
+  halal: ['halal'],
+  kosher: ['kosher'],
+  low_carb: ['low_carb', 'keto'],
+  keto: ['keto'],
+};
+
+// Nussallergie: viele meinen Erdnüsse mit → solche Rezepte sicherheitshalber auch
+const ALLERGEN_ALSO = { nuts: ['peanuts'] };
+
+// ─── AUS DER NACHRICHT (normalisiert) ────────────────────
+// Allergen nur mit direkt angehängtem Hinweis: "ohne Eier", "allergic to nuts and eggs",
+// "gluten free", "nut allergy". "Erdnuss-Curry ohne Koriander" ist ein Rezeptwunsch.
+const ALLERGY_BEFORE = [
+  'ohne', 'allergisch', 'allergie', 'allergien', 'unvertraglichkeit', 'vertrage',
+  'without', 'allergic', 'allergy', 'allergies', 'intolerant', 'intolerance',
+  'sans', 'allergique', 'sin', 'alergia', 'alergias', 'alergico', 'alergica', 'intolerancia', 'sem',
+];
+const ALLERGY_AFTER = [
+  'frei', 'allergie', 'allergien', 'unvertraglichkeit', 'intoleranz',
+  'free', 'allergy', 'allergies', 'intolerance', 'intolerant',
+];
+// Zwischen Hinweis und Allergen bzw. zwischen mehreren Allergenen erlaubt
+const ALLERGY_LINKS = [
+  'gegen', 'auf', 'kein', 'keine', 'keinen', 'und', 'oder', 'to', 'any', 'and', 'or', 'the',
+  'a', 'aux', 'au', 'de', 'des', 'les', 'le', 'la', 'et', 'ou', 'al', 'los', 'las', 'el', 'y', 'o', 'os', 'as', 'e',
+];
+// Zusammengesetzt: "Nussallergie", "glutenfrei", "Laktoseunverträglichkeit"
+const CUE_SUFFIX_RE = /(allergie|allergisch|unvertraglichkeit|intoleranz|intolerant|frei)$/;
+
+// Diät nur aus einer Aussage über sich selbst: "ich bin Veganerin", "I'm vegetarian", "je suis végane"
+const SELF_PHRASES = [
+  'ich bin', 'ich esse', 'ich lebe', 'ich ernahre mich', 'wir sind', 'wir essen', 'wir leben',
+  'i am', 'i m', 'im', 'i eat', 'we are', 'we re', 'we eat',
+  'je suis', 'je mange', 'nous sommes', 'on est', 'soy', 'somos', 'sou', 'comemos',
+].map(p => p.split(' '));
+const SELF_FILLER = [
+  'a', 'an', 'ein', 'eine', 'un', 'une', 'una', 'um', 'uma', 'jetzt', 'now', 'seit', 'kurzem', 'schon', 'already',
+  'auch', 'also', 'aussi', 'tambien', 'tambem', 'streng', 'strikt', 'strict', 'strictly', 'fully', 'totally', 'mostly',
+];
+const NEGATIONS = ['nicht', 'kein', 'keine', 'keiner', 'not', 'no', 'never', 'nie', 'pas', 'ne', 'jamais', 'nao', 'nunca'];
+
+function normalize(text) {
+  return String(text || '').toLowerCase()
+    .replace(/ß/g, 'ss')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function lookup(aliases, codes) {
+  const map = new Map();
+  for (const code of codes) {
+    map.set(code, code);
+    for (const alias of aliases[code] || []) map.set(alias, code);
+  }
+  return map;
+}
+
+const ALLERGEN_LOOKUP = lookup(ALLERGEN_ALIASES, ALLERGENS);
+const DIET_LOOKUP = lookup(DIET_ALIASES, DIETS);
+
+/**
+ * WP-Liste (Strings oder { name, slug }) → Codes. Kein Array → null (unbekannt)
+ */
+function toCodes(list, table) {
+  if (!Array.isArray(list)) return null;
+  const codes = list
+    .map(v => normalize(typeof v === 'string' ? v : v && (v.name || v.slug)))
+    .map(v => table.get(v) || table.get(v.replace(/ /g, '_')))
+    .filter(Boolean);
+  return [...new Set(codes)];
+}
+
+function normalizeAllergens(list) {
+  return toCodes(list, ALLERGEN_LOOKUP);
+}
+
+function normalizeDiets(list) {
+  return toCodes(list, DIET_LOOKUP);
+}
+
+/**
+ * Konflikte zwischen Rezept und Profil → [{ type: 'allergen'|'diet', code }]
+ */
+function recipeConflicts(recipe, profile) {
+  if (!recipe || !profile) return [];
+  const out = [];
+  if (Array.isArray(recipe.allergens)) {
+    const codes = new Set((profile.allergens || []).flatMap(code => [code, ...(ALLERGEN_ALSO[code] || [])]));
+    for (const code of codes) {
+      if (recipe.allergens.includes(code)) out.push({ type: 'allergen', code });
+    }
+  }
+  if (profile.diet && Array.isArray(recipe.diets)) {
+    const accepted = DIET_ACCEPTS[profile.diet] || [profile.diet];
+    if (!recipe.diets.some(d => accepted.includes(d))) out.push({ type: 'diet', code: profile.diet });
+  }
+  return out;
+}
+
+/**
+ * Längster Eintrag aus `table` (bis 3 Wörter) ab tokens[i] → { code, end } oder null
+ */
+function matchAt(tokens, i, table) {
+  for (let n = 3; n >= 1; n--) {
+    const words = tokens.slice(i, i + n);
+    const code = words.length === n && (table.get(words.join(' ')) || table.get(words.join('_')));
+    if (code) return { code, end: i + n };
+  }
+  return null;
+}
+
+/**
+ * "ich bin (jetzt) Veganerin" → 'vegan'; verneint ("ich bin nicht vegan",
+ * "no soy vegano") oder über andere ("my friend is vegan") → null
+ */
+function dietFromTokens(tokens) {
+  for (let i = 0; i < tokens.length; i++) {
+    if (i > 0 && NEGATIONS.includes(tokens[i - 1])) continue;
+    for (const phrase of SELF_PHRASES) {
+      if (!phrase.every((w, k) => tokens[i + k] === w)) continue;
+      let j = i + phrase.length;
+      while (SELF_FILLER.includes(tokens[j])) j++;
+      const hit = !NEGATIONS.includes(tokens[j]) && matchAt(tokens, j, DIET_LOOKUP);
+      if (hit) return hit.code;
+    }
+  }
+  return null;
+}
+
+/**
+ * Allergene mit angehängtem Hinweis ("ohne Eier", "nut allergy", "glutenfrei")
+ */
+function allergensFromTokens(tokens) {
+  const found = new Set();
+  tokens.forEach((word, i) => {
+    const suffix = CUE_SUFFIX_RE.exec(word);
+    const compound = suffix && suffix.index > 0 && ALLERGEN_LOOKUP.get(word.slice(0, suffix.index));
+    if (compound) found.add(compound);
+
+    const hit = matchAt(tokens, i, ALLERGEN_LOOKUP);
+    if (hit && ALLERGY_AFTER.includes(tokens[hit.end])) found.add(hit.code);
+
+    if (!ALLERGY_BEFORE.includes(word)) return;
+    // Hinweis davor: Allergene (und Verbindungswörter) bis zum ersten anderen Wort
+    for (let j = i + 1; j < tokens.length;) {
+      const next = matchAt(tokens, j, ALLERGEN_LOOKUP);
+      if (next) {
+        found.add(next.code);
+        j = next.end;
+      } else if (ALLERGY_LINKS.includes(tokens[j])) {
+        j++;
+      } else {
+        break;
+      }
+    }
+  });
+  return [...found];
+}
+
+/**
+ * Allergien/Diät aus einer User-Nachricht → { diet, allergens } (ohne AI)
+ * "Ich bin Veganerin", "nut allergy", "glutenfrei", "sin huevo"
+ */
+function restrictionsFromText(text) {
+  const tokens = normalize(text).split(' ').filter(Boolean);
+  return { diet: dietFromTokens(tokens), allergens: allergensFromTokens(tokens) };
+}
+
+/**
+ * Gespeichertes Profil + Restriktionen aus der aktuellen Nachricht
+ * (Diät aus der Nachricht gewinnt, Allergene werden ergänzt)
+ */
+function withRestrictions(profile, text) {
+  const { diet, allergens } = restrictionsFromText(text);
+  if (!diet && !allergens.length) return profile;
+  return {
+    ...profile,
+    diet: diet || (profile && profile.diet) || null,
+    allergens: [...new Set([...((profile && profile.allergens) || []), ...allergens])],
+  };
+}
+
+function hasRestrictions(profile) {
+  return !!profile && (!!profile.diet || (profile.allergens || []).length > 0);
+}
+
+/**
+ * Filter für EINE Antwort (Conversation Engine):
+ *   check(block)   → Block oder null (unpassende Rezept-Karte)
+ *   finish(blocks) → [Hinweis-Block] oder [] (prüft auch Links im Text)
+ * note(flagged)    → Hinweistext, flagged = [{ recipe, conflicts }]
+ */
+function createSafetyFilter({ profile, recipes, note }) {
+  const flagged = new Map(); // recipe.id → { recipe, conflicts }
+
+  function flag(recipe) {
+    const conflicts = recipeConflicts(recipe, profile);
+    if (conflicts.length) flagged.set(recipe.id, { recipe, conflicts });
+    return conflicts.length > 0;
+  }
+
+  return {
+    check(block) {
+      if (block.type !== 'recipe') return block;
+      const recipe = recipes.find(r => r.id === block.data.id);
+      return recipe && flag(recipe) ? null : block;
+    },
+
+    finish(blocks) {
+      const text = blocks.filter(b => b.type === 'text').map(b => b.text).join('');
+      for (const url of text.match(URL_RE) || []) {
+        const path = urlPath(url);
+        const recipe = path && recipes.find(r => urlPath(r.url) === path);
+        if (recipe) flag(recipe);
+      }
+      return flagged.size ? [{ type: 'text', text: `\n\n${note([...flagged.values()])}` }] : [];
+    },
+  };
+}
+
+module.exports = {
+  normalizeAllergens, normalizeDiets, recipeConflicts, restrictionsFromText, withRestrictions, hasRestrictions,
+  createSafetyFilter,
+};
@@ -0,0 +1,159 @@
+// ═══════════════════════════════════════════════════════════
+// CONVERSATION ENGINE – ein Ablauf für alle Kanäle
+// ═══════════════════════════════════════════════════════════
+// Web-Chat, WhatsApp (und jeder weitere Kanal) laufen durch DIESELBE Kette:
+//
+//   Verlauf → System-Prompt (+ Kanal-Zusatz) → Modell → Tags parsen/validieren
+//   → Kanal rendert → Antwort im Verlauf speichern
+//
+// Ein Kanal ist nur noch ein ADAPTER:
+//   {
+//     name: 'whatsapp',
+//     params: { max_tokens, temperature },   // Modell-Parameter des Kanals
+//     contextMessages: 12,                   // Wie viele Verlaufs-Nachrichten ans Modell
+//     historyMax: 20,                        // Verlauf danach kürzen (0 = nicht kürzen)
+//     promptExtension(ctx) → String,         // Kanal-Regeln für den System-Prompt (optional)
+//     render(blocks, ctx) → { text, ... },   // Ausgabe; `text` landet im Verlauf
+//   }
+// Eingabe-Normalisierung (Webhook/Request → conv + Text) bleibt im Adapter-Code
+// der jeweiligen Route. Neuer Kanal = neuer Adapter + Route, keine Engine-Änderung.
+//
+// ctx = { conv: { msgs[] }, lang, pageTitle, isRecipe, profileKey?, ... } – die neue
+// User-Nachricht steht bereits in conv.msgs (Adapter entscheidet über Limits etc.).
+//
+// Profile (optional, lib/profiles.js): mit ctx.profileKey kommt das gespeicherte
+// Profil in den System-Prompt, nach der Antwort lernt profiles.learn() im
+// Hintergrund aus der letzten User-Nachricht (blockiert die Antwort nicht).
+//
+// Filter (optional): filters = [(ctx) → { check, finish } oder null], der Reihe nach.
+// check(block, { partial }) ändert/verwirft Blöcke VOR dem Rendern/Streamen
+// (partial = gestreamtes Text-Stück), finish(blocks) hängt am Ende Blöcke an.
+// flush() (optional, nur Streaming) → zurückgehaltene Text-Stücke, vor jedem
+// Tag-Block und am Ende abgefragt.
+// Beispiele: Einheiten (lib/units.js), Allergie-/Diät-Filter (lib/dietary.js).
+
+const { TagStreamParser, eventsToBlocks, parseBlocks } = require('./tags');
+
+class ConversationEngine {
+  /**
+   * { buildSystemPrompt(lang, pageTitle, isRecipe, msgs, profile), model: { complete, stream },
+   *   blockContext(), profiles?, filters? }
+   */
+  constructor({ buildSystemPrompt, model, blockContext, profiles, filters }) {
+    this.buildSystemPrompt = buildSystemPrompt;
+    this.model = model;
+    this.blockContext = blockContext;
+    this.profiles = profiles || null;
+    this.filters = filters || [];
+    this.adapters = new Map();
+  }
+
+  register(adapter) {
+    this.adapters.set(adapter.name, adapter);
+    return adapter;
+  }
+
+  _adapter(name) {
+    const adapter = this.adapters.get(name);
+    if (!adapter) throw new Error(`Unbekannter Kanal: ${name}`);
+    return adapter;
+  }
+
+  /**
+   * Modell-Nachrichten: System-Prompt + Kanal-Zusatz + letzter Verlauf
+   */
+  async _messages(adapter, ctx) {
+    const profile = this.profiles ? this.profiles.get(ctx.profileKey) : null;
+    let system = await this.buildSystemPrompt(ctx.lang, ctx.pageTitle || '', !!ctx.isRecipe, ctx.conv.msgs, profile);
+    if (adapter.promptExtension) system += adapter.promptExtension(ctx);
+    return [
+      { role: 'system', content: system },
+      ...ctx.conv.msgs.slice(-(adapter.contextMessages || 10)),
+    ];
+  }
+
+  /**
+   * Filter dieser Antwort zu EINEM zusammenfassen (null = keiner aktiv)
+   */
+  _filter(ctx) {
+    const active = this.filters.map(f => f(ctx)).filter(Boolean);
+    if (active.length === 0) return null;
+    const checkFrom = (start, block, opts) => active.slice(start).reduce((b, f) => b && f.check(b, opts), block);
+    return {
+      check: (block, opts = {}) => checkFrom(0, block, opts),
+      // Zurückgehaltenes von Filter i läuft noch durch die Filter danach
+      flush: () => active.flatMap((f, i) => (f.flush ? f.flush() : [])
+        .map(b => checkFrom(i + 1, b, { partial: true })).filter(Boolean)),
+      finish: (blocks) => active.reduce((extra, f) => extra.concat(f.finish(blocks.concat(extra))), []),
+    };
+  }
+
+  /**
+   * Gerenderte Antwort im Verlauf speichern (+ kürzen), dann Profil lernen
+   */
+  _remember(adapter, ctx, output) {
+    const { conv } = ctx;
+    conv.msgs.push({ role: 'assistant', content: output.text });
+    if (adapter.historyMax && conv.msgs.length > adapter.historyMax) {
+      conv.msgs = conv.msgs.slice(-adapter.historyMax);
+    }
+    if (this.profiles && ctx.profileKey) {
+      this.profiles.learn(ctx.profileKey, conv.msgs.slice())
+        .catch(e => console.error(`[Profile] ${ctx.profileKey} nicht gelernt:`, e.message));
+    }
+  }
+
+  /**
+   * Komplette Antwort → Ausgabe des Adapters
+   */
+  async reply(channel, ctx) {
+    const adapter = this._adapter(channel);
+    const raw = await this.model.complete(await this._messages(adapter, ctx), adapter.params);
+    let blocks = parseBlocks(raw, this.blockContext());
+    const filter = this._filter(ctx);
+    if (filter) {
+      blocks = blocks.map(b => filter.check(b)).filter(Boolean);
+      blocks = blocks.concat(filter.finish(blocks));
+    }
+    const output = adapter.render(blocks, ctx);
+    this._remember(adapter, ctx, output);
+    return output;
+  }
+
+  /**
+   * Streaming: onBlock(block) für jedes Text-Stück bzw. jeden fertigen Tag-Block,
+   * Rückgabe wie reply() (über ALLE Blöcke, Text-Stücke zusammengefasst)
+   */
+  async stream(channel, ctx, onBlock) {
+    const adapter = this._adapter(channel);
+    const parser = new TagStreamParser();
+    const blockCtx = this.blockContext();
+    const filter = this._filter(ctx);
+    const blocks = [];
+    const add = (block) => {
+      onBlock(block);
+      const last = blocks[blocks.length - 1];
+      if (block.type === 'text' && last && last.type === 'text') last.text += block.text;
+      else blocks.push({ ...block });
+    };
+    const emit = (events) => {
+      for (const block of eventsToBlocks(events, blockCtx)) {
+        if (filter && block.type !== 'text') filter.flush().forEach(add);
+        const checked = filter ? filter.check(block, { partial: true }) : block;
+        if (checked) add(checked);
+      }
+    };
+
+    await this.model.stream(await this._messages(adapter, ctx), adapter.params, delta => emit(parser.push(delta)));
+    emit(parser.end());
+    if (filter) {
+      filter.flush().forEach(add);
+      filter.finish(blocks).forEach(add);
+    }
+    const output = adapter.render(blocks.filter(b => b.type !== 'text' || b.text.trim()), ctx);
+    this._remember(adapter, ctx, output);
+    return output;
+  }
+}
+
+module.exports = { ConversationEngine };
@@ -0,0 +1,120 @@
+// ═══════════════════════════════════════════════════════════
+// I18N – Nachrichten-Kataloge pro Sprache (locales/<lang>.json)
+// ═══════════════════════════════════════════════════════════
+// Alle Texte, die Userinnen zu sehen bekommen (WhatsApp-Antworten,
+// Broadcasts, Buttons, Fehlermeldungen), liegen in EINER Datei pro Sprache.
+// Neue Sprache = neue JSON-Datei, kein Code-Edit.
+//
+// t(lang, 'wa.limit_reached', { limit: 50 })
+//   - Schlüssel mit Punkten = verschachtelte Objekte im Katalog
+//   - {platzhalter} werden aus vars ersetzt (fehlende bleiben stehen)
+//   - Fallback-Kette: "pt-BR" → "pt" → DEFAULT_LOCALE ("en") → Schlüssel selbst
+//
+// Prüfung: `npm run check:locales` (= node lib/i18n.js) meldet fehlende
+// Schlüssel bzw. abweichende Platzhalter und beendet sich mit Exit-Code 1.
+// Der Server loggt dieselbe Prüfung beim Start als Warnung.
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Verschachtelten Katalog in flache Map umwandeln: { 'wa.voice_on': '...' }
+ */
+function flatten(obj, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(obj)) {
+    const full = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object') flatten(value, full, out);
+    else out[full] = String(value);
+  }
+  return out;
+}
+
+/**
+ * Alle locales/*.json laden → { de: { key: text }, en: {...}, ... }
+ */
+function loadCatalogs(dir = LOCALES_DIR) {
+  const catalogs = {};
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    const locale = path.basename(file, '.json');
+    catalogs[locale] = flatten(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+  }
+  return catalogs;
+}
+
+function placeholders(text) {
+  return (text.match(/\{(\w+)\}/g) || []).sort().join(',');
+}
+
+/**
+ * Kataloge gegeneinander prüfen → [Problem-Strings] (leer = alles ok)
+ * Referenz ist die Vereinigung aller Schlüssel.
+ */
+function checkCatalogs(catalogs) {
+  const problems = [];
+  const allKeys = new Set(Object.values(catalogs).flatMap(c => Object.keys(c)));
+  const reference = catalogs[DEFAULT_LOCALE] || {};
+  for (const [locale, catalog] of Object.entries(catalogs)) {
+    for (const key of allKeys) {
+      if (!(key in catalog)) problems.push(`${locale}: fehlender Schlüssel "${key}"`);
+      else if (key in reference && placeholders(catalog[key]) !== placeholders(reference[key])) {
+        problems.push(`${locale}: Platzhalter in "${key}" weichen von ${DEFAULT_LOCALE} ab`);
+      }
+    }
+  }
+  return problems;
+}
+
+function interpolate(text, vars) {
+  if (!vars) return text;
+  return text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] != null ? String(vars[name]) : m));
+}
+
+/**
+ * Übersetzer erzeugen
+ * { dir, defaultLocale } → { t, has, locales, catalogs }
+ */
+function createI18n({ dir = LOCALES_DIR, defaultLocale = DEFAULT_LOCALE } = {}) {
+  const catalogs = loadCatalogs(dir);
+
+  function chain(lang) {
+    const l = String(lang || '').toLowerCase();
+    return [...new Set([l, l.split(/[-_]/)[0], defaultLocale])].filter(x => catalogs[x]);
+  }
+
+  return {
+    catalogs,
+    locales: Object.keys(catalogs),
+
+    /**
+     * Text für Sprache + Schlüssel (mit Fallback-Kette und Platzhaltern)
+     */
+    t(lang, key, vars) {
+      for (const locale of chain(lang)) {
+        if (key in catalogs[locale]) return interpolate(catalogs[locale][key], vars);
+      }
+      console.warn(`[i18n] Schlüssel fehlt: ${key}`);
+      return key;
+    },
+
+    has(lang) {
+      return !!catalogs[String(lang || '').toLowerCase()];
+    },
+  };
+}
+
+module.exports = { createI18n, checkCatalogs, loadCatalogs };
+
+// ─── CLI: npm run check:locales ──────────────────────────
+if (require.main === module) {
+  const catalogs = loadCatalogs();
+  const problems = checkCatalogs(catalogs);
+  if (problems.length) {
+    problems.forEach(p => console.error(`✗ ${p}`));
+    process.exit(1);
+  }
+  const keys = Object.keys(catalogs[DEFAULT_LOCALE] || {}).length;
+  console.log(`✓ ${Object.keys(catalogs).join(', ')}: je ${keys} Schlüssel vollständig`);
+}
@@ -0,0 +1,174 @@
+// ═══════════════════════════════════════════════════════════
+// SPRACHERKENNUNG – Zeichen-n-Gramm-Modell (offline, ohne Dependency)
+// ═══════════════════════════════════════════════════════════
+// Ersetzt die alten Regex-Heuristiken ("é" → Französisch).
+// Beim Laden wird aus den Beispieltexten unten pro Sprache ein Profil aus
+// 1- bis 3-Grammen (mit Wortgrenzen " x", "x ") gebaut. Ein Text wird mit
+// Naive Bayes bewertet (Log-Wahrscheinlichkeit, Add-k-Glättung).
+//
+// Sprachen = Schlüssel von CORPUS (LANGS). Neue Sprache = Trainingstext ergänzen;
+// der Server nimmt davon nur die mit Katalog in locales/ (siehe server.js).
+//
+// identify(text, langs?) → { lang, confidence, scores }
+//   confidence 0..1 = Softmax über die mittlere Log-Wahrscheinlichkeit pro
+//   n-Gramm, gedämpft für sehr kurze Texte ("ok", "2", "👍" → ~0).
+// Der Server nimmt das Ergebnis nur über LANGID_MIN_CONFIDENCE, sonst gilt
+// die gemerkte Sprache bzw. die Sprache der Vorwahl.
+
+const MAX_N = 3;
+const SMOOTHING = 0.5;
+const SHARPNESS = 12;      // Spreizung der Softmax (mittlere Log-Prob. liegen nah beieinander)
+const MIN_LETTERS = 3;     // Darunter keine Aussage
+const FULL_LETTERS = 20;   // Ab dieser Länge volle Konfidenz möglich
+
+// ─── TRAININGSTEXTE ──────────────────────────────────────
+// Alltagssprache + Küchenvokabular, so wie Userinnen im Chat schreiben.
+const CORPUS = {
+  de: `Hallo! Hast du ein schnelles Rezept für heute Abend? Ich möchte etwas mit Hähnchen und Gemüse kochen.
+    Wie lange muss der Kuchen im Ofen backen? Kann ich die Sahne durch Milch ersetzen? Danke, das klingt lecker!
+    Ich habe noch Kartoffeln, Zwiebeln und etwas Käse im Kühlschrank. Was kann ich daraus machen?
+    Zuerst die Zwiebeln schälen und fein würfeln. Dann das Öl in einer Pfanne erhitzen und das Fleisch anbraten.
+    Mit Salz und Pfeffer würzen, die Brühe dazugeben und alles zwanzig Minuten köcheln lassen.
+    Gibt es auch eine vegetarische Variante ohne Fleisch? Meine Tochter isst keine Eier und keine Nüsse.
+    Schreib mir bitte die Zutaten für vier Personen auf. Wir brauchen auch eine Einkaufsliste für das Wochenende.
+    Das Rezept war super, vielen Dank! Die Kinder haben alles aufgegessen. Welche Nachspeise passt dazu?
+    Ich suche etwas Gesundes zum Frühstück, vielleicht mit Haferflocken, Joghurt und frischen Beeren.
+    Wie viel Gramm Mehl und Zucker brauche ich für den Teig? Der Teig ist zu weich, was mache ich falsch?
+    Kannst du mir zeigen, wie man Brot selbst backt? Wir essen gern Suppe, Nudeln und Eintopf im Winter.
+    Guten Morgen, ich hätte gern eine Idee für das Mittagessen, nicht zu schwer und ohne viel Aufwand.`,
+  en: `Hi! Do you have a quick recipe for tonight? I would like to cook something with chicken and vegetables.
+    How long does the cake need to bake in the oven? Can I replace the cream with milk? Thanks, that sounds delicious!
+    I still have potatoes, onions and some cheese in the fridge. What can I make with them?
+    First peel the onions and chop them finely. Then heat the oil in a pan and brown the meat.
+    Season with salt and pepper, add the stock and let everything simmer for twenty minutes.
+    Is there also a vegetarian version without meat? My daughter doesn't eat eggs or nuts.
+    Please write down the ingredients for four people. We also need a shopping list for the weekend.
+    The recipe was great, thank you so much! The kids ate everything. Which dessert goes well with it?
+    I'm looking for something healthy for breakfast, maybe with oats, yogurt and fresh berries.
+    How many grams of flour and sugar do I need for the dough? The dough is too soft, what am I doing wrong?
+    Can you show me how to bake bread at home? We love soup, pasta and stew in the winter.
+    Good morning, I'd like an idea for lunch, nothing too heavy and without much effort. What's the best way?`,
+  fr: `Bonjour ! Tu as une recette rapide pour ce soir ? J'aimerais cuisiner quelque chose avec du poulet et des légumes.
+    Combien de temps le gâteau doit-il cuire au four ? Est-ce que je peux remplacer la crème par du lait ? Merci, ça a l'air délicieux !
+    Il me reste des pommes de terre, des oignons et un peu de fromage dans le frigo. Qu'est-ce que je peux faire avec ça ?
+    D'abord, éplucher les oignons et les couper finement. Ensuite, chauffer l'huile dans une poêle et faire dorer la viande.
+    Saler et poivrer, ajouter le bouillon et laisser mijoter le tout pendant vingt minutes.
+    Est-ce qu'il existe aussi une version végétarienne sans viande ? Ma fille ne mange pas d'œufs ni de noix.
+    Écris-moi les ingrédients pour quatre personnes, s'il te plaît. Nous avons aussi besoin d'une liste de courses pour le week-end.
+    La recette était super, merci beaucoup ! Les enfants ont tout mangé. Quel dessert va bien avec ?
+    Je cherche quelque chose de sain pour le petit déjeuner, peut-être avec des flocons d'avoine, du yaourt et des fruits rouges.
+    Combien de grammes de farine et de sucre faut-il pour la pâte ? La pâte est trop molle, qu'est-ce que je fais mal ?
+    Tu peux me montrer comment faire du pain à la maison ? Nous aimons la soupe, les pâtes et les plats mijotés en hiver.
+    Bonne journée, je voudrais une idée pour le déjeuner, pas trop lourde et sans beaucoup d'effort.`,
+  es: `¡Hola! ¿Tienes una receta rápida para esta noche? Me gustaría cocinar algo con pollo y verduras.
+    ¿Cuánto tiempo tiene que hornearse el pastel? ¿Puedo sustituir la nata por leche? Gracias, ¡suena delicioso!
+    Todavía tengo patatas, cebollas y un poco de queso en la nevera. ¿Qué puedo hacer con eso?
+    Primero pelar las cebollas y picarlas finamente. Luego calentar el aceite en una sartén y dorar la carne.
+    Salpimentar, añadir el caldo y dejar que todo se cocine a fuego lento durante veinte minutos.
+    ¿Hay también una versión vegetariana sin carne? Mi hija no come huevos ni nueces.
+    Escríbeme por favor los ingredientes para cuatro personas. También necesitamos una lista de la compra para el fin de semana.
+    La receta estuvo genial, ¡muchas gracias! Los niños se lo comieron todo. ¿Qué postre va bien con esto?
+    Busco algo saludable para el desayuno, quizás con avena, yogur y frutos rojos frescos.
+    ¿Cuántos gramos de harina y azúcar necesito para la masa? La masa está demasiado blanda, ¿qué hago mal?
+    ¿Me puedes enseñar cómo hacer pan en casa? Nos encanta la sopa, la pasta y el guiso en invierno.
+    Buenos días, quisiera una idea para la comida, nada muy pesado y sin mucho trabajo. ¿Cuál es la mejor manera?`,
+  pt: `Olá! Você tem uma receita rápida para hoje à noite? Eu gostaria de cozinhar algo com frango e legumes.
+    Quanto tempo o bolo precisa ficar no forno? Posso substituir o creme de leite por leite? Obrigada, parece delicioso!
+    Ainda tenho batatas, cebolas e um pouco de queijo na geladeira. O que eu posso fazer com isso?
+    Primeiro descasque as cebolas e pique bem fininho. Depois aqueça o óleo numa frigideira e doure a carne.
+    Tempere com sal e pimenta, junte o caldo e deixe tudo cozinhar em fogo baixo por vinte minutos.
+    Também existe uma versão vegetariana sem carne? Minha filha não come ovos nem nozes.
+    Escreve para mim os ingredientes para quatro pessoas, por favor. Também precisamos de uma lista de compras para o fim de semana.
+    A receita ficou ótima, muito obrigado! As crianças comeram tudo. Qual sobremesa combina com isso?
+    Estou procurando algo saudável para o café da manhã, talvez com aveia, iogurte e frutas vermelhas frescas.
+    Quantos gramas de farinha e açúcar eu preciso para a massa? A massa está mole demais, o que estou fazendo de errado?
+    Você pode me mostrar como fazer pão em casa? Nós adoramos sopa, macarrão e ensopado no inverno.
+    Bom dia, eu queria uma ideia para o almoço, nada muito pesado e sem muito trabalho. Qual é o melhor jeito?
+    Não sei o que fazer para o jantar, estou sem ideias. Tem alguma sugestão com peixe ou camarão?`,
+};
+const LANGS = Object.keys(CORPUS);
+
+/**
+ * Nur Buchstaben behalten (inkl. Akzente), klein, Wortgrenzen als Leerzeichen
+ */
+function normalize(text) {
+  return String(text || '').toLowerCase()
+    .replace(/[^\p{L}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Alle 1..MAX_N-Gramme eines Textes (Wörter mit Leerzeichen gepolstert)
+ */
+function ngrams(text) {
+  const out = [];
+  for (const word of normalize(text).split(' ')) {
+    if (!word) continue;
+    const padded = ` ${word} `;
+    for (let n = 1; n <= MAX_N; n++) {
+      for (let i = 0; i + n <= padded.length; i++) {
+        const gram = padded.slice(i, i + n);
+        if (gram !== ' ') out.push(gram);
+      }
+    }
+  }
+  return out;
+}
+
+// ─── PROFILE (einmalig beim Laden) ───────────────────────
+const PROFILES = {};
+const VOCAB = new Set();
+for (const lang of LANGS) {
+  const counts = new Map();
+  for (const gram of ngrams(CORPUS[lang])) {
+    counts.set(gram, (counts.get(gram) || 0) + 1);
+    VOCAB.add(gram);
+  }
+  PROFILES[lang] = { counts, total: [...counts.values()].reduce((a, b) => a + b, 0) };
+}
+for (const lang of LANGS) {
+  const p = PROFILES[lang];
+  p.unseen = Math.log(SMOOTHING / (p.total + SMOOTHING * VOCAB.size));
+}
+
+/**
+ * Sprache erkennen → { lang, confidence, scores }
+ * langs = Kandidaten (Teilmenge von LANGS), lang = null wenn der Text keine Buchstaben hat
+ */
+function identify(text, langs = LANGS) {
+  const candidates = langs.filter(l => PROFILES[l]);
+  const letters = normalize(text).replace(/ /g, '').length;
+  const grams = ngrams(text);
+  if (letters < MIN_LETTERS || grams.length === 0 || candidates.length === 0) return { lang: null, confidence: 0, scores: {} };
+
+  // Mittlere Log-Wahrscheinlichkeit pro n-Gramm
+  const scores = {};
+  for (const lang of candidates) {
+    const p = PROFILES[lang];
+    const denom = p.total + SMOOTHING * VOCAB.size;
+    let sum = 0;
+    for (const gram of grams) {
+      const c = p.counts.get(gram);
+      sum += c ? Math.log((c + SMOOTHING) / denom) : p.unseen;
+    }
+    scores[lang] = sum / grams.length;
+  }
+
+  // Softmax → Wahrscheinlichkeit der besten Sprache, gedämpft bei kurzen Texten
+  const best = candidates.reduce((a, b) => (scores[b] > scores[a] ? b : a));
+  const exps = candidates.map(l => Math.exp((scores[l] - scores[best]) * SHARPNESS));
+  const posterior = 1 / exps.reduce((a, b) => a + b, 0);
+  const lengthFactor = Math.min(1, letters / FULL_LETTERS);
+  const confidence = Math.round(posterior * (0.5 + 0.5 * lengthFactor) * 1000) / 1000;
+  return { lang: best, confidence, scores };
+}
+
+/**
+ * Sprache oder null, wenn die Erkennung zu unsicher ist
+ */
+function detectLanguage(text, minConfidence = 0.5, langs = LANGS) {
+  const { lang, confidence } = identify(text, langs);
+  return lang && confidence >= minConfidence ? lang : null;
+}
+
+module.exports = { identify, detectLanguage, LANGS };
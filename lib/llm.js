@@ -0,0 +1,238 @@
+// ═══════════════════════════════════════════════════════════
+// LLM – Provider-Kette für OpenAI-kompatible Chat-APIs
+// ═══════════════════════════════════════════════════════════
+// Alle Modell-Aufrufe (Web-Chat, WhatsApp, Telegram, Broadcast-Texte) laufen
+// über EINEN Client. Jeder Provider spricht POST {url}/chat/completions:
+//   deepseek → https://api.deepseek.com/v1
+//   openai   → https://api.openai.com/v1
+//   local    → Ollama (http://localhost:11434/v1), llama.cpp-Server, vLLM, ...
+//
+// PROVIDER-KETTE (ENV LLM_PROVIDERS, z.B. "deepseek,openai,local"):
+//   Nicht konfigurierte Provider werden übersprungen.
+//   429 / 5xx / Netzwerkfehler / Timeout → Retry mit Backoff (Retry-After wird
+//   beachtet), nach `retries` Versuchen → nächster Provider.
+//   Andere Fehler (400, 401, ...) → sofort nächster Provider.
+//   Streaming: Wechsel nur solange noch kein Token gesendet wurde, danach
+//   wird der Fehler durchgereicht (sonst doppelter Text beim Client).
+//
+// PARAMETER PRO ANWENDUNGSFALL (ENV LLM_PARAMS):
+//   Defaults kommen vom Server ({ web: { max_tokens, temperature }, ... }),
+//   LLM_PARAMS überschreibt einzelne Werte: "web.temperature=0.4,broadcast.max_tokens=300"
+//
+// Fehler nach der ganzen Kette: Error mit .status, .provider (letzter Versuch).
+
+const fetch = require('node-fetch');
+
+const DEFAULT_ORDER = ['deepseek'];
+const BACKOFF_BASE = 1000;
+const BACKOFF_MAX = 10 * 1000;
+const PARAM_KEYS = ['max_tokens', 'temperature', 'top_p', 'presence_penalty', 'frequency_penalty'];
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// ─── PROVIDER ────────────────────────────────────────────
+// Jeder Provider: { name, label, url, key, model, configured }
+function buildProviders(config) {
+  const deepseek = config.deepseek || {};
+  const openai = config.openai || {};
+  const local = config.local || {};
+  return {
+    deepseek: {
+      name: 'deepseek',
+      label: 'DeepSeek',
+      url: deepseek.url || 'https://api.deepseek.com/v1',
+      key: deepseek.key || '',
+      model: deepseek.model || 'deepseek-chat',
+      configured: !!deepseek.key,
+    },
+    openai: {
+      name: 'openai',
+      label: 'OpenAI',
+      url: openai.url || 'https://api.openai.com/v1',
+      key: openai.key || '',
+      model: openai.model || 'gpt-4o-mini',
+      configured: !!openai.key,
+    },
+    // Lokaler Server braucht meist keinen Key → konfiguriert sobald eine URL gesetzt ist
+    local: {
+      name: 'local',
+      label: 'Lokal',
+      url: local.url || '',
+      key: local.key || '',
+      model: local.model || 'llama3.1',
+      configured: !!local.url,
+    },
+  };
+}
+
+/**
+ * "web.temperature=0.4,broadcast.max_tokens=300" → { web: { temperature: 0.4 }, broadcast: {...} }
+ * Unbekannte Parameter werden ignoriert (mit Warnung).
+ */
+function parseParamOverrides(value) {
+  const out = {};
+  for (const part of String(value || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const m = /^(\w+)\.(\w+)\s*=\s*(-?[\d.]+)$/.exec(part);
+    if (!m || !PARAM_KEYS.includes(m[2]) || !Number.isFinite(Number(m[3]))) {
+      console.warn(`[LLM] LLM_PARAMS ignoriert: "${part}"`);
+      continue;
+    }
+    (out[m[1]] = out[m[1]] || {})[m[2]] = Number(m[3]);
+  }
+  return out;
+}
+
+/**
+ * 429, 5xx und Netzwerk-/Timeout-Fehler (kein HTTP-Status) lohnen einen Retry
+ */
+function isRetryable(err) {
+  return !err.status || err.status === 429 || err.status >= 500;
+}
+
+/**
+ * Wartezeit vor dem nächsten Versuch: Retry-After (Sekunden) oder exponentiell
+ */
+function backoffFor(err, attempt) {
+  const retryAfter = parseFloat(err.retryAfter);
+  const ms = Number.isFinite(retryAfter) ? retryAfter * 1000 : BACKOFF_BASE * 2 ** attempt;
+  return Math.min(ms, BACKOFF_MAX);
+}
+
+/**
+ * Ein Request an einen Provider → fetch Response (ok) ODER throw mit .status
+ */
+async function request(p, body, timeout) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (p.key) headers.Authorization = `Bearer ${p.key}`;
+  if (body.stream) headers.Accept = 'text/event-stream';
+  const res = await fetch(`${p.url.replace(/\/+$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ model: p.model, ...body }),
+    timeout,
+  });
+  if (!res.ok) {
+    const detail = await res.text().catch(() => '');
+    const err = new Error(`${p.label} ${res.status}: ${detail.slice(0, 300)}`);
+    err.status = res.status;
+    err.retryAfter = res.headers.get('retry-after');
+    throw err;
+  }
+  return res;
+}
+
+/**
+ * OpenAI-kompatible SSE-Zeilen ("data: {...}" bis "data: [DONE]") lesen.
+ * onDelta(text) für jedes Token-Stück, Rückgabe ist der volle Text.
+ */
+async function readStream(res, onDelta) {
+  let full = '';
+  let pending = '';  // Unvollständige Zeile aus dem letzten Chunk
+  for await (const chunk of res.body) {
+    pending += chunk.toString('utf8');
+    const lines = pending.split('\n');
+    pending = lines.pop();
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+      const payload = trimmed.slice(5).trim();
+      if (payload === '[DONE]') return full;
+      try {
+        const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (delta) {
+          full += delta;
+          onDelta(delta);
+        }
+      } catch (e) {
+        console.error('[LLM] Ungültige SSE-Zeile:', payload.slice(0, 100));
+      }
+    }
+  }
+  return full;
+}
+
+/**
+ * LLM-Client erzeugen
+ * { deepseek: { url, key, model }, openai: {...}, local: {...},
+ *   order: ['deepseek','openai','local'], timeout, retries, params: { web: {...}, ... }, overrides }
+ */
+function createLLM(config) {
+  const providers = buildProviders(config);
+  const order = (config.order && config.order.length ? config.order : DEFAULT_ORDER)
+    .filter(name => {
+      if (!providers[name]) console.warn(`[LLM] Unbekannter Provider: ${name}`);
+      return !!providers[name];
+    });
+  const chain = order.map(n => providers[n]).filter(p => p.configured);
+  const timeout = config.timeout || 30000;
+  const retries = config.retries != null ? config.retries : 2;
+  const overrides = parseParamOverrides(config.overrides);
+
+  /**
+   * Kette durchlaufen: call(provider) bis einer klappt
+   * canFailover() → false sobald beim Streaming schon Text rausging
+   */
+  async function run(call, canFailover = () => true) {
+    if (chain.length === 0) throw Object.assign(new Error('LLM not configured'), { status: 503 });
+    let lastErr = null;
+    for (const p of chain) {
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        try {
+          return await call(p);
+        } catch (e) {
+          lastErr = Object.assign(e, { provider: p.name });
+          if (!canFailover()) throw e;
+          if (!isRetryable(e) || attempt === retries) break;
+          const wait = backoffFor(e, attempt);
+          console.warn(`[LLM] ${p.label} ${e.status || e.message} – Retry ${attempt + 1}/${retries} in ${wait}ms`);
+          await sleep(wait);
+        }
+      }
+      console.error(`[LLM] ${p.label} fehlgeschlagen:`, lastErr.message);
+    }
+    throw lastErr;
+  }
+
+  return {
+    /**
+     * Konfigurierte Provider in Ketten-Reihenfolge
+     */
+    providers: chain.map(p => `${p.name}:${p.model}`),
+
+    /**
+     * Modell-Parameter für einen Anwendungsfall (Defaults + LLM_PARAMS)
+     */
+    params(use) {
+      return { ...(config.params || {})[use], ...overrides[use] };
+    },
+
+    /**
+     * Komplette Antwort → Text
+     */
+    async complete(messages, params) {
+      return run(async (p) => {
+        const res = await request(p, { messages, ...params }, timeout);
+        const data = await res.json();
+        const content = data.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') throw new Error(`${p.label}: Antwort ohne Text`);
+        return content;
+      });
+    },
+
+    /**
+     * Streaming: onDelta(text) pro Token-Stück, Rückgabe = voller Text
+     */
+    async stream(messages, params, onDelta) {
+      let started = false;
+      return run(async (p) => {
+        const res = await request(p, { messages, ...params, stream: true }, timeout);
+        return readStream(res, (delta) => {
+          started = true;
+          onDelta(delta);
+        });
+      }, () => !started);
+    },
+  };
+}
+
+module.exports = { createLLM, parseParamOverrides, isRetryable };
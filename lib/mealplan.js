@@ -0,0 +1,268 @@
+// ═══════════════════════════════════════════════════════════
+// ESSENSPLAN – mehrere Rezepte + EINE zusammengeführte Einkaufsliste
+// ═══════════════════════════════════════════════════════════
+// "Plane meine Woche" → der Server wählt Rezepte aus recipesCache und merkt
+// sich den Plan in der Session (conv.mealPlan = { recipeIds, servings, skipped, ts }).
+// Spätere Nachrichten ändern ihn ("entferne 2", "füge Lasagne zum Plan hinzu",
+// "tausche 3", "Plan für 4 Personen") – alles ohne AI, deterministisch.
+// Befehle stehen am Anfang der Nachricht; Fragen wie "Was ist ein guter
+// Essensplan?" oder "Geht das ohne Zucker?" gehen normal an die AI.
+//
+// Einkaufsliste (buildShoppingList): Zutaten aller Rezepte (lib/recipe-details.js)
+// werden geparst (lib/units.js), auf die Personenzahl skaliert, gleiche Zutaten
+// addiert ("200 g Mehl" + "1 kg Mehl" → "1,2 kg Mehl") und nach Abteilung im
+// Supermarkt sortiert. Ausgabe: Text (WhatsApp/Telegram) oder [SHOPLIST] (Web).
+
+const {
+  parseIngredient, scaleIngredient, convertIngredient, sumIngredients, dimensionOf, formatIngredient, SERVINGS_RE,
+} = require('./units');
+
+const PLAN_DEFAULT = 5;     // Rezepte pro Plan ohne Zahl ("plane meine Woche")
+const PLAN_MAX = 7;
+const COMMAND_MAX = 120;    // Befehle nur in kurzen Nachrichten erkennen
+
+function fold(text) {
+  return String(text || '').toLowerCase()
+    .replace(/ß/g, 'ss')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// ─── BEFEHLE (normalisiert: klein, ohne Akzente/Satzzeichen) ─
+const PHRASES = {
+  create: [
+    'plan my week', 'plan my meals', 'meal plan', 'weekly plan',
+    'plane meine woche', 'plan meine woche', 'wochenplan', 'essensplan',
+    'planifie ma semaine', 'planifier ma semaine', 'menu de la semaine', 'plan de repas',
+    'planea mi semana', 'planifica mi semana', 'menu semanal', 'plan de comidas',
+    'planeia a minha semana', 'planeie a minha semana', 'planeja minha semana', 'plano semanal', 'cardapio da semana',
+  ],
+  // Vor dem Befehl erlaubt: "bitte", "mach mir einen (neuen) Wochenplan", "please create a meal plan"
+  lead: [
+    'bitte', 'please', 'ok', 'okay', 'jetzt', 'now', 'svp', 'por favor',
+    'mach', 'mache', 'erstelle', 'erstell', 'gib', 'make', 'create', 'give', 'fais', 'cree', 'crea', 'haz', 'faz', 'cria',
+    'mir', 'uns', 'me', 'us', 'moi', 'nous',
+    'ein', 'eine', 'einen', 'a', 'an', 'un', 'une', 'una', 'uma', 'um',
+  ],
+  show: ['zeig', 'zeige', 'show', 'montre', 'affiche', 'muestra', 'ensena', 'mostra', 'mostre'],
+  renew: ['neu', 'neue', 'neuer', 'neuen', 'new', 'another', 'nouveau', 'nouvelle', 'nuevo', 'nueva', 'novo', 'nova'],
+  plan: ['plan', 'plans', 'plano', 'woche', 'week', 'semaine', 'semana', 'wochenplan', 'essensplan'],
+  shopping: [
+    'einkaufsliste', 'einkaufen', 'shopping list', 'grocery list', 'liste de courses', 'liste des courses',
+    'lista de la compra', 'lista de compras', 'lista da compra',
+  ],
+  clear: ['losche', 'loschen', 'delete', 'clear', 'supprime', 'efface', 'borra', 'elimina', 'apaga'],
+  remove: [
+    'entferne', 'streiche', 'losche', 'remove', 'delete', 'drop',
+    'enleve', 'retire', 'supprime', 'quita', 'elimina', 'borra', 'saca', 'tira', 'retira', 'apaga',
+  ],
+  add: ['fuge', 'fug', 'hinzu', 'add', 'ajoute', 'anade', 'agrega', 'adiciona', 'acrescenta'],
+  // Füllwörter um den Rezeptnamen: "entferne die Lasagne aus dem Plan", "add a salad to my plan"
+  article: [
+    'der', 'die', 'das', 'den', 'dem', 'mein', 'meinen', 'meinem', 'unser', 'unseren', 'aus', 'von', 'vom', 'zum', 'zur', 'in', 'im',
+    'the', 'my', 'our', 'a', 'an', 'from', 'to', 'of', 'off', 'le', 'la', 'les', 'l', 'mon', 'ma', 'du', 'de', 'des', 'au', 'dans',
+    'el', 'los', 'las', 'mi', 'del', 'al', 'en', 'o', 'os', 'as', 'meu', 'minha', 'do', 'da', 'dos', 'ao', 'no', 'na',
+    'nummer', 'nr', 'number', 'numero', 'rezept', 'recipe', 'recette', 'receta', 'receita',
+  ],
+  filler: [
+    'bitte', 'mit', 'fur', 'mir', 'please', 'with', 'for', 'me', 'svp', 's il te plait', 'avec', 'pour',
+    'por favor', 'con', 'para', 'com',
+  ],
+  replace: ['tausche', 'ersetze', 'swap', 'replace', 'remplace', 'change', 'cambia', 'reemplaza', 'troca', 'substitui'],
+};
+
+const has = (norm, list) => list.some(p => norm.includes(` ${p} `));
+const starts = (norm, list) => list.some(p => norm.startsWith(` ${p} `));
+const strip = (norm, ...lists) => lists.flat().reduce((s, p) => s.split(` ${p} `).join(' '), norm).trim();
+
+/**
+ * Einleitende Wörter am Anfang entfernen: " bitte mach mir einen wochenplan " → " wochenplan "
+ */
+function dropLead(norm, words) {
+  let s = norm;
+  for (let w; (w = words.find(p => s.startsWith(` ${p} `)));) s = s.slice(w.length + 1);
+  return s;
+}
+
+/**
+ * Plan-Befehl erkennen → { action, count?, index?, query?, servings? } oder null
+ * Ohne bestehenden Plan nur "create"; Änderungen brauchen einen Plan.
+ * Nur Aufforderungen am Nachrichtenanfang; entfernen/hinzufügen nur mit
+ * Nummer bzw. Plan-Wort ("entferne 2", "add lasagna to my plan").
+ * servings = bereits erkannte Personenzahl (lib/units.js detectServings)
+ */
+function parsePlanCommand(text, hasPlan, servings) {
+  if (String(text || '').length > COMMAND_MAX) return null;
+  // "für 4 Personen" ist keine Rezept-Nummer/-Anzahl
+  const norm = ` ${fold(text).replace(new RegExp(SERVINGS_RE.source, 'g'), ' ')} `;
+  const number = /\s([1-9])\s/.exec(norm);
+  const index = number ? parseInt(number[1], 10) : null;
+  const head = dropLead(norm, [...PHRASES.lead, ...PHRASES.renew]);
+  // Was nach Befehlswort, Plan-Wort und Füllwörtern übrig bleibt (Rezeptname)
+  const rest = (...lists) => strip(head, ...lists, PHRASES.plan, PHRASES.article, PHRASES.filler).replace(/\b\d+\b/g, '').trim();
+
+  if (starts(head, PHRASES.create) && (!hasPlan || has(norm, PHRASES.renew))) {
+    const count = index && index >= 2 && index <= PLAN_MAX ? index : PLAN_DEFAULT;
+    const query = strip(head, PHRASES.create, PHRASES.renew, PHRASES.plan, PHRASES.filler).replace(/\b\d+\b/g, '').trim();
+    return { action: 'create', count, query, servings };
+  }
+  if (!hasPlan) return null;
+
+  const mentionsPlan = has(norm, PHRASES.plan) || has(norm, PHRASES.create);
+  if (has(norm, PHRASES.shopping) && mentionsPlan) return { action: 'shoplist' };
+  if (starts(head, PHRASES.clear) && mentionsPlan && !index && !rest(PHRASES.clear)) return { action: 'clear' };
+  // Nummer nur, wenn sonst nichts dasteht: "entferne 2", nicht "remove 2 tablespoons sugar"
+  if (starts(head, PHRASES.replace) && index && !rest(PHRASES.replace)) return { action: 'replace', index };
+  if (starts(head, PHRASES.remove)) {
+    const query = rest(PHRASES.remove);
+    if (index && !query) return { action: 'remove', index, query };
+    if (!index && mentionsPlan && query) return { action: 'remove', index, query };
+  }
+  if (starts(head, PHRASES.add) && mentionsPlan) {
+    const query = rest(PHRASES.add);
+    if (query) return { action: 'add', query };
+  }
+  // "Plan für 4 Personen", "ändere den Plan auf 3 Personen" – nicht "My plan is to cook for 4"
+  if (servings && mentionsPlan && !rest(PHRASES.replace, ['andere', 'aendere', 'set', 'make'])) return { action: 'servings', servings };
+  // "mein Plan", "zeig mir den Plan", "Wochenplan?" – nicht "My plan is to bake a cake"
+  if (mentionsPlan && !rest(PHRASES.show, PHRASES.create)) return { action: 'show' };
+  if (starts(head, PHRASES.create)) return { action: 'show' };
+  return null;
+}
+
+// ─── SUPERMARKT-ABTEILUNGEN ──────────────────────────────
+// Längster Treffer gewinnt ("kokosmilch" → Vorrat, nicht "milch" → Kühlregal).
+// Schlüsselwörter ≤ 3 Zeichen nur als ganzes Wort, 4 Zeichen am Wortanfang, sonst überall.
+const SECTION_ORDER = ['produce', 'meat_fish', 'dairy', 'bakery', 'pantry', 'spices', 'frozen', 'drinks', 'other'];
+const SECTION_WORDS = {
+  produce: `tomat zwiebel onion oignon cebolla cebola knoblauch garlic ail ajo alho kartoffel potato pomme
+    patata batata karotte mohre carrot carotte zanahoria cenoura paprika bell_pepper red_pepper poivron pimiento
+    salat lettuce laitue lechuga alface gurke cucumber concombre pepino zucchini courgette calabacin abobrinha
+    spinat spinach epinard espinaca espinafre zitrone lemon citron limon limao limette lime apfel apple manzana
+    banane banana petersilie parsley persil perejil koriander coriander cilantro coentro basilikum basil basilic
+    albahaca manjericao ingwer ginger gingembre jengibre gengibre pilze champignon mushroom setas cogumelo
+    aubergine eggplant berenjena beringela brokkoli broccoli brocoli lauch leek poireau puerro avocado aguacate
+    abacate minze mint menthe schnittlauch chives fruhlingszwiebel spring_onion kurbis pumpkin
+    potiron calabaza abobora sellerie celery celeri`,
+  meat_fish: `hahnchen huhn chicken poulet pollo frango rind beef boeuf ternera vaca schwein pork porc cerdo porco
+    hackfleisch mince ground_beef viande_hachee carne_picada carne_moida lamm lamb agneau cordero borrego speck
+    bacon lardons tocino wurst sausage saucisse salchicha chorizo linguica schinken ham jambon jamon presunto
+    fisch fish poisson pescado peixe lachs salmon saumon thunfisch tuna thon atun atum garnele shrimp prawn
+    crevette gamba camarao pute turkey dinde pavo peru merguez`,
+  dairy: `milch milk lait leche leite sahne schlagsahne cream creme nata natas butter beurre mantequilla manteiga
+    kase cheese fromage queso queijo parmesan mozzarella feta joghurt yogurt yaourt yogur iogurte quark ei eier
+    egg eggs oeuf oeufs huevo huevos ovo ovos schmand creme_fraiche ricotta mascarpone`,
+  bakery: 'brot bread pain pao brotchen toast baguette tortilla wrap pita naan',
+  pantry: `mehl flour farine harina farinha zucker sugar sucre azucar acucar reis rice riz arroz nudeln pasta
+    spaghetti penne pates couscous bulgur quinoa linsen lentil lentille lenteja lentilha kichererbse chickpea
+    pois_chiche garbanzo grao bohne bean haricot frijol alubia feijao dose dosen can tin conserve lata bruhe
+    stock broth bouillon caldo backpulver baking_powder hefe yeast levure nusse nuts noix mandel almond amande
+    almendra amendoa haferflocken oats avoine avena aveia kokosmilch coconut_milk lait_de_coco leche_de_coco
+    leite_de_coco erdnussbutter peanut_butter beurre_de_cacahuete erdnuss peanut tomatenmark passata tomato_paste concentre_de_tomate polenta semola semolina griess`,
+  spices: `salz salt sel sal pfeffer pepper poivre pimienta pimenta paprikapulver kreuzkummel cumin comino cominho
+    zimt cinnamon cannelle canela curry kurkuma turmeric curcuma oregano thymian thyme thym tomillo tomilho chili
+    chilli olivenol ol oil huile aceite azeite essig vinegar vinaigre vinagre senf mustard moutarde mostaza
+    mostarda sojasauce soy_sauce sauce_soja salsa_de_soja molho_de_soja honig honey miel mel gewurz spice epice
+    especia lorbeer bay_leaf laurier laurel louro muskat nutmeg muscade vanille vanilla vainilla baunilha
+    knoblauchpulver garlic_powder ras_el_hanout harissa`,
+  frozen: 'tiefkuhl frozen surgele surgeles congelado congelados congelada',
+  drinks: 'wein wine vin vino vinho bier beer biere cerveza cerveja saft juice jus zumo suco wasser water eau agua',
+};
+const SECTION_KEYWORDS = Object.entries(SECTION_WORDS).flatMap(([code, words]) =>
+  words.split(/\s+/).filter(Boolean).map((w) => {
+    const word = w.replace(/_/g, ' ');
+    const re = word.length <= 3 ? `(?:^| )${word}(?= |$)` : word.length === 4 ? `(?:^| )${word}` : word;
+    return { code, length: word.length, re: new RegExp(re) };
+  }));
+
+// Konserven gehören ins Vorratsregal, auch wenn "tomat" länger ist als "dose"
+const CANNED_RE = /(?:^| )(?:dosen?\w*|cans?|canned|tins?|tinned|latas?|conserves?|boites?|botes?|enlatad[oa]s?)(?= |$)/;
+
+/**
+ * Zutatenname → Abteilung (SECTION_ORDER), unbekannt → 'other'
+ */
+function sectionFor(name) {
+  const norm = fold(name);
+  if (CANNED_RE.test(norm)) return 'pantry';
+  let best = { code: 'other', length: 0 };
+  for (const k of SECTION_KEYWORDS) {
+    if (k.length > best.length && k.re.test(norm)) best = k;
+  }
+  return best.code;
+}
+
+// ─── EINKAUFSLISTE ───────────────────────────────────────
+/**
+ * "Zwiebeln (rot), gehackt" → "Zwiebeln"
+ */
+function cleanName(text) {
+  return String(text || '').replace(/\([^)]*\)/g, '').split(',')[0].replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Vergleichsschlüssel: "Tomaten" = "Tomate", "Eier" = "Ei", "Dosen" = "Dose"
+ */
+function nameKey(name) {
+  return fold(name).split(' ')
+    .map(w => (w.length >= 4 ? w.replace(/(en|es|er|n|s|e)$/, '') : w))
+    .join(' ');
+}
+
+/**
+ * Stückzahl ohne Einheit: Nomen vom größten Eintrag ("2 Dosen Kokosmilch");
+ * gibt es nur die Singularform, steht die Zahl dahinter ("egg × 2" statt "2 egg")
+ */
+function formatCount(total, group, lang) {
+  const qty = formatIngredient({ ...total, rest: '' }, lang);
+  return (total.max > 1) === (group.max > 1) ? `${qty} ${group.name}` : `${group.name} × ${qty}`;
+}
+
+/**
+ * entries = [{ recipe, lines: ["200 g Mehl", ...] | null, factor }]
+ * → { sections: [{ code, items: ["1,2 kg Mehl", ...] }], missing: [recipe] }
+ */
+function buildShoppingList(entries, { system = null, lang = 'en' } = {}) {
+  const groups = new Map();  // Schlüssel → { name, items: [ing] } bzw. { name, plain }
+  const missing = [];
+
+  for (const { recipe, lines, factor = 1 } of entries) {
+    if (!lines || lines.length === 0) {
+      missing.push(recipe);
+      continue;
+    }
+    for (const line of lines) {
+      const ing = parseIngredient(line);
+      if (!ing) {
+        const key = `plain|${nameKey(cleanName(line))}`;
+        if (!groups.has(key)) groups.set(key, { name: cleanName(line), plain: line.trim() });
+        continue;
+      }
+      const name = cleanName(ing.rest);
+      const key = `${dimensionOf(ing.unit)}|${nameKey(name)}`;
+      if (!groups.has(key)) groups.set(key, { name, max: 0, items: [] });
+      const group = groups.get(key);
+      // Anzeigename vom größten Eintrag ("2 Dosen Kokosmilch" statt "1 Dose ...")
+      if (ing.max > group.max) Object.assign(group, { name, max: ing.max });
+      group.items.push(scaleIngredient({ ...ing, prefix: '' }, factor));
+    }
+  }
+
+  // "Salz" ohne Menge fällt weg, wenn "1 TL Salz" schon auf der Liste steht
+  const withQty = new Set([...groups.entries()].filter(([, g]) => g.items).map(([key]) => key.split('|')[1]));
+  const sections = new Map(SECTION_ORDER.map(code => [code, []]));
+  for (const [key, group] of groups) {
+    if (group.plain && withQty.has(key.split('|')[1])) continue;
+    const total = group.items && convertIngredient(sumIngredients(group.items), system);
+    const text = group.plain
+      || (total.unit ? formatIngredient({ ...total, rest: ` ${group.name}` }, lang) : formatCount(total, group, lang));
+    sections.get(sectionFor(group.name)).push(text);
+  }
+
+  return {
+    sections: [...sections].filter(([, items]) => items.length).map(([code, items]) => ({ code, items })),
+    missing,
+  };
+}
+
+module.exports = { parsePlanCommand, buildShoppingList, sectionFor, PLAN_DEFAULT, PLAN_MAX, SECTION_ORDER };
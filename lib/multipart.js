@@ -0,0 +1,34 @@
+// ─── MULTIPART/FORM-DATA ─────────────────────────────────
+// node-fetch v2 hat kein FormData → Body für Datei-Uploads selbst bauen
+// (Speech-to-Text Upload, WhatsApp Media Upload).
+
+const crypto = require('crypto');
+
+/**
+ * fields: { name: value }, files: [{ name, filename, contentType, data: Buffer }]
+ * Rückgabe: { body: Buffer, contentType: 'multipart/form-data; boundary=...' }
+ */
+function buildMultipart(fields, files) {
+  const boundary = '----mdr' + crypto.randomBytes(12).toString('hex');
+  const parts = [];
+
+  for (const [name, value] of Object.entries(fields || {})) {
+    if (value === undefined || value === null || value === '') continue;
+    parts.push(Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`
+    ));
+  }
+  for (const file of files || []) {
+    parts.push(Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="${file.name}"; filename="${file.filename}"\r\n` +
+      `Content-Type: ${file.contentType || 'application/octet-stream'}\r\n\r\n`
+    ));
+    parts.push(file.data);
+    parts.push(Buffer.from('\r\n'));
+  }
+  parts.push(Buffer.from(`--${boundary}--\r\n`));
+
+  return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+module.exports = { buildMultipart };
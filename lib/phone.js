@@ -0,0 +1,418 @@
+// ═══════════════════════════════════════════════════════════
+// TELEFONNUMMERN – Ländervorwahl → Land, Sprache, Zeitzone
+// ═══════════════════════════════════════════════════════════
+// EINE Tabelle für alles, was wir aus einer WhatsApp-Nummer ableiten:
+//   - Sprache (Fallback, wenn der Text keine eindeutige Sprache hat)
+//   - Zeitzone (Broadcast-Sendefenster, siehe BROADCAST_WINDOWS)
+//
+// CALLING_CODES: komplette ITU-T E.164 Ländervorwahlen (Zone 1–9).
+//   Sprache = unsere Standardsprache für das Land (de/en/fr/es/pt),
+//   Zeitzone = repräsentative IANA-Zone (Hauptstadt / größte Stadt).
+//
+// AREAS: Länder mit mehreren Zeitzonen (oder mehreren Ländern unter einer
+//   Vorwahl) werden über die nationale Vorwahl verfeinert – z.B. +1 über die
+//   NANP Area Codes (USA/Kanada/Karibik, Quebec → Französisch),
+//   +55 über die brasilianischen DDD, +61 über die australischen Bereiche.
+
+// Vorwahl  Land  Sprache  Zeitzone
+const CALLING_CODES = parseTable(`
+1   US en America/New_York
+20  EG en Africa/Cairo
+211 SS en Africa/Juba
+212 MA fr Africa/Casablanca
+213 DZ fr Africa/Algiers
+216 TN fr Africa/Tunis
+218 LY en Africa/Tripoli
+220 GM en Africa/Banjul
+221 SN fr Africa/Dakar
+222 MR fr Africa/Nouakchott
+223 ML fr Africa/Bamako
+224 GN fr Africa/Conakry
+225 CI fr Africa/Abidjan
+226 BF fr Africa/Ouagadougou
+227 NE fr Africa/Niamey
+228 TG fr Africa/Lome
+229 BJ fr Africa/Porto-Novo
+230 MU en Indian/Mauritius
+231 LR en Africa/Monrovia
+232 SL en Africa/Freetown
+233 GH en Africa/Accra
+234 NG en Africa/Lagos
+235 TD fr Africa/Ndjamena
+236 CF fr Africa/Bangui
+237 CM fr Africa/Douala
+238 CV pt Atlantic/Cape_Verde
+239 ST pt Africa/Sao_Tome
+240 GQ es Africa/Malabo
+241 GA fr Africa/Libreville
+242 CG fr Africa/Brazzaville
+243 CD fr Africa/Kinshasa
+244 AO pt Africa/Luanda
+245 GW pt Africa/Bissau
+246 IO en Indian/Chagos
+247 AC en Atlantic/St_Helena
+248 SC en Indian/Mahe
+249 SD en Africa/Khartoum
+250 RW en Africa/Kigali
+251 ET en Africa/Addis_Ababa
+252 SO en Africa/Mogadishu
+253 DJ fr Africa/Djibouti
+254 KE en Africa/Nairobi
+255 TZ en Africa/Dar_es_Salaam
+256 UG en Africa/Kampala
+257 BI fr Africa/Bujumbura
+258 MZ pt Africa/Maputo
+260 ZM en Africa/Lusaka
+261 MG fr Indian/Antananarivo
+262 RE fr Indian/Reunion
+263 ZW en Africa/Harare
+264 NA en Africa/Windhoek
+265 MW en Africa/Blantyre
+266 LS en Africa/Maseru
+267 BW en Africa/Gaborone
+268 SZ en Africa/Mbabane
+269 KM fr Indian/Comoro
+27  ZA en Africa/Johannesburg
+290 SH en Atlantic/St_Helena
+291 ER en Africa/Asmara
+297 AW en America/Aruba
+298 FO en Atlantic/Faroe
+299 GL en America/Nuuk
+30  GR en Europe/Athens
+31  NL en Europe/Amsterdam
+32  BE fr Europe/Brussels
+33  FR fr Europe/Paris
+34  ES es Europe/Madrid
+350 GI en Europe/Gibraltar
+351 PT pt Europe/Lisbon
+352 LU fr Europe/Luxembourg
+353 IE en Europe/Dublin
+354 IS en Atlantic/Reykjavik
+355 AL en Europe/Tirane
+356 MT en Europe/Malta
+357 CY en Asia/Nicosia
+358 FI en Europe/Helsinki
+359 BG en Europe/Sofia
+36  HU en Europe/Budapest
+370 LT en Europe/Vilnius
+371 LV en Europe/Riga
+372 EE en Europe/Tallinn
+373 MD en Europe/Chisinau
+374 AM en Asia/Yerevan
+375 BY en Europe/Minsk
+376 AD es Europe/Andorra
+377 MC fr Europe/Monaco
+378 SM en Europe/San_Marino
+379 VA en Europe/Vatican
+380 UA en Europe/Kiev
+381 RS en Europe/Belgrade
+382 ME en Europe/Podgorica
+383 XK en Europe/Belgrade
+385 HR en Europe/Zagreb
+386 SI en Europe/Ljubljana
+387 BA en Europe/Sarajevo
+389 MK en Europe/Skopje
+39  IT en Europe/Rome
+40  RO en Europe/Bucharest
+41  CH de Europe/Zurich
+420 CZ en Europe/Prague
+421 SK en Europe/Bratislava
+423 LI de Europe/Vaduz
+43  AT de Europe/Vienna
+44  GB en Europe/London
+45  DK en Europe/Copenhagen
+46  SE en Europe/Stockholm
+47  NO en Europe/Oslo
+48  PL en Europe/Warsaw
+49  DE de Europe/Berlin
+500 FK en Atlantic/Stanley
+501 BZ en America/Belize
+502 GT es America/Guatemala
+503 SV es America/El_Salvador
+504 HN es America/Tegucigalpa
+505 NI es America/Managua
+506 CR es America/Costa_Rica
+507 PA es America/Panama
+508 PM fr America/Miquelon
+509 HT fr America/Port-au-Prince
+51  PE es America/Lima
+52  MX es America/Mexico_City
+53  CU es America/Havana
+54  AR es America/Argentina/Buenos_Aires
+55  BR pt America/Sao_Paulo
+56  CL es America/Santiago
+57  CO es America/Bogota
+58  VE es America/Caracas
+590 GP fr America/Guadeloupe
+591 BO es America/La_Paz
+592 GY en America/Guyana
+593 EC es America/Guayaquil
+594 GF fr America/Cayenne
+595 PY es America/Asuncion
+596 MQ fr America/Martinique
+597 SR en America/Paramaribo
+598 UY es America/Montevideo
+599 CW en America/Curacao
+60  MY en Asia/Kuala_Lumpur
+61  AU en Australia/Sydney
+62  ID en Asia/Jakarta
+63  PH en Asia/Manila
+64  NZ en Pacific/Auckland
+65  SG en Asia/Singapore
+66  TH en Asia/Bangkok
+670 TL pt Asia/Dili
+672 NF en Pacific/Norfolk
+673 BN en Asia/Brunei
+674 NR en Pacific/Nauru
+675 PG en Pacific/Port_Moresby
+676 TO en Pacific/Tongatapu
+677 SB en Pacific/Guadalcanal
+678 VU en Pacific/Efate
+679 FJ en Pacific/Fiji
+680 PW en Pacific/Palau
+681 WF fr Pacific/Wallis
+682 CK en Pacific/Rarotonga
+683 NU en Pacific/Niue
+685 WS en Pacific/Apia
+686 KI en Pacific/Tarawa
+687 NC fr Pacific/Noumea
+688 TV en Pacific/Funafuti
+689 PF fr Pacific/Tahiti
+690 TK en Pacific/Fakaofo
+691 FM en Pacific/Pohnpei
+692 MH en Pacific/Majuro
+7   RU en Europe/Moscow
+81  JP en Asia/Tokyo
+82  KR en Asia/Seoul
+84  VN en Asia/Ho_Chi_Minh
+850 KP en Asia/Pyongyang
+852 HK en Asia/Hong_Kong
+853 MO en Asia/Macau
+855 KH en Asia/Phnom_Penh
+856 LA en Asia/Vientiane
+86  CN en Asia/Shanghai
+880 BD en Asia/Dhaka
+886 TW en Asia/Taipei
+90  TR en Europe/Istanbul
+91  IN en Asia/Kolkata
+92  PK en Asia/Karachi
+93  AF en Asia/Kabul
+94  LK en Asia/Colombo
+95  MM en Asia/Yangon
+960 MV en Indian/Maldives
+961 LB fr Asia/Beirut
+962 JO en Asia/Amman
+963 SY en Asia/Damascus
+964 IQ en Asia/Baghdad
+965 KW en Asia/Kuwait
+966 SA en Asia/Riyadh
+967 YE en Asia/Aden
+968 OM en Asia/Muscat
+970 PS en Asia/Gaza
+971 AE en Asia/Dubai
+972 IL en Asia/Jerusalem
+973 BH en Asia/Bahrain
+974 QA en Asia/Qatar
+975 BT en Asia/Thimphu
+976 MN en Asia/Ulaanbaatar
+977 NP en Asia/Kathmandu
+98  IR en Asia/Tehran
+992 TJ en Asia/Dushanbe
+993 TM en Asia/Ashgabat
+994 AZ en Asia/Baku
+995 GE en Asia/Tbilisi
+996 KG en Asia/Bishkek
+998 UZ en Asia/Tashkent
+`);
+
+// ─── MEHRERE ZONEN / LÄNDER PRO VORWAHL ──────────────────
+// Ländervorwahl → [Land, Sprache, Zeitzone, nationale Präfixe]
+// Längster passender Präfix gewinnt, sonst gilt CALLING_CODES.
+const AREAS = {
+  // NANP: USA, Kanada, Karibik – 3-stellige Area Codes
+  1: [
+    ['US', 'en', 'America/New_York', `201 202 203 207 212 215 216 220 223 227 229 231 234 239 240 248 252 260
+      267 269 272 276 283 301 302 304 305 313 315 317 321 324 326 329 330 332 336 339 347 351 352 363 380
+      386 401 404 407 410 412 413 419 423 434 436 440 443 445 448 463 470 472 475 478 484 502 508 513 516
+      517 518 540 551 561 567 570 571 574 582 585 586 603 606 607 609 610 614 616 617 624 631 640 645 646
+      656 667 678 679 680 681 689 703 704 706 716 717 718 724 727 728 732 734 740 743 754 757 762 765 770
+      771 772 774 781 786 802 803 804 810 812 813 814 826 835 838 839 843 845 848 854 856 857 859 860 862
+      863 864 865 878 904 908 910 912 914 917 919 929 930 934 937 941 943 947 948 954 959 973 978 980 984 989`],
+    ['US', 'en', 'America/Chicago', `205 210 214 217 218 224 225 228 251 254 256 262 270 274 281 308 309 312
+      314 316 318 319 320 325 327 331 334 337 346 361 364 402 405 409 414 417 430 432 447 464 469 479 501
+      504 507 512 515 531 534 539 557 563 572 573 580 601 605 608 612 615 618 620 629 630 636 641 651 659
+      660 662 682 701 708 712 713 715 726 730 731 737 763 769 773 779 785 806 815 816 817 830 832 847 850
+      861 870 872 901 903 913 918 920 931 936 938 940 945 952 956 972 979 985`],
+    ['US', 'en', 'America/Denver', '208 303 307 385 406 435 505 575 719 720 801 915 970 983 986'],
+    ['US', 'en', 'America/Phoenix', '480 520 602 623 928'],
+    ['US', 'en', 'America/Los_Angeles', `206 209 213 253 279 310 323 341 350 360 369 408 415 424 425 442
+      458 503 509 510 530 541 559 562 564 619 626 628 650 657 661 669 702 707 714 725 747 760 775 805
+      818 820 831 840 858 909 916 925 949 951 971`],
+    ['US', 'en', 'America/Anchorage', '907'],
+    ['US', 'en', 'Pacific/Honolulu', '808'],
+    ['PR', 'es', 'America/Puerto_Rico', '787 939'],
+    ['VI', 'en', 'America/St_Thomas', '340'],
+    ['GU', 'en', 'Pacific/Guam', '671'],
+    ['MP', 'en', 'Pacific/Saipan', '670'],
+    ['AS', 'en', 'Pacific/Pago_Pago', '684'],
+    ['CA', 'en', 'America/St_Johns', '709'],
+    ['CA', 'en', 'America/Halifax', '428 506 782 902'],
+    ['CA', 'fr', 'America/Toronto', '263 354 367 418 438 450 468 514 579 581 819 873'],
+    ['CA', 'en', 'America/Toronto', '226 249 289 343 365 382 387 416 437 519 548 613 647 683 705 742 753 807 905 942'],
+    ['CA', 'en', 'America/Winnipeg', '204 431 584'],
+    ['CA', 'en', 'America/Regina', '306 474 639'],
+    ['CA', 'en', 'America/Edmonton', '368 403 587 780 825'],
+    ['CA', 'en', 'America/Vancouver', '236 250 257 604 672 778'],
+    ['CA', 'en', 'America/Whitehorse', '867'],
+    ['BS', 'en', 'America/Nassau', '242'],
+    ['BB', 'en', 'America/Barbados', '246'],
+    ['AI', 'en', 'America/Anguilla', '264'],
+    ['AG', 'en', 'America/Antigua', '268'],
+    ['VG', 'en', 'America/Tortola', '284'],
+    ['KY', 'en', 'America/Cayman', '345'],
+    ['BM', 'en', 'Atlantic/Bermuda', '441'],
+    ['GD', 'en', 'America/Grenada', '473'],
+    ['TC', 'en', 'America/Grand_Turk', '649'],
+    ['JM', 'en', 'America/Jamaica', '658 876'],
+    ['MS', 'en', 'America/Montserrat', '664'],
+    ['SX', 'en', 'America/Lower_Princes', '721'],
+    ['LC', 'en', 'America/St_Lucia', '758'],
+    ['DM', 'en', 'America/Dominica', '767'],
+    ['VC', 'en', 'America/St_Vincent', '784'],
+    ['DO', 'es', 'America/Santo_Domingo', '809 829 849'],
+    ['TT', 'en', 'America/Port_of_Spain', '868'],
+    ['KN', 'en', 'America/St_Kitts', '869'],
+  ],
+  // Russland / Kasachstan (Mobilnummern 9xx sind nicht geografisch → Moskau)
+  7: [
+    ['KZ', 'en', 'Asia/Almaty', '6 7'],
+    ['RU', 'en', 'Europe/Kaliningrad', '401'],
+    ['RU', 'en', 'Europe/Samara', '846 848'],
+    ['RU', 'en', 'Asia/Yekaterinburg', '343 345 347 351 352 353'],
+    ['RU', 'en', 'Asia/Omsk', '381'],
+    ['RU', 'en', 'Asia/Novosibirsk', '383'],
+    ['RU', 'en', 'Asia/Krasnoyarsk', '391'],
+    ['RU', 'en', 'Asia/Irkutsk', '395'],
+    ['RU', 'en', 'Asia/Yakutsk', '411'],
+    ['RU', 'en', 'Asia/Vladivostok', '421 423'],
+    ['RU', 'en', 'Asia/Kamchatka', '415'],
+  ],
+  // Spanien: Kanaren
+  34: [['ES', 'es', 'Atlantic/Canary', '822 828 922 928']],
+  // Vatikan teilt sich +39 06 698 mit Rom
+  39: [['VA', 'en', 'Europe/Vatican', '06698']],
+  // Kanalinseln + Isle of Man
+  44: [
+    ['GG', 'en', 'Europe/Guernsey', '1481 7781 7839 7911'],
+    ['JE', 'en', 'Europe/Jersey', '1534 7509 7700 7797 7829 7937'],
+    ['IM', 'en', 'Europe/Isle_of_Man', '1624 7524 7624 7924'],
+  ],
+  47: [['SJ', 'en', 'Arctic/Longyearbyen', '79']],
+  // Mexiko: Handynummern kommen oft noch mit "1" nach der 52 (wird in parsePhone entfernt)
+  52: [
+    ['MX', 'es', 'America/Tijuana', '646 664 686'],
+    ['MX', 'es', 'America/Hermosillo', '631 642 644 653 662'],
+    ['MX', 'es', 'America/Mazatlan', '311 612 624 667 669'],
+    ['MX', 'es', 'America/Chihuahua', '614 625 627 639'],
+    ['MX', 'es', 'America/Ciudad_Juarez', '656'],
+    ['MX', 'es', 'America/Cancun', '983 984 998'],
+  ],
+  // Brasilien: DDD (2-stellig)
+  55: [
+    ['BR', 'pt', 'America/Manaus', '92 97'],
+    ['BR', 'pt', 'America/Boa_Vista', '95'],
+    ['BR', 'pt', 'America/Porto_Velho', '69'],
+    ['BR', 'pt', 'America/Cuiaba', '65 66'],
+    ['BR', 'pt', 'America/Campo_Grande', '67'],
+    ['BR', 'pt', 'America/Rio_Branco', '68'],
+    ['BR', 'pt', 'America/Fortaleza', '85 88'],
+    ['BR', 'pt', 'America/Recife', '81 87'],
+    ['BR', 'pt', 'America/Bahia', '71 73 74 75 77'],
+    ['BR', 'pt', 'America/Belem', '91 93 94'],
+  ],
+  // Australien: 2 NSW/ACT, 3 VIC/TAS, 7 QLD, 8 WA bzw. 88 SA/NT; Mobil (4) → Sydney
+  61: [
+    ['AU', 'en', 'Australia/Melbourne', '3'],
+    ['AU', 'en', 'Australia/Brisbane', '7'],
+    ['AU', 'en', 'Australia/Perth', '8'],
+    ['AU', 'en', 'Australia/Adelaide', '88'],
+  ],
+  // Indonesien: Festnetz-Vorwahlen Zentral (WITA) / Ost (WIT); Mobil (8) → Jakarta
+  62: [
+    ['ID', 'en', 'Asia/Makassar', '36 37 38 41 42 43 45 53 54 55'],
+    ['ID', 'en', 'Asia/Jayapura', '9'],
+  ],
+  262: [['YT', 'fr', 'Indian/Mayotte', '269 639']],
+  351: [
+    ['PT', 'pt', 'Atlantic/Madeira', '291'],
+    ['PT', 'pt', 'Atlantic/Azores', '292 295 296'],
+  ],
+  358: [['AX', 'en', 'Europe/Mariehamn', '18']],
+  599: [['BQ', 'en', 'America/Kralendijk', '3 4 7']],
+};
+
+// Präfix-Tabellen einmalig aufbauen: code → Map(präfix → info)
+const AREA_INDEX = {};
+for (const [code, rows] of Object.entries(AREAS)) {
+  const map = new Map();
+  for (const [country, lang, timezone, prefixes] of rows) {
+    for (const p of prefixes.split(/\s+/).filter(Boolean)) map.set(p, { country, lang, timezone });
+  }
+  AREA_INDEX[code] = { map, lengths: [...new Set([...map.keys()].map(p => p.length))].sort((a, b) => b - a) };
+}
+
+function parseTable(text) {
+  const out = {};
+  for (const line of text.trim().split('\n')) {
+    const [code, country, lang, timezone] = line.trim().split(/\s+/);
+    out[code] = { country, lang, timezone };
+  }
+  return out;
+}
+
+/**
+ * Nur Ziffern; "00" (internationale Vorwahl) entfernen
+ */
+function digits(phone) {
+  return String(phone || '').replace(/\D/g, '').replace(/^00/, '');
+}
+
+/**
+ * Nummer (E.164, mit oder ohne "+"/"00") zerlegen
+ * → { callingCode, national, country, lang, timezone } oder null (unbekannt)
+ */
+function parsePhone(phone) {
+  const clean = digits(phone);
+  // ITU-Vorwahlen sind präfixfrei → höchstens EINE passt
+  const code = [1, 2, 3].map(len => clean.slice(0, len)).find(pre => CALLING_CODES[pre]);
+  if (!code || clean.length <= code.length) return null;
+
+  let national = clean.slice(code.length);
+  if (code === '52' && national.length === 11 && national[0] === '1') national = national.slice(1);
+
+  let info = CALLING_CODES[code];
+  const areas = AREA_INDEX[code];
+  if (areas) {
+    for (const len of areas.lengths) {
+      const hit = areas.map.get(national.slice(0, len));
+      if (hit) { info = hit; break; }
+    }
+  }
+  return { callingCode: code, national, ...info };
+}
+
+/**
+ * IANA-Zeitzone zur Nummer (fallback bei unbekannter Vorwahl)
+ */
+function timezoneForPhone(phone, fallback = 'Europe/Berlin') {
+  return parsePhone(phone)?.timezone || fallback;
+}
+
+/**
+ * Standardsprache zur Nummer (de/en/fr/es/pt)
+ */
+function langForPhone(phone, fallback = 'en') {
+  return parsePhone(phone)?.lang || fallback;
+}
+
+module.exports = { parsePhone, timezoneForPhone, langForPhone, CALLING_CODES };
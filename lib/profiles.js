@@ -0,0 +1,250 @@
+// ═══════════════════════════════════════════════════════════
+// PROFILE – Vorlieben der Userin über Sessions hinweg
+// ═══════════════════════════════════════════════════════════
+// Pro Userin EIN Profil, Schlüssel je Kanal:
+//   wa:<telefon>  |  web:<visitorId>  |  tg:<chatId>
+//
+//   { diet: 'vegetarian', allergens: ['milk'], dislikes: ['Koriander'],
+//     household: 4, equipment: ['Airfryer'], units: 'us', ts }
+//
+// Befüllt wird es NACH jeder Antwort (Conversation Engine → learn()):
+// ein kurzer LLM-Aufruf liest die letzte User-Nachricht und liefert nur
+// Änderungen als JSON ({ allergens_add: [...], household: 4, ... }).
+// Codes für diet/allergens sind fest (DIETS, ALLERGENS) → Texte über i18n
+// (diet.<code>, allergen.<code>), Abneigungen/Geräte bleiben in ihren Worten.
+// Einheiten ('metric' | 'us') setzt lib/units.js deterministisch ("in cups please"),
+// auch in kurzen Nachrichten – ohne LLM-Aufruf.
+//
+// Der System-Prompt bekommt das Profil über promptSection().
+// "Was weißt du über mich?" → formatProfile(), "Vergiss mich" → forget().
+
+const { UNIT_SYSTEMS, detectUnitSystem } = require('./units');
+
+const DIETS = ['vegetarian', 'vegan', 'pescetarian', 'halal', 'kosher', 'low_carb', 'keto'];
+// Die 14 kennzeichnungspflichtigen Allergene (EU LMIV)
+const ALLERGENS = [
+  'gluten', 'crustaceans', 'eggs', 'fish', 'peanuts', 'soy', 'milk',
+  'nuts', 'celery', 'mustard', 'sesame', 'sulphites', 'lupin', 'molluscs',
+];
+const LIST_MAX = 20;        // Max Einträge pro Liste
+const ITEM_MAX = 40;        // Max Zeichen pro Eintrag
+const MIN_LETTERS = 8;      // Kürzere Nachrichten ("ok", "ja 2") nicht auswerten
+const COMMAND_MAX = 60;     // Befehle nur in kurzen Nachrichten erkennen
+
+// ─── BEFEHLE (normalisiert: klein, ohne Akzente/Satzzeichen) ─
+const COMMANDS = {
+  show: [
+    'was weisst du uber mich', 'was weisst du von mir', 'zeig mein profil',
+    'what do you know about me', 'show my profile',
+    'que sais tu de moi', 'que sais tu sur moi', 'qu est ce que tu sais sur moi', 'mon profil',
+    'que sabes de mi', 'que sabes sobre mi', 'mi perfil',
+    'o que voce sabe sobre mim', 'o que sabes sobre mim', 'meu perfil',
+  ],
+  forget: [
+    'vergiss mich', 'losche mein profil',
+    'forget me', 'delete my profile',
+    'oublie moi', 'supprime mon profil',
+    'olvidame', 'borra mi perfil',
+    'esquece me', 'me esquece', 'esqueca me', 'apaga meu perfil',
+  ],
+};
+
+function normalize(text) {
+  return String(text || '').toLowerCase()
+    .replace(/ß/g, 'ss')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * "Was weißt du über mich?" → 'show', "Vergiss mich!" → 'forget', sonst null
+ */
+function parseProfileCommand(text) {
+  if (String(text || '').length > COMMAND_MAX) return null;
+  const norm = ` ${normalize(text)} `;
+  for (const [command, phrases] of Object.entries(COMMANDS)) {
+    if (phrases.some(p => norm.includes(` ${p} `))) return command;
+  }
+  return null;
+}
+
+function emptyProfile() {
+  return { diet: '', allergens: [], dislikes: [], household: 0, equipment: [], units: '', ts: 0 };
+}
+
+function isEmpty(profile) {
+  return !profile || (!profile.diet && !profile.household && !profile.units
+    && !profile.allergens.length && !profile.dislikes.length && !profile.equipment.length);
+}
+
+// ─── EXTRAKTION ──────────────────────────────────────────
+/**
+ * Modell-Nachrichten für die Extraktion (Frage davor = Kontext für "ja, zu viert")
+ */
+function extractionMessages(profile, question, text) {
+  const { ts, ...current } = profile || emptyProfile();
+  return [
+    {
+      role: 'system',
+      content: `Du pflegst ein Profil mit Fakten über eine Userin eines Koch-Chats.
+Aktuelles Profil: ${JSON.stringify(current)}
+
+Lies NUR ihre letzte Nachricht (eine Frage davor ist nur Kontext) und antworte AUSSCHLIESSLICH mit einem JSON-Objekt, das nur die ÄNDERUNGEN enthält:
+{"diet": "<Code>" oder "none", "allergens_add": [], "allergens_remove": [], "dislikes_add": [], "dislikes_remove": [], "household": <Personen>, "equipment_add": [], "equipment_remove": []}
+
+diet-Codes: ${DIETS.join(', ')}
+allergen-Codes: ${ALLERGENS.join(', ')} (Laktose → milk, Nüsse → nuts, Zöliakie → gluten)
+dislikes/equipment: kurze Begriffe in ihrer Sprache (z.B. "Koriander", "Airfryer")
+
+Nur was sie ausdrücklich über SICH oder ihren Haushalt sagt. Rezeptwünsche sind KEINE Fakten ("heute will ich Pasta").
+Nichts Neues → {}`,
+    },
+    ...(question ? [{ role: 'assistant', content: question.slice(0, 500) }] : []),
+    { role: 'user', content: text },
+  ];
+}
+
+/**
+ * Modell-Antwort → Patch-Objekt oder null (kein/kaputtes JSON)
+ */
+function parsePatch(raw) {
+  const match = /\{[\s\S]*\}/.exec(String(raw || ''));
+  if (!match) return null;
+  try {
+    const patch = JSON.parse(match[0]);
+    return patch && typeof patch === 'object' && !Array.isArray(patch) ? patch : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function cleanList(list, allowed) {
+  return (Array.isArray(list) ? list : [])
+    .map(v => String(v || '').trim().slice(0, ITEM_MAX))
+    .filter(v => v && (!allowed || allowed.includes(v)));
+}
+
+function updateList(list, add, remove, allowed) {
+  const removeKeys = cleanList(remove, allowed).map(v => v.toLowerCase());
+  const out = list.filter(v => !removeKeys.includes(v.toLowerCase()));
+  for (const v of cleanList(add, allowed)) {
+    if (!out.some(o => o.toLowerCase() === v.toLowerCase())) out.push(v);
+  }
+  return out.slice(-LIST_MAX);
+}
+
+/**
+ * Patch validiert anwenden → neues Profil (Original bleibt unverändert)
+ */
+function applyPatch(profile, patch) {
+  const next = { ...emptyProfile(), ...profile };
+  if (patch.diet === 'none') next.diet = '';
+  else if (DIETS.includes(patch.diet)) next.diet = patch.diet;
+  next.allergens = updateList(next.allergens, patch.allergens_add, patch.allergens_remove, ALLERGENS);
+  next.dislikes = updateList(next.dislikes, patch.dislikes_add, patch.dislikes_remove);
+  next.equipment = updateList(next.equipment, patch.equipment_add, patch.equipment_remove);
+  const household = parseInt(patch.household, 10);
+  if (household >= 1 && household <= 20) next.household = household;
+  if (UNIT_SYSTEMS.includes(patch.units)) next.units = patch.units;
+  return next;
+}
+
+// ─── AUSGABE ─────────────────────────────────────────────
+/**
+ * Abschnitt für den System-Prompt ('' ohne Profil)
+ */
+function promptSection(profile) {
+  if (isEmpty(profile)) return '';
+  const lines = [];
+  if (profile.diet) lines.push(`- Ernährung: ${profile.diet} → NUR passende Rezepte vorschlagen`);
+  if (profile.allergens.length) {
+    lines.push(`- Allergien/Unverträglichkeiten: ${profile.allergens.join(', ')} → NIEMALS Rezepte mit diesen Zutaten ohne Ersatz vorschlagen`);
+  }
+  if (profile.dislikes.length) lines.push(`- Mag nicht: ${profile.dislikes.join(', ')} → vermeiden oder Alternative nennen`);
+  if (profile.household) lines.push(`- Haushalt: ${profile.household} Personen → Mengen dafür angeben`);
+  if (profile.equipment.length) lines.push(`- Küchengeräte: ${profile.equipment.join(', ')} → gern nutzen`);
+  if (profile.units) lines.push(`- Einheiten: ${profile.units === 'us' ? 'US (cups, oz, lb, tbsp/tsp)' : 'metrisch (g, ml, EL/TL)'} → Mengen NUR so angeben`);
+  return `
+PROFIL DER USERIN (gespeichert, gilt für JEDE Antwort – nicht bei jeder Antwort erwähnen):
+${lines.join('\n')}
+`;
+}
+
+/**
+ * "Was weißt du über mich?" → Text für die Userin (t = i18n-Übersetzer)
+ */
+function formatProfile(profile, t, lang) {
+  if (isEmpty(profile)) return t(lang, 'profile.empty');
+  const lines = [t(lang, 'profile.title')];
+  if (profile.diet) lines.push(t(lang, 'profile.diet', { value: t(lang, `diet.${profile.diet}`) }));
+  if (profile.allergens.length) {
+    lines.push(t(lang, 'profile.allergens', { value: profile.allergens.map(a => t(lang, `allergen.${a}`)).join(', ') }));
+  }
+  if (profile.dislikes.length) lines.push(t(lang, 'profile.dislikes', { value: profile.dislikes.join(', ') }));
+  if (profile.household) lines.push(t(lang, 'profile.household', { count: profile.household }));
+  if (profile.equipment.length) lines.push(t(lang, 'profile.equipment', { value: profile.equipment.join(', ') }));
+  if (profile.units) lines.push(t(lang, 'profile.units', { value: t(lang, `units.${profile.units}`) }));
+  return `${lines.join('\n')}\n\n${t(lang, 'profile.forget_hint')}`;
+}
+
+// ─── SPEICHER ────────────────────────────────────────────
+class ProfileStore {
+  /**
+   * { complete(messages) → Text } – Modell-Aufruf für die Extraktion
+   */
+  constructor({ complete }) {
+    this.complete = complete;
+    this.profiles = new Map(); // key → Profil (Persistenz über storage.trackMap)
+  }
+
+  get(key) {
+    return (key && this.profiles.get(key)) || null;
+  }
+
+  forget(key) {
+    return this.profiles.delete(key);
+  }
+
+  /**
+   * Letzte User-Nachricht aus dem Verlauf auswerten → aktualisiertes Profil
+   */
+  async learn(key, msgs) {
+    const i = msgs.map(m => m.role).lastIndexOf('user');
+    if (!key || i === -1) return this.get(key);
+    const text = msgs[i].content;
+    const units = detectUnitSystem(text);
+    if (units) this._update(key, { units });
+    if (text.startsWith('[') || normalize(text).replace(/ /g, '').length < MIN_LETTERS) return this.get(key);
+    const question = msgs[i - 1]?.role === 'assistant' ? msgs[i - 1].content : '';
+
+    const current = this.get(key);
+    const patch = parsePatch(await this.complete(extractionMessages(current, question, text)));
+    if (!patch || Object.keys(patch).length === 0) return current;
+    return this._update(key, patch);
+  }
+
+  /**
+   * Patch anwenden + speichern (nur bei echter Änderung) → aktuelles Profil
+   */
+  _update(key, patch) {
+    const current = this.get(key);
+    const next = applyPatch(current, patch);
+    const { ts: _a, ...before } = { ...emptyProfile(), ...current };
+    const { ts: _b, ...after } = next;
+    if (JSON.stringify(before) === JSON.stringify(after)) return current;
+    if (isEmpty(next)) {
+      this.profiles.delete(key);
+      return null;
+    }
+    next.ts = Date.now();
+    this.profiles.set(key, next);
+    console.log(`[Profile] ${key} aktualisiert:`, JSON.stringify(patch).slice(0, 200));
+    return next;
+  }
+}
+
+module.exports = {
+  ProfileStore, parseProfileCommand, promptSection, formatProfile, applyPatch, parsePatch,
+  DIETS, ALLERGENS,
+};
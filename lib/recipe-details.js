@@ -0,0 +1,265 @@
+// ═══════════════════════════════════════════════════════════
+// REZEPT-DETAILS – Zutaten, Schritte, Zeiten (lazy pro Rezept)
+// ═══════════════════════════════════════════════════════════
+// recipesCache kennt nur Titel/URL/Excerpt. Für "Stufe 2" (Zutaten + Schritte
+// im Chat) holen wir das volle Rezept erst, wenn es gerade besprochen wird:
+//
+//   1. WordPress-Detail-Route (WP_DETAIL_URL, {id} wird ersetzt), z.B.
+//      { ingredients: ["200 g Mehl" | { amount, unit, name, notes }],
+//        steps: ["..."], prep_time: 15, cook_time: "PT30M", servings: 4, difficulty }
+//   2. Fallback: schema.org Recipe JSON-LD aus der Rezeptseite (recipe.url)
+//      (recipeIngredient, recipeInstructions, prepTime, recipeYield, ...)
+//
+// Ergebnis (einheitlich):
+//   { id, ingredients: ["200 g Mehl"], steps: ["..."], prepMin, cookMin, totalMin,
+//     servings, yield, difficulty, source: 'wp'|'jsonld', ts }
+//
+// Cache im Speicher (TTL, max. Einträge), Fehler werden kurz negativ gecacht,
+// gleichzeitige Anfragen für dasselbe Rezept teilen sich EINEN Fetch.
+
+const fetch = require('node-fetch');
+
+const DEFAULT_TTL = 6 * 60 * 60 * 1000;   // 6 Stunden
+const MISS_TTL = 10 * 60 * 1000;          // Fehlschlag → 10 Min nicht erneut versuchen
+const DEFAULT_MAX = 300;                  // Max. Rezepte im Cache
+const PAGE_MAX_BYTES = 2 * 1024 * 1024;   // Rezeptseite max. 2 MB lesen
+const INGREDIENTS_MAX = 40;
+const STEPS_MAX = 25;
+const TEXT_MAX = 400;
+
+// ─── NORMALISIERUNG ──────────────────────────────────────
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+function clean(value, max = TEXT_MAX) {
+  return String(value == null ? '' : value)
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(#\d+|#x[0-9a-f]+|\w+);/gi, (m, e) => {
+      if (ENTITIES[e.toLowerCase()]) return ENTITIES[e.toLowerCase()];
+      if (/^#x/i.test(e)) return String.fromCodePoint(parseInt(e.slice(2), 16));
+      if (e.startsWith('#')) return String.fromCodePoint(parseInt(e.slice(1), 10));
+      return m;
+    })
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, max);
+}
+
+/**
+ * 25 | "25" | "PT1H30M" | "P0DT0H45M" → Minuten (0 = unbekannt)
+ */
+function toMinutes(value) {
+  if (typeof value === 'number') return value > 0 ? Math.round(value) : 0;
+  const str = String(value || '').trim();
+  if (/^\d+$/.test(str)) return parseInt(str, 10);
+  const m = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:[\d.]+S)?)?$/i.exec(str);
+  if (!m) return 0;
+  return (parseInt(m[1] || 0, 10) * 24 + parseInt(m[2] || 0, 10)) * 60 + parseInt(m[3] || 0, 10);
+}
+
+/**
+ * "4" | 4 | "4 Portionen" | ["4", "4 servings"] → { servings: 4, yield: "4 Portionen" }
+ */
+function parseYield(value) {
+  const list = (Array.isArray(value) ? value : [value]).map(v => clean(v, 60)).filter(Boolean);
+  const withText = list.find(v => /\D/.test(v)) || list[0] || '';
+  const num = list.map(v => parseInt(v, 10)).find(n => n > 0) || 0;
+  return { servings: num, yield: withText };
+}
+
+function ingredientText(item) {
+  if (typeof item === 'string') return clean(item, 160);
+  if (!item || typeof item !== 'object') return '';
+  const main = [item.amount, item.unit, item.name].map(v => clean(v, 80)).filter(Boolean).join(' ');
+  const notes = clean(item.notes || item.note, 80);
+  return notes ? `${main} (${notes})` : main;
+}
+
+/**
+ * recipeInstructions: String | [String] | [HowToStep] | [HowToSection { itemListElement }]
+ */
+function flattenSteps(value) {
+  if (!value) return [];
+  if (typeof value === 'string') return value.split(/\n+|<\/(?:p|li)>/i).map(s => clean(s)).filter(Boolean);
+  if (Array.isArray(value)) return value.flatMap(flattenSteps);
+  if (typeof value === 'object') {
+    if (value.itemListElement) return flattenSteps(value.itemListElement);
+    const text = clean(value.text || value.name);
+    return text ? [text] : [];
+  }
+  return [];
+}
+
+function finish(detail) {
+  detail.ingredients = detail.ingredients.filter(Boolean).slice(0, INGREDIENTS_MAX);
+  detail.steps = detail.steps.slice(0, STEPS_MAX);
+  if (!detail.totalMin && (detail.prepMin || detail.cookMin)) detail.totalMin = detail.prepMin + detail.cookMin;
+  // Ohne Zutaten UND Schritte hilft das Dokument für Stufe 2 nicht
+  return detail.ingredients.length || detail.steps.length ? detail : null;
+}
+
+/**
+ * Antwort der WP-Detail-Route → Detail oder null
+ */
+function fromWordPress(data, id) {
+  const r = (data && (data.recipe || data)) || {};
+  const { servings, yield: yieldText } = parseYield(r.servings || r.yield);
+  return finish({
+    id,
+    ingredients: (Array.isArray(r.ingredients) ? r.ingredients : []).map(ingredientText),
+    steps: flattenSteps(r.steps || r.instructions),
+    prepMin: toMinutes(r.prep_time),
+    cookMin: toMinutes(r.cook_time),
+    totalMin: toMinutes(r.total_time),
+    servings,
+    yield: yieldText,
+    difficulty: clean(r.difficulty, 30),
+    source: 'wp',
+  });
+}
+
+/**
+ * Alle JSON-LD-Knoten (auch in @graph / Arrays) durchsuchen → erster Recipe-Knoten
+ */
+function findRecipeNode(node) {
+  if (!node || typeof node !== 'object') return null;
+  if (Array.isArray(node)) {
+    for (const n of node) {
+      const found = findRecipeNode(n);
+      if (found) return found;
+    }
+    return null;
+  }
+  const type = [].concat(node['@type'] || []);
+  if (type.includes('Recipe')) return node;
+  return findRecipeNode(node['@graph']);
+}
+
+/**
+ * HTML der Rezeptseite → Detail aus schema.org Recipe oder null
+ */
+function fromJsonLd(html, id) {
+  const re = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    let node;
+    try {
+      node = findRecipeNode(JSON.parse(m[1].trim()));
+    } catch (e) {
+      continue; // Kaputtes JSON-LD anderer Plugins ignorieren
+    }
+    if (!node) continue;
+    const { servings, yield: yieldText } = parseYield(node.recipeYield);
+    return finish({
+      id,
+      ingredients: [].concat(node.recipeIngredient || node.ingredients || []).map(ingredientText),
+      steps: flattenSteps(node.recipeInstructions),
+      prepMin: toMinutes(node.prepTime),
+      cookMin: toMinutes(node.cookTime),
+      totalMin: toMinutes(node.totalTime),
+      servings,
+      yield: yieldText,
+      difficulty: '',
+      source: 'jsonld',
+    });
+  }
+  return null;
+}
+
+// ─── CACHE ───────────────────────────────────────────────
+class RecipeDetailCache {
+  /**
+   * { detailUrl: 'https://.../recipes/{id}' | '', timeout, ttl, max }
+   */
+  constructor({ detailUrl = '', timeout = 6000, ttl = DEFAULT_TTL, max = DEFAULT_MAX } = {}) {
+    this.detailUrl = detailUrl;
+    this.timeout = timeout;
+    this.ttl = ttl;
+    this.max = max;
+    this.entries = new Map();  // id → { detail|null, ts, ttl }
+    this.pending = new Map();  // id → Promise (laufender Fetch)
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Nur aus dem Cache (kein Fetch) → Detail oder null
+   */
+  peek(id) {
+    const entry = this.entries.get(id);
+    return entry && Date.now() - entry.ts < entry.ttl ? entry.detail : null;
+  }
+
+  /**
+   * Detail für ein Rezept aus recipesCache ({ id, url }) → Detail oder null (nie throw)
+   */
+  async get(recipe) {
+    if (!recipe) return null;
+    const entry = this.entries.get(recipe.id);
+    if (entry && Date.now() - entry.ts < entry.ttl) return entry.detail;
+    if (this.pending.has(recipe.id)) return this.pending.get(recipe.id);
+
+    const job = this._load(recipe)
+      .catch((e) => {
+        console.error(`[Details] Rezept ${recipe.id}:`, e.message);
+        return null;
+      })
+      .then((detail) => {
+        this._store(recipe.id, detail);
+        this.pending.delete(recipe.id);
+        return detail;
+      });
+    this.pending.set(recipe.id, job);
+    return job;
+  }
+
+  _store(id, detail) {
+    this.entries.delete(id); // Neu einfügen → Map-Reihenfolge = Alter (ältester zuerst)
+    this.entries.set(id, { detail, ts: Date.now(), ttl: detail ? this.ttl : MISS_TTL });
+    while (this.entries.size > this.max) this.entries.delete(this.entries.keys().next().value);
+  }
+
+  async _load(recipe) {
+    if (this.detailUrl && recipe.id != null) {
+      try {
+        const res = await fetch(this.detailUrl.replace('{id}', encodeURIComponent(recipe.id)), { timeout: this.timeout });
+        if (!res.ok) throw new Error(`WP Detail ${res.status}`);
+        const detail = fromWordPress(await res.json(), recipe.id);
+        if (detail) return { ...detail, ts: Date.now() };
+      } catch (e) {
+        console.warn(`[Details] WP-Route für ${recipe.id} fehlgeschlagen, versuche JSON-LD:`, e.message);
+      }
+    }
+    if (!recipe.url) return null;
+    const res = await fetch(recipe.url, { timeout: this.timeout, size: PAGE_MAX_BYTES });
+    if (!res.ok) throw new Error(`Rezeptseite ${res.status}`);
+    const detail = fromJsonLd(await res.text(), recipe.id);
+    return detail ? { ...detail, ts: Date.now() } : null;
+  }
+}
+
+// ─── PROMPT ──────────────────────────────────────────────
+/**
+ * Abschnitt für den System-Prompt ('' ohne Details)
+ */
+function detailSection(recipe, detail) {
+  if (!recipe || !detail) return '';
+  const facts = [
+    detail.servings ? `Portionen: ${detail.yield || detail.servings}` : '',
+    detail.prepMin ? `Vorbereitung: ${detail.prepMin} Min` : '',
+    detail.cookMin ? `Kochen/Backen: ${detail.cookMin} Min` : '',
+    detail.totalMin ? `Gesamt: ${detail.totalMin} Min` : '',
+    detail.difficulty ? `Schwierigkeit: ${detail.difficulty}` : '',
+  ].filter(Boolean).join(' | ');
+  return `
+REZEPT-DETAILS "${recipe.title}" (von unserer Seite – für STUFE 2 GENAU diese Zutaten/Schritte verwenden, NICHTS dazuerfinden, Mengen nur übersetzen):
+${facts}
+Zutaten:
+${detail.ingredients.map(i => `- ${i}`).join('\n') || '- (keine Angabe)'}
+Zubereitung:
+${detail.steps.map((s, i) => `${i + 1}. ${s}`).join('\n') || '(keine Angabe → auf den Link verweisen)'}
+`;
+}
+
+module.exports = { RecipeDetailCache, detailSection, fromWordPress, fromJsonLd, toMinutes };
@@ -0,0 +1,169 @@
+// ═══════════════════════════════════════════════════════════
+// REZEPT-SUCHE – BM25 Volltext-Index über recipesCache
+// ═══════════════════════════════════════════════════════════
+// Statt 60 zufällige Rezepte in den Prompt zu kippen, suchen wir die
+// Rezepte die zu den letzten Nachrichten passen ("lamb tagine" → Tajine).
+//
+// Felder (gewichtet): Titel ×3, Taxonomie (Kategorien/Tags/Küche) ×2, Excerpt ×1
+// Analyse: klein, Akzente weg (é→e, ä→a, ß→ss), Stoppwörter raus,
+//          leichte Stemmer für de/en/fr/es/pt.
+// Da wir die Sprache eines Rezepts nicht kennen, wird jedes Wort mit ALLEN
+// fünf Stemmern indexiert – "tomates", "Tomaten" und "tomatoes" treffen sich.
+
+const K1 = 1.2;   // BM25 Sättigung der Termfrequenz
+const B = 0.75;   // BM25 Längen-Normalisierung
+const FIELD_WEIGHTS = { title: 3, taxonomy: 2, excerpt: 1 };
+
+// Häufige Wörter ohne Suchwert (inkl. typischer Chat-Füllwörter)
+const STOPWORDS = new Set(`
+a an and are as at be but by can do for from give have how i in is it me my of on or please
+show some something that the this to want what with would you your recipe recipes make cook
+der die das den dem des ein eine einen einem einer und oder mit fur von zu zum zur im in ist
+ich du mir mich bitte was wie hast habe gib zeig mochte will kann rezept rezepte kochen machen
+le la les un une des du de et ou avec pour dans est je tu moi veux voudrais comment recette recettes
+el los las uno una unos unas y o con para por en es yo quiero me receta recetas hacer como
+o os as um uma uns umas e ou com para por em eu quero receita receitas fazer como
+`.split(/\s+/).filter(Boolean));
+
+/**
+ * Akzente entfernen + klein schreiben
+ */
+function fold(text) {
+  return String(text || '').toLowerCase()
+    .replace(/ß/g, 'ss').replace(/œ/g, 'oe').replace(/æ/g, 'ae')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function tokenize(text) {
+  return fold(text).split(/[^a-z0-9]+/).filter(t => t.length > 1 && !STOPWORDS.has(t));
+}
+
+// ─── LEICHTE STEMMER ─────────────────────────────────────
+// Bewusst "light" (Plural/Flexion), damit Zutaten nicht zu aggressiv
+// zusammenfallen. Eingabe ist bereits gefaltet (ohne Akzente).
+const STEMMERS = {
+  en(w) {
+    if (w.length <= 3) return w;
+    if (w.endsWith('ies') && w.length > 4) return w.slice(0, -3) + 'y';
+    if (/(ches|shes|sses|xes|oes)$/.test(w)) return w.slice(0, -2);
+    if (w.endsWith('ing') && w.length > 5) return w.slice(0, -3);
+    if (w.endsWith('ed') && w.length > 4) return w.slice(0, -2);
+    if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) return w.slice(0, -1);
+    return w;
+  },
+  de(w) {
+    if (w.length <= 3) return w;
+    for (const suf of ['ern', 'em', 'er', 'en', 'es', 'e', 's', 'n']) {
+      if (w.endsWith(suf) && w.length - suf.length >= 3) return w.slice(0, -suf.length);
+    }
+    return w;
+  },
+  fr(w) {
+    if (w.length <= 3) return w;
+    if (w.endsWith('aux') && w.length > 4) return w.slice(0, -3) + 'al';
+    if (/[sx]$/.test(w)) w = w.slice(0, -1);
+    if (w.endsWith('e') && w.length > 3) w = w.slice(0, -1);
+    return w;
+  },
+  es(w) {
+    if (w.length <= 3) return w;
+    if (w.endsWith('ces') && w.length > 4) return w.slice(0, -3) + 'z';
+    if (w.endsWith('es') && w.length > 4) w = w.slice(0, -2);
+    else if (w.endsWith('s')) w = w.slice(0, -1);
+    if (/[aoe]$/.test(w) && w.length > 3) w = w.slice(0, -1);
+    return w;
+  },
+  pt(w) {
+    if (w.length <= 3) return w;
+    if (/(oes|aes)$/.test(w)) return w.slice(0, -3) + 'ao';
+    if (w.endsWith('ais')) return w.slice(0, -3) + 'al';
+    if (w.endsWith('eis')) return w.slice(0, -3) + 'el';
+    if (w.endsWith('s')) w = w.slice(0, -1);
+    if (/[aoe]$/.test(w) && w.length > 3) w = w.slice(0, -1);
+    return w;
+  },
+};
+const LANGS = Object.keys(STEMMERS);
+
+/**
+ * Alle Stamm-Varianten eines Wortes (Original + 5 Stemmer, dedupliziert)
+ */
+function stems(token) {
+  return [...new Set([token, ...LANGS.map(l => STEMMERS[l](token))])];
+}
+
+/**
+ * Taxonomie-Felder aus der WP-API vereinheitlichen (Strings ODER {name})
+ */
+function taxonomyText(recipe) {
+  return (recipe.taxonomy || [])
+    .map(t => (typeof t === 'string' ? t : t && t.name) || '')
+    .join(' ');
+}
+
+class RecipeIndex {
+  constructor(recipes) {
+    this.docs = [];              // [{ recipe, tf: Map(term → gewichtete Häufigkeit), len }]
+    this.df = new Map();         // term → Anzahl Dokumente
+    this.avgLen = 0;
+
+    for (const recipe of recipes || []) {
+      const tf = new Map();
+      let len = 0;
+      const fields = { title: recipe.title, taxonomy: taxonomyText(recipe), excerpt: recipe.excerpt };
+      for (const [field, text] of Object.entries(fields)) {
+        const weight = FIELD_WEIGHTS[field];
+        for (const token of tokenize(text)) {
+          len += weight;
+          for (const term of stems(token)) tf.set(term, (tf.get(term) || 0) + weight);
+        }
+      }
+      for (const term of tf.keys()) this.df.set(term, (this.df.get(term) || 0) + 1);
+      this.docs.push({ recipe, tf, len });
+    }
+    this.avgLen = this.docs.reduce((sum, d) => sum + d.len, 0) / (this.docs.length || 1);
+  }
+
+  get size() {
+    return this.docs.length;
+  }
+
+  _idf(term) {
+    const n = this.df.get(term) || 0;
+    return Math.log(1 + (this.docs.length - n + 0.5) / (n + 0.5));
+  }
+
+  /**
+   * Suche.
+   * query: String ODER [{ text, weight }] (z.B. letzte Nachricht stärker gewichten)
+   * Rückgabe: [{ recipe, score }] absteigend, nur Treffer mit score > 0
+   */
+  search(query, limit = 20) {
+    const parts = typeof query === 'string' ? [{ text: query, weight: 1 }] : (query || []);
+    const queryTokens = new Map(); // token → Gewicht
+    for (const { text, weight = 1 } of parts) {
+      for (const token of tokenize(text)) queryTokens.set(token, (queryTokens.get(token) || 0) + weight);
+    }
+    if (queryTokens.size === 0 || this.docs.length === 0) return [];
+
+    const results = [];
+    for (const doc of this.docs) {
+      let score = 0;
+      const norm = K1 * (1 - B + B * (doc.len / (this.avgLen || 1)));
+      for (const [token, qWeight] of queryTokens) {
+        // Pro Query-Wort zählt nur die BESTE Stamm-Variante (sonst Mehrfachwertung)
+        let best = 0;
+        for (const term of stems(token)) {
+          const tf = doc.tf.get(term);
+          if (!tf) continue;
+          best = Math.max(best, this._idf(term) * (tf * (K1 + 1)) / (tf + norm));
+        }
+        score += best * qWeight;
+      }
+      if (score > 0) results.push({ recipe: doc.recipe, score });
+    }
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+module.exports = { RecipeIndex, tokenize, stems, fold };
@@ -0,0 +1,284 @@
+// ═══════════════════════════════════════════════════════════
+// STORAGE – Persistenz für Sessions, WhatsApp-Chats & Stats
+// ═══════════════════════════════════════════════════════════
+// Der Server arbeitet weiterhin mit schnellen In-Memory Maps.
+// Diese werden regelmäßig als Snapshot in einen Storage-Adapter
+// geschrieben und beim Start wieder geladen → Railway-Deploys
+// löschen keine Gespräche, Tageszähler oder Stats mehr.
+//
+// ADAPTER (ENV STORAGE_DRIVER):
+//   memory → nur RAM (altes Verhalten, Default ohne DATA_DIR/REDIS_URL)
+//   file   → JSON-Dateien in DATA_DIR (Railway: Volume mounten!)
+//   redis  → Redis-Protokoll (REDIS_URL, z.B. redis://:pass@host:6379/0)
+//
+// Jeder Adapter hat dieselbe Schnittstelle:
+//   get(key) → value | null,  set(key, value),  del(key),  close()
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const tls = require('tls');
+
+// ─── MEMORY ADAPTER ──────────────────────────────────────
+class MemoryStorage {
+  constructor() {
+    this.name = 'memory';
+    this.data = new Map();
+  }
+  async get(key) { return this.data.has(key) ? JSON.parse(this.data.get(key)) : null; }
+  async set(key, value) { this.data.set(key, JSON.stringify(value)); }
+  async del(key) { this.data.delete(key); }
+  async close() {}
+}
+
+// ─── FILE ADAPTER ────────────────────────────────────────
+// Eine JSON-Datei pro Key. Schreiben über temp-Datei + rename,
+// damit ein Crash mitten im Schreiben keine kaputte Datei hinterlässt.
+class FileStorage {
+  constructor(dir) {
+    this.name = 'file';
+    this.dir = path.resolve(dir);
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+  _file(key) {
+    return path.join(this.dir, key.replace(/[^a-zA-Z0-9_.-]/g, '_') + '.json');
+  }
+  async get(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this._file(key), 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.error(`[Storage] ${key} nicht lesbar:`, e.message);
+      return null;
+    }
+  }
+  async set(key, value) {
+    const file = this._file(key);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(value));
+    await fs.promises.rename(tmp, file);
+  }
+  async del(key) {
+    await fs.promises.unlink(this._file(key)).catch(() => {});
+  }
+  async close() {}
+}
+
+// ─── REDIS ADAPTER ───────────────────────────────────────
+// Minimaler RESP-Client (GET/SET/DEL) ohne zusätzliche Dependency.
+class RedisStorage {
+  constructor(url, prefix) {
+    this.name = 'redis';
+    this.url = new URL(url);
+    this.prefix = prefix || 'mdr:';
+    this.socket = null;
+    this.pending = [];      // Wartende Antworten (FIFO, Redis antwortet in Reihenfolge)
+    this.buffer = Buffer.alloc(0);
+    this.connecting = null;
+  }
+
+  _connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const secure = this.url.protocol === 'rediss:';
+      const opts = { host: this.url.hostname, port: Number(this.url.port) || 6379 };
+      const socket = secure ? tls.connect({ ...opts, servername: opts.host }) : net.connect(opts);
+      socket.setTimeout(10000);
+
+      socket.once(secure ? 'secureConnect' : 'connect', async () => {
+        socket.setTimeout(0);
+        this.socket = socket;
+        this.connecting = null;
+        try {
+          const user = decodeURIComponent(this.url.username || '');
+          const pass = decodeURIComponent(this.url.password || '');
+          if (pass) await this._command(user ? ['AUTH', user, pass] : ['AUTH', pass]);
+          const db = this.url.pathname.slice(1);
+          if (db) await this._command(['SELECT', db]);
+          resolve();
+        } catch (e) {
+          reject(e);
+        }
+      });
+      socket.on('data', chunk => this._onData(chunk));
+      socket.on('timeout', () => socket.destroy(new Error('Redis connect timeout')));
+      socket.on('error', err => {
+        console.error('[Storage] Redis-Fehler:', err.message);
+      });
+      socket.on('close', () => {
+        // Alle offenen Befehle abbrechen, beim nächsten Befehl neu verbinden
+        const err = new Error('Redis connection closed');
+        this.pending.splice(0).forEach(p => p.reject(err));
+        if (this.connecting) reject(err);
+        this.socket = null;
+        this.connecting = null;
+        this.buffer = Buffer.alloc(0);
+      });
+    });
+    return this.connecting;
+  }
+
+  _command(args) {
+    return new Promise((resolve, reject) => {
+      let out = `*${args.length}\r\n`;
+      for (const a of args) {
+        const s = String(a);
+        out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+      }
+      this.pending.push({ resolve, reject });
+      this.socket.write(out);
+    });
+  }
+
+  _onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (this.buffer.length > 0) {
+      const parsed = parseRESP(this.buffer, 0);
+      if (!parsed) return; // Antwort noch unvollständig
+      this.buffer = this.buffer.slice(parsed.end);
+      const p = this.pending.shift();
+      if (!p) continue;
+      if (parsed.value instanceof Error) p.reject(parsed.value);
+      else p.resolve(parsed.value);
+    }
+  }
+
+  async get(key) {
+    await this._connect();
+    const raw = await this._command(['GET', this.prefix + key]);
+    return raw == null ? null : JSON.parse(raw);
+  }
+  async set(key, value) {
+    await this._connect();
+    await this._command(['SET', this.prefix + key, JSON.stringify(value)]);
+  }
+  async del(key) {
+    await this._connect();
+    await this._command(['DEL', this.prefix + key]);
+  }
+  async close() {
+    if (this.socket) this.socket.end();
+  }
+}
+
+/**
+ * Eine RESP-Antwort ab `pos` parsen → { value, end } oder null (unvollständig)
+ */
+function parseRESP(buf, pos) {
+  const lineEnd = buf.indexOf('\r\n', pos);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buf[pos]);
+  const line = buf.toString('utf8', pos + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  if (type === '+') return { value: line, end: next };
+  if (type === '-') return { value: new Error(line), end: next };
+  if (type === ':') return { value: Number(line), end: next };
+  if (type === '$') {
+    const len = Number(line);
+    if (len === -1) return { value: null, end: next };
+    if (buf.length < next + len + 2) return null;
+    return { value: buf.toString('utf8', next, next + len), end: next + len + 2 };
+  }
+  if (type === '*') {
+    const count = Number(line);
+    if (count === -1) return { value: null, end: next };
+    const items = [];
+    let cursor = next;
+    for (let i = 0; i < count; i++) {
+      const item = parseRESP(buf, cursor);
+      if (!item) return null;
+      items.push(item.value);
+      cursor = item.end;
+    }
+    return { value: items, end: cursor };
+  }
+  throw new Error(`Unbekannter RESP-Typ: ${type}`);
+}
+
+/**
+ * Adapter anhand der Konfiguration erzeugen
+ * { driver, dir, redisUrl } – driver leer → automatisch aus dir/redisUrl ableiten
+ */
+function createStorage({ driver, dir, redisUrl, prefix } = {}) {
+  const chosen = driver || (redisUrl ? 'redis' : dir ? 'file' : 'memory');
+  if (chosen === 'redis') {
+    if (!redisUrl) throw new Error('STORAGE_DRIVER=redis braucht REDIS_URL');
+    return new RedisStorage(redisUrl, prefix);
+  }
+  if (chosen === 'file') return new FileStorage(dir || './data');
+  if (chosen === 'memory') return new MemoryStorage();
+  throw new Error(`Unbekannter STORAGE_DRIVER: ${chosen}`);
+}
+
+// ─── SNAPSHOT-PERSISTENZ ─────────────────────────────────
+// Registriert In-Memory Strukturen unter einem Key:
+//   track('webSessions', { dump: () => data, load: data => {...} })
+// restore() lädt beim Start, flush() schreibt nur Geändertes.
+class Persistence {
+  constructor(storage) {
+    this.storage = storage;
+    this.entries = new Map(); // key → { dump, load, last }
+    this.timer = null;
+  }
+
+  track(key, { dump, load }) {
+    this.entries.set(key, { dump, load, last: null });
+  }
+
+  /**
+   * Map mit TTL registrieren: ts-Feld der Werte entscheidet über Ablauf
+   */
+  trackMap(key, map, ttl) {
+    this.track(key, {
+      dump: () => [...map.entries()],
+      load: (entries) => {
+        const now = Date.now();
+        for (const [k, v] of entries || []) {
+          if (ttl && v && v.ts && now - v.ts > ttl) continue; // abgelaufen → nicht laden
+          map.set(k, v);
+        }
+      },
+    });
+  }
+
+  async restore() {
+    for (const [key, entry] of this.entries) {
+      try {
+        const data = await this.storage.get(key);
+        if (data != null) entry.load(data);
+        entry.last = JSON.stringify(entry.dump());
+      } catch (e) {
+        console.error(`[Storage] Restore ${key} fehlgeschlagen:`, e.message);
+      }
+    }
+  }
+
+  async flush() {
+    for (const [key, entry] of this.entries) {
+      try {
+        const data = entry.dump();
+        const json = JSON.stringify(data);
+        if (json === entry.last) continue; // Unverändert → nicht schreiben
+        await this.storage.set(key, data);
+        entry.last = json;
+      } catch (e) {
+        console.error(`[Storage] Flush ${key} fehlgeschlagen:`, e.message);
+      }
+    }
+  }
+
+  start(interval) {
+    this.timer = setInterval(() => this.flush(), interval);
+    this.timer.unref();
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    await this.flush();
+    await this.storage.close();
+  }
+}
+
+module.exports = { createStorage, Persistence, MemoryStorage, FileStorage, RedisStorage };
@@ -0,0 +1,87 @@
+// ═══════════════════════════════════════════════════════════
+// SPEECH-TO-TEXT – WhatsApp Sprachnachrichten transkribieren
+// ═══════════════════════════════════════════════════════════
+// Austauschbare Provider (ENV STT_PROVIDER):
+//   openai → OpenAI-kompatibler Endpoint POST {STT_API_URL}/audio/transcriptions
+//            (OpenAI Whisper, Groq, lokaler whisper.cpp/faster-whisper Server, ...)
+//   local  → Platzhalter ohne Netzwerk: liefert STT_LOCAL_TEXT (Tests/Entwicklung)
+//   (leer) → deaktiviert, transcribe() wirft → Fallback-Nachricht im Chat
+//
+// Jeder Provider: { name, transcribe(buffer, { mimeType, lang }) → Text }
+
+const fetch = require('node-fetch');
+const { buildMultipart } = require('./multipart');
+
+// WhatsApp schickt Sprachnachrichten als OGG/Opus
+const EXTENSIONS = {
+  'audio/ogg': 'ogg', 'audio/opus': 'ogg', 'audio/mpeg': 'mp3', 'audio/mp4': 'm4a',
+  'audio/aac': 'aac', 'audio/amr': 'amr', 'audio/wav': 'wav', 'audio/webm': 'webm',
+};
+
+function extensionFor(mimeType) {
+  return EXTENSIONS[String(mimeType || '').split(';')[0].trim()] || 'ogg';
+}
+
+/**
+ * OpenAI-kompatibler /audio/transcriptions Provider
+ */
+function openAIProvider({ apiUrl, apiKey, model, timeout }) {
+  return {
+    name: 'openai',
+    async transcribe(buffer, { mimeType, lang } = {}) {
+      const { body, contentType } = buildMultipart(
+        { model, language: lang || '', response_format: 'json' },
+        [{ name: 'file', filename: `voice.${extensionFor(mimeType)}`, contentType: mimeType || 'audio/ogg', data: buffer }]
+      );
+      const headers = { 'Content-Type': contentType };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const res = await fetch(`${apiUrl.replace(/\/+$/, '')}/audio/transcriptions`, {
+        method: 'POST', headers, body, timeout,
+      });
+      if (!res.ok) {
+        const err = await res.text();
+        throw new Error(`STT ${res.status}: ${err.slice(0, 200)}`);
+      }
+      const data = await res.json();
+      return (data.text || '').trim();
+    },
+  };
+}
+
+/**
+ * Lokaler Platzhalter – kein Netzwerk, fester Text
+ */
+function localProvider({ text }) {
+  return {
+    name: 'local',
+    async transcribe(buffer) {
+      if (!buffer || buffer.length === 0) throw new Error('STT local: leere Audiodatei');
+      return text;
+    },
+  };
+}
+
+/**
+ * Provider aus Konfiguration erzeugen
+ * { provider, apiUrl, apiKey, model, localText, timeout }
+ */
+function createTranscriber(opts = {}) {
+  if (opts.provider === 'openai') {
+    return openAIProvider({
+      apiUrl: opts.apiUrl || 'https://api.openai.com/v1',
+      apiKey: opts.apiKey || '',
+      model: opts.model || 'whisper-1',
+      timeout: opts.timeout || 30000,
+    });
+  }
+  if (opts.provider === 'local') {
+    return localProvider({ text: opts.localText || 'Hallo, hast du ein schnelles Rezept für heute Abend?' });
+  }
+  return {
+    name: 'none',
+    async transcribe() { throw new Error('STT nicht konfiguriert (STT_PROVIDER)'); },
+  };
+}
+
+module.exports = { createTranscriber };
@@ -0,0 +1,272 @@
+// ═══════════════════════════════════════════════════════════
+// INLINE-TAGS: [RECIPE] / [SHOPLIST] / [PRODUCT]
+// ═══════════════════════════════════════════════════════════
+// Der System-Prompt lässt die AI strukturierte Karten als Inline-JSON
+// schreiben, z.B. [RECIPE]{"title":"..."}[/RECIPE].
+// Dieses Modul zerlegt einen (gestreamten) Antworttext in Text-Stücke
+// und vollständige Tag-Blöcke – ohne jemals mitten in einem Tag abzuschneiden.
+
+const TAGS = ['RECIPE', 'SHOPLIST', 'PRODUCT'];
+const OPEN_TAGS = TAGS.map(t => `[${t}]`);
+const MAX_OPEN_BLOCK = 4000; // Nie geschlossener Tag → nach 4000 Zeichen als Text ausgeben
+
+/**
+ * Prüft ob `str` der Anfang eines öffnenden Tags sein KÖNNTE ("[", "[REC", ...).
+ * Dann muss der Parser auf weitere Tokens warten.
+ */
+function isOpenTagPrefix(str) {
+  return OPEN_TAGS.some(tag => tag.startsWith(str));
+}
+
+/**
+ * Inkrementeller Parser für Token-Streams.
+ * push(text) → Events [{ type:'text', text }, { type:'block', tag, raw }]
+ * end()      → restliche Events (unvollständige Tags werden als Text ausgegeben)
+ */
+class TagStreamParser {
+  constructor() {
+    this.buffer = '';
+  }
+
+  push(text) {
+    this.buffer += text || '';
+    return this._drain(false);
+  }
+
+  end() {
+    return this._drain(true);
+  }
+
+  _drain(final) {
+    const events = [];
+    let text = '';
+
+    while (this.buffer.length > 0) {
+      const start = this.buffer.indexOf('[');
+      if (start === -1) {
+        text += this.buffer;
+        this.buffer = '';
+        break;
+      }
+      text += this.buffer.slice(0, start);
+      this.buffer = this.buffer.slice(start);
+
+      const tag = TAGS.find(t => this.buffer.startsWith(`[${t}]`));
+      if (!tag) {
+        // Noch zu kurz um zu entscheiden → auf nächstes Token warten
+        if (!final && isOpenTagPrefix(this.buffer)) break;
+        text += '[';
+        this.buffer = this.buffer.slice(1);
+        continue;
+      }
+
+      const open = `[${tag}]`;
+      const close = `[/${tag}]`;
+      const end = this.buffer.indexOf(close);
+      if (end === -1) {
+        if (!final && this.buffer.length < MAX_OPEN_BLOCK) break;
+        // Tag wird nie geschlossen → als normalen Text durchreichen
+        text += open;
+        this.buffer = this.buffer.slice(open.length);
+        continue;
+      }
+
+      if (text) { events.push({ type: 'text', text }); text = ''; }
+      events.push({ type: 'block', tag: tag.toLowerCase(), raw: this.buffer.slice(open.length, end).trim() });
+      this.buffer = this.buffer.slice(end + close.length);
+    }
+
+    if (text) events.push({ type: 'text', text });
+    return events;
+  }
+}
+
+/**
+ * Kompletten Antworttext in Events zerlegen (nicht-gestreamte Variante).
+ */
+function splitTags(text) {
+  const parser = new TagStreamParser();
+  return [...parser.push(text), ...parser.end()];
+}
+
+/**
+ * JSON-Inhalt eines Tag-Blocks parsen. Kaputtes JSON → null.
+ */
+function parseBlockJSON(raw) {
+  try {
+    const data = JSON.parse(raw);
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// ─── VALIDIERUNG ─────────────────────────────────────────
+// Die AI halluziniert gelegentlich Titel/URLs. Jede Rezeptkarte wird
+// gegen den Rezept-Cache geprüft und auf den ECHTEN Eintrag korrigiert.
+const MATCH_THRESHOLD = 0.5; // Mindest-Ähnlichkeit für "nächstes echtes Rezept"
+
+function str(v, max) {
+  return typeof v === 'string' ? v.trim().slice(0, max) : '';
+}
+
+/**
+ * Text für Vergleiche normalisieren: klein, ohne Akzente, nur Buchstaben/Ziffern
+ */
+function normalize(text) {
+  return String(text || '').toLowerCase().normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * URL-Pfad für Vergleiche: ohne Protokoll/Domain/Query, ohne Slash am Ende
+ */
+function urlPath(url) {
+  const m = String(url || '').trim().toLowerCase().match(/^(?:https?:\/\/[^/]+)?(\/[^?#]*)?/);
+  return ((m && m[1]) || '').replace(/\/+$/, '');
+}
+
+function hostOf(url) {
+  const m = String(url || '').trim().toLowerCase().match(/^https?:\/\/(?:www\.)?([^/:?#]+)/);
+  return m ? m[1] : '';
+}
+
+/**
+ * Dice-Koeffizient auf Zeichen-Bigrammen (0..1) – robust gegen Tippfehler
+ */
+function similarity(a, b) {
+  const x = normalize(a), y = normalize(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  const grams = s => {
+    const out = new Map();
+    for (let i = 0; i < s.length - 1; i++) {
+      const g = s.slice(i, i + 2);
+      out.set(g, (out.get(g) || 0) + 1);
+    }
+    return out;
+  };
+  const gx = grams(x), gy = grams(y);
+  let overlap = 0;
+  for (const [g, n] of gx) overlap += Math.min(n, gy.get(g) || 0);
+  return (2 * overlap) / (Math.max(x.length - 1, 1) + Math.max(y.length - 1, 1));
+}
+
+/**
+ * Rezept aus dem Cache finden: exakte URL → exakter Titel → ähnlichster Titel/Slug
+ * Gibt null zurück wenn nichts ähnlich genug ist.
+ */
+function matchRecipe(card, recipes) {
+  const path = urlPath(card.url);
+  if (path) {
+    const byUrl = recipes.find(r => urlPath(r.url) === path);
+    if (byUrl) return byUrl;
+  }
+  const title = normalize(card.title);
+  const byTitle = title && recipes.find(r => normalize(r.title) === title);
+  if (byTitle) return byTitle;
+
+  const slug = path.split('/').pop() || '';
+  let best = null, bestScore = 0;
+  for (const r of recipes) {
+    const score = Math.max(
+      similarity(card.title, r.title),
+      slug ? similarity(slug, urlPath(r.url).split('/').pop()) : 0
+    );
+    if (score > bestScore) { best = r; bestScore = score; }
+  }
+  return bestScore >= MATCH_THRESHOLD ? best : null;
+}
+
+/**
+ * Einen geparsten Tag-Block validieren.
+ * ctx: { recipes, siteUrl }
+ * Rückgabe: { type, data } oder null (Block verwerfen)
+ */
+function validateBlock(tag, data, ctx) {
+  if (!data) return null;
+
+  if (tag === 'recipe') {
+    const real = matchRecipe(data, ctx.recipes || []);
+    if (!real) return null; // Erfundene URL, kein ähnliches Rezept → weg damit
+    return {
+      type: 'recipe',
+      data: {
+        id: real.id,
+        title: real.title,
+        url: real.url,
+        emoji: str(data.emoji, 8) || '🍽️',
+        desc: str(data.desc, 300),
+        time: str(data.time, 30),
+        difficulty: str(data.difficulty, 30),
+      },
+    };
+  }
+
+  if (tag === 'shoplist') {
+    const items = (Array.isArray(data.items) ? data.items : [])
+      .map(i => str(typeof i === 'number' ? String(i) : i, 200))
+      .filter(Boolean)
+      .slice(0, 60);
+    if (items.length === 0) return null;
+    return { type: 'shoplist', data: { title: str(data.title, 200), items } };
+  }
+
+  if (tag === 'product') {
+    const name = str(data.name, 200);
+    const url = str(data.url, 500);
+    // Produkt-Links MÜSSEN auf unsere Blog-Review-Seite zeigen (kein Amazon, keine Fremd-Domain)
+    if (!name || (url && hostOf(url) !== hostOf(ctx.siteUrl))) return null;
+    return {
+      type: 'product',
+      data: { name, emoji: str(data.emoji, 8) || '🛒', reason: str(data.reason, 300), url },
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Parser-Events in validierte Blocks umwandeln.
+ * Kaputtes JSON und ungültige Karten werden verworfen.
+ */
+function eventsToBlocks(events, ctx) {
+  const blocks = [];
+  for (const ev of events) {
+    if (ev.type === 'text') {
+      // Aufeinanderfolgende Text-Stücke zusammenfassen
+      const last = blocks[blocks.length - 1];
+      if (last && last.type === 'text') last.text += ev.text;
+      else blocks.push({ type: 'text', text: ev.text });
+      continue;
+    }
+    const block = validateBlock(ev.tag, parseBlockJSON(ev.raw), ctx);
+    if (block) blocks.push(block);
+    else console.error(`[Blocks] [${ev.tag.toUpperCase()}] verworfen:`, ev.raw.slice(0, 100));
+  }
+  return blocks;
+}
+
+/**
+ * Kompletten Antworttext → validierte blocks[]
+ */
+function parseBlocks(text, ctx) {
+  return eventsToBlocks(splitTags(text), ctx)
+    .filter(b => b.type !== 'text' || b.text.trim());
+}
+
+/**
+ * blocks[] zurück in Text mit Inline-Tags (für alte Widgets + Session-History)
+ */
+function blocksToText(blocks) {
+  return blocks.map(b => {
+    if (b.type === 'text') return b.text;
+    const tag = b.type.toUpperCase();
+    return `[${tag}]${JSON.stringify(b.data)}[/${tag}]`;
+  }).join('').trim();
+}
+
+module.exports = {
+  TAGS, TagStreamParser, splitTags, parseBlockJSON,
+  validateBlock, eventsToBlocks, parseBlocks, blocksToText, matchRecipe, normalize, urlPath,
+};
@@ -0,0 +1,261 @@
+// ═══════════════════════════════════════════════════════════
+// TEXT-TO-SPEECH – Provider-Kette + Audio-Cache (Web-Voice + WhatsApp)
+// ═══════════════════════════════════════════════════════════
+// Gemeinsam genutzt von:
+//   POST /api/voice           → MP3 an den Browser
+//   WhatsApp Sprach-Antworten → MP3 → Meta Media Upload → audio-Nachricht
+//
+// PROVIDER-KETTE (ENV TTS_PROVIDERS, z.B. "elevenlabs,fishaudio"):
+//   Gewünschter Provider zuerst, dann Rest in Prioritäts-Reihenfolge.
+//   Fehler ODER Timeout (TTS_TIMEOUT) → nächster Provider.
+//
+// CACHE (ENV TTS_CACHE_DIR, TTS_CACHE_MAX_MB):
+//   Dateiname = sha256(Text + Stimme + Provider + Sprache) → gleiche Begrüßung
+//   wird nur EINMAL bezahlt. LRU: bei Überschreiten der Größe fliegen die am
+//   längsten nicht genutzten Dateien raus.
+//
+// synthesize() wirft bei Fehlern ein Error mit .status/.detail (letzte Provider-Antwort).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+const MAX_CHARS = 500; // Kostenkontrolle: max 500 Zeichen pro TTS-Request
+const DEFAULT_ELEVENLABS_VOICE = 'EXAVITQu4vr4xnSDxMaL'; // Sarah
+const DEFAULT_ORDER = ['elevenlabs', 'fishaudio'];
+
+// ─── PROVIDER ────────────────────────────────────────────
+// Jeder Provider: { name, label, voice, configured, request(text, lang, timeout) → fetch Response }
+function buildProviders(config) {
+  return {
+    // ── ElevenLabs Multilingual v2 ──
+    elevenlabs: {
+      name: 'elevenlabs',
+      label: 'ElevenLabs',
+      voice: config.elevenLabsVoice || DEFAULT_ELEVENLABS_VOICE,
+      configured: !!config.elevenLabsKey,
+      request(text, lang, timeout) {
+        console.log('[Voice] ElevenLabs...', { textLen: text.length, voice: this.voice, lang });
+        return fetch(`https://api.elevenlabs.io/v1/text-to-speech/${this.voice}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'xi-api-key': config.elevenLabsKey },
+          body: JSON.stringify({
+            text,
+            model_id: 'eleven_multilingual_v2',
+            voice_settings: { stability: 0.5, similarity_boost: 0.75, style: 0.3, use_speaker_boost: true },
+          }),
+          timeout,
+        });
+      },
+    },
+    // ── Fish Audio ──
+    fishaudio: {
+      name: 'fishaudio',
+      label: 'Fish Audio',
+      voice: config.fishVoice || '',
+      configured: !!config.fishKey,
+      request(text, lang, timeout) {
+        console.log('[Voice] Fish Audio...', { textLen: text.length, voice: this.voice || 'default' });
+        const body = { text, format: 'mp3', mp3_bitrate: 128, normalize: true, latency: 'balanced' };
+        if (this.voice) body.reference_id = this.voice;
+        return fetch('https://api.fish.audio/v1/tts', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${config.fishKey}` },
+          body: JSON.stringify(body),
+          timeout,
+        });
+      },
+    },
+  };
+}
+
+// ─── AUDIO-CACHE (Disk, LRU) ─────────────────────────────
+class AudioCache {
+  constructor(dir, maxBytes) {
+    this.dir = path.resolve(dir);
+    this.maxBytes = maxBytes;
+    this.entries = new Map(); // key → size (Map-Reihenfolge = LRU, ältester zuerst)
+    this.total = 0;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    // Bestehende Dateien nach letzter Nutzung (mtime) einsortieren
+    const files = fs.readdirSync(this.dir)
+      .filter(f => f.endsWith('.mp3'))
+      .map(f => ({ key: f.slice(0, -4), stat: fs.statSync(path.join(this.dir, f)) }))
+      .sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs);
+    for (const { key, stat } of files) {
+      this.entries.set(key, stat.size);
+      this.total += stat.size;
+    }
+    this._evict();
+  }
+
+  static key(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+  }
+
+  _file(key) {
+    return path.join(this.dir, `${key}.mp3`);
+  }
+
+  async get(key) {
+    if (!this.entries.has(key)) return null;
+    try {
+      const buffer = await fs.promises.readFile(this._file(key));
+      // Als zuletzt benutzt markieren (Map-Reihenfolge + mtime für Neustarts)
+      const size = this.entries.get(key);
+      this.entries.delete(key);
+      this.entries.set(key, size);
+      const now = new Date();
+      fs.promises.utimes(this._file(key), now, now).catch(() => {});
+      return buffer;
+    } catch (e) {
+      this._remove(key);
+      return null;
+    }
+  }
+
+  async set(key, buffer) {
+    if (buffer.length > this.maxBytes) return;
+    const tmp = `${this._file(key)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, buffer);
+    await fs.promises.rename(tmp, this._file(key));
+    if (this.entries.has(key)) this.total -= this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, buffer.length);
+    this.total += buffer.length;
+    this._evict();
+  }
+
+  _remove(key) {
+    if (!this.entries.has(key)) return;
+    this.total -= this.entries.get(key);
+    this.entries.delete(key);
+    fs.promises.unlink(this._file(key)).catch(() => {});
+  }
+
+  _evict() {
+    for (const key of this.entries.keys()) {
+      if (this.total <= this.maxBytes) break;
+      this._remove(key);
+    }
+  }
+}
+
+/**
+ * TTS-Client erzeugen
+ * { elevenLabsKey, elevenLabsVoice, fishKey, fishVoice,
+ *   order: ['elevenlabs','fishaudio'], timeout, cacheDir, cacheMaxBytes }
+ */
+function createSpeechSynthesizer(config) {
+  const providers = buildProviders(config);
+  const order = (config.order && config.order.length ? config.order : DEFAULT_ORDER)
+    .filter(name => providers[name]);
+  const timeout = config.timeout || 15000;
+  let cache = null;
+  if (config.cacheDir) {
+    try {
+      cache = new AudioCache(config.cacheDir, config.cacheMaxBytes || 200 * 1024 * 1024);
+    } catch (e) {
+      console.error('[Voice] Cache deaktiviert:', e.message);
+    }
+  }
+
+  /**
+   * Reihenfolge für einen Request: gewünschter Provider zuerst, dann Priorität
+   */
+  function chain(preferred) {
+    const names = providers[preferred] ? [preferred, ...order.filter(n => n !== preferred)] : order;
+    return names.map(n => providers[n]).filter(p => p.configured);
+  }
+
+  function cacheKey(p, text, lang) {
+    return AudioCache.key([text, p.voice, p.name, lang || '']);
+  }
+
+  return {
+    /**
+     * Mindestens ein Provider der Kette konfiguriert?
+     */
+    isConfigured(provider) {
+      return chain(provider).length > 0;
+    },
+
+    /**
+     * Erster verfügbarer Provider (oder null)
+     */
+    available() {
+      const first = chain()[0];
+      return first ? first.name : null;
+    },
+
+    /**
+     * Text → MP3. Rückgabe: { buffer, provider, contentType, cached }
+     */
+    async synthesize(text, { provider, lang } = {}) {
+      const shortText = String(text).slice(0, MAX_CHARS);
+      const candidates = chain(provider);
+      if (candidates.length === 0) {
+        const err = new Error('TTS not configured');
+        err.status = 400;
+        throw err;
+      }
+
+      // 1. Cache: irgendein Provider der Kette hat den Satz schon vertont?
+      if (cache) {
+        for (const p of candidates) {
+          const buffer = await cache.get(cacheKey(p, shortText, lang));
+          if (buffer) {
+            console.log(`[Voice] Cache-Treffer (${p.label}), ${buffer.length} bytes`);
+            return { buffer, provider: p.name, contentType: 'audio/mpeg', cached: true };
+          }
+        }
+      }
+
+      // 2. Provider der Reihe nach – Fehler/Timeout → nächster
+      let lastErr = null;
+      for (const p of candidates) {
+        try {
+          const res = await p.request(shortText, lang, timeout);
+          if (!res.ok) {
+            const detail = await res.text();
+            console.error(`[Voice] ${p.label} error:`, res.status, detail);
+            lastErr = Object.assign(new Error('TTS failed'), { status: 500, detail });
+            continue;
+          }
+          const buffer = await res.buffer();
+          console.log(`[Voice] Success (${p.label}), audio size:`, buffer.length, 'bytes');
+          if (cache) {
+            cache.set(cacheKey(p, shortText, lang), buffer)
+              .catch(e => console.error('[Voice] Cache-Schreibfehler:', e.message));
+          }
+          return { buffer, provider: p.name, contentType: 'audio/mpeg', cached: false };
+        } catch (e) {
+          console.error(`[Voice] ${p.label} fehlgeschlagen:`, e.message);
+          lastErr = Object.assign(new Error('TTS failed'), { status: 500, detail: e.message });
+        }
+      }
+      throw lastErr;
+    },
+  };
+}
+
+/**
+ * Chat-Antwort für Sprachausgabe aufbereiten:
+ * Links, Markdown (*fett*, _kursiv_), Aufzählungszeichen und Emojis entfernen
+ */
+function toSpeechText(text) {
+  return String(text || '')
+    .replace(/\[(RECIPE|SHOPLIST|PRODUCT)\][\s\S]*?\[\/\1\]/g, '')
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/[*_~`]/g, '')
+    .replace(/^\s*[•\-–]\s*/gm, '')
+    .replace(/[\u{1F000}-\u{1FAFF}\u{2600}-\u{27BF}\u{FE0F}\u{200D}]/gu, '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{2,}/g, '\n')
+    .trim()
+    .slice(0, MAX_CHARS);
+}
+
+module.exports = { createSpeechSynthesizer, toSpeechText, AudioCache, MAX_CHARS };
@@ -0,0 +1,376 @@
+// ═══════════════════════════════════════════════════════════
+// MENGEN & EINHEITEN – parsen, skalieren, metrisch ↔ US
+// ═══════════════════════════════════════════════════════════
+// Zutatenzeilen wie "200g Mehl", "1 1/2 cups milk", "½ TL Salz", "2-3 Eier",
+// "1,5 kg Kartoffeln", "2 c. à s. d'huile" werden deterministisch zerlegt:
+//
+//   { prefix: '- ', min: 1.5, max: 1.5, unit: 'cup', unitText: 'cups', rest: ' milk' }
+//
+// adaptLine(line, { factor, system, lang }) skaliert (Portionen) und rechnet
+// in das gewünschte System um. Nur Gewicht (g/kg ↔ oz/lb) und Volumen
+// (ml/l ↔ cups/fl oz) werden umgerechnet; EL/TL sind in beiden Systemen üblich
+// und bleiben. Zeilen ohne erkennbare Menge bleiben EXAKT wie sie sind.
+// Ohne Einheit ("1 egg", "1 Prise Salz") hängt die Grammatik am Nomen, das wir
+// nicht beugen: kippt die Zahl über 1 ("1 egg" × 2), bleibt die Zeile stehen
+// und bekommt den Faktor ("1 egg (×2)").
+//
+// Bevorzugtes System pro Userin: Profil-Feld `units` ('metric' | 'us'),
+// gesetzt über detectUnitSystem() ("in cups please", "en gramos", ...).
+
+const UNIT_SYSTEMS = ['metric', 'us'];
+
+// ─── EINHEITEN ───────────────────────────────────────────
+// base = Gramm bzw. Milliliter, system = null → in beiden Systemen üblich
+// words = Regex-Quellen (ohne Groß/Klein), längster Treffer gewinnt
+const UNITS = {
+  g: { dim: 'mass', base: 1, system: 'metric', words: ['g', 'gr', 'gramm', 'grams?', 'grammes?', 'gramos?', 'gramas?'] },
+  kg: { dim: 'mass', base: 1000, system: 'metric', words: ['kg', 'kilos?', 'kilogramm', 'kilograms?', 'kilogrammes?', 'kilogramos?', 'quilos?'] },
+  oz: { dim: 'mass', base: 28.3495, system: 'us', words: ['oz', 'ounces?', 'unzen?', 'onzas?', 'onças?'] },
+  lb: { dim: 'mass', base: 453.592, system: 'us', words: ['lbs?', 'pounds?', 'pfund', 'libras?'] },
+  ml: { dim: 'volume', base: 1, system: 'metric', words: ['ml', 'milliliter', 'millilitres?', 'mililitros?'] },
+  cl: { dim: 'volume', base: 10, system: 'metric', words: ['cl'] },
+  dl: { dim: 'volume', base: 100, system: 'metric', words: ['dl'] },
+  l: { dim: 'volume', base: 1000, system: 'metric', words: ['l', 'liter', 'litres?', 'litros?'] },
+  fl_oz: { dim: 'volume', base: 29.5735, system: 'us', words: ['fl\\.? ?oz'] },
+  cup: { dim: 'volume', base: 236.588, system: 'us', words: ['cups?', 'tassen?', 'tasses?', 'tazas?', 'x[ií]caras?', 'ch[aá]venas?'] },
+  tbsp: {
+    dim: 'volume', base: 14.7868, system: null,
+    words: ['el', 'essl[öo]ffel', 'tbsp', 'tablespoons?', 'c\\. ?[àa] ?s\\.?', 'cuill[èe]res? [àa] soupe', 'cs', 'cdas?\\.?', 'cucharadas?', 'colher(?:es)? de sopa', 'c\\. sopa'],
+  },
+  tsp: {
+    dim: 'volume', base: 4.92892, system: null,
+    words: ['tl', 'teel[öo]ffel', 'tsp', 'teaspoons?', 'c\\. ?[àa] ?c\\.?', 'cuill[èe]res? [àa] caf[ée]', 'cc', 'cdtas?\\.?', 'cucharaditas?', 'colher(?:es)? de ch[aá]', 'c\\. ch[aá]'],
+  },
+};
+
+// Ausgabe, wenn die Einheit gewechselt hat: [Singular, Plural] pro Sprache
+const LABELS = {
+  cup: { de: ['Tasse', 'Tassen'], en: ['cup', 'cups'], fr: ['tasse', 'tasses'], es: ['taza', 'tazas'], pt: ['xícara', 'xícaras'] },
+  tbsp: { de: ['EL', 'EL'], en: ['tbsp', 'tbsp'], fr: ['c. à s.', 'c. à s.'], es: ['cda.', 'cdas.'], pt: ['c. sopa', 'c. sopa'] },
+  tsp: { de: ['TL', 'TL'], en: ['tsp', 'tsp'], fr: ['c. à c.', 'c. à c.'], es: ['cdta.', 'cdtas.'], pt: ['c. chá', 'c. chá'] },
+  fl_oz: 'fl oz',
+};
+
+// Matcher: jede Schreibweise einzeln, längster Treffer gewinnt ("cl" vs "l", "tassen" vs "tasse")
+const UNIT_MATCHERS = Object.entries(UNITS).flatMap(([code, u]) =>
+  u.words.map(w => ({ code, re: new RegExp(`^(?:${w})(?![\\p{L}])`, 'iu') })));
+
+// ─── MENGEN ──────────────────────────────────────────────
+const FRACTIONS = { '½': 1 / 2, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 1 / 4, '¾': 3 / 4, '⅛': 1 / 8, '⅜': 3 / 8, '⅝': 5 / 8, '⅞': 7 / 8 };
+const FRACTION_CHARS = Object.keys(FRACTIONS).join('');
+const NUM = `(?:\\d+(?:[.,]\\d+)?(?:\\s+\\d+\\/\\d+|\\s*[${FRACTION_CHARS}])?|\\d+\\/\\d+|[${FRACTION_CHARS}])`;
+const RANGE_SEP = '(?:\\s*[-–—]\\s*|\\s+(?:bis|to|or|oder|à|a|ou|até)\\s+)';
+const LINE_RE = new RegExp(`^(\\s*(?:[-•*·]\\s+)?)(${NUM})(?:${RANGE_SEP}(${NUM}))?`, 'u');
+const BULLET_RE = /^\s*[-•*·]\s+/;
+const BULLET_START_RE = /^\s*[-•*·]/; // angefangene Zeile, die eine Aufzählung werden kann
+
+/**
+ * "1 1/2" | "1½" | "0,5" | "3/4" | "¼" → Zahl
+ */
+function parseNumber(str) {
+  let total = 0;
+  const s = String(str).trim();
+  const frac = /(\d+)\/(\d+)$/.exec(s);
+  const uni = new RegExp(`[${FRACTION_CHARS}]$`, 'u').exec(s);
+  let whole = s;
+  if (frac) {
+    total += parseInt(frac[2], 10) ? parseInt(frac[1], 10) / parseInt(frac[2], 10) : 0;
+    whole = s.slice(0, frac.index);
+  } else if (uni) {
+    total += FRACTIONS[uni[0]];
+    whole = s.slice(0, uni.index);
+  }
+  if (whole.trim()) total += parseFloat(whole.trim().replace(',', '.')) || 0;
+  return total;
+}
+
+/**
+ * Zutatenzeile → { prefix, min, max, unit, unitText, rest } oder null (keine Menge vorn)
+ */
+function parseIngredient(line) {
+  const m = LINE_RE.exec(String(line || ''));
+  if (!m) return null;
+  const min = parseNumber(m[2]);
+  const max = m[3] ? parseNumber(m[3]) : min;
+  if (!(min > 0) || max < min) return null;
+
+  let rest = line.slice(m[0].length);
+  const afterQty = rest.replace(/^\s+/, '');
+  let unit = null;
+  let unitText = '';
+  for (const { code, re } of UNIT_MATCHERS) {
+    const u = re.exec(afterQty);
+    if (u && u[0].length > unitText.length) {
+      unit = code;
+      unitText = u[0];
+    }
+  }
+  // Direkt an der Zahl klebender Text ohne Einheit ("3x", "2er") → keine Menge
+  if (!unit && rest && !/^\s/.test(rest)) return null;
+  if (unit) rest = afterQty.slice(unitText.length);
+  return { prefix: m[1], min, max, unit, unitText, rest };
+}
+
+// ─── UMRECHNEN ───────────────────────────────────────────
+/**
+ * Einheit nach dem Skalieren/Umrechnen passend wählen (1200 g → 1,2 kg, 20 oz → 1¼ lb)
+ */
+function tidyUnit(amount, unit) {
+  const swaps = { g: ['kg', 1000], ml: ['l', 1000], oz: ['lb', 16] };
+  const back = { kg: ['g', 1000], l: ['ml', 1000], lb: ['oz', 16] };
+  if (swaps[unit] && amount >= swaps[unit][1]) return { unit: swaps[unit][0], ratio: 1 / swaps[unit][1] };
+  if (back[unit] && amount < 1) return { unit: back[unit][0], ratio: back[unit][1] };
+  return { unit, ratio: 1 };
+}
+
+/**
+ * Zielsystem → Zieleinheit für eine Menge in Gramm/Milliliter
+ */
+function targetUnit(dim, baseAmount, system) {
+  if (system === 'us') {
+    if (dim === 'mass') return baseAmount >= UNITS.lb.base ? 'lb' : 'oz';
+    if (baseAmount < UNITS.tbsp.base) return 'tsp';
+    if (baseAmount < 60) return 'tbsp';
+    return 'cup';
+  }
+  if (dim === 'mass') return baseAmount >= 1000 ? 'kg' : 'g';
+  return baseAmount >= 1000 ? 'l' : 'ml';
+}
+
+function needsConversion(unit, system) {
+  return !!(unit && system && UNITS[unit].system && UNITS[unit].system !== system);
+}
+
+// ─── FORMAT ──────────────────────────────────────────────
+// Rundungsschritt je Einheit (US + Stückzahlen als Brüche, metrisch dezimal)
+function stepFor(unit, value) {
+  if (unit === 'g' || unit === 'ml') return value < 10 ? 0.5 : value < 50 ? 1 : value < 250 ? 5 : 10;
+  if (unit === 'kg' || unit === 'l') return 0.05;
+  if (unit === 'cl' || unit === 'dl') return 0.5;
+  if (unit === 'oz' || unit === 'fl_oz') return 0.5;
+  if (unit === 'cup' || unit === 'tbsp' || unit === 'tsp' || unit === 'lb') return value < 0.25 ? 0.125 : 0.25;
+  return value < 1 ? 0.25 : value < 10 ? 0.5 : 1;  // Stück, Prise, Zehe, ...
+}
+
+function usesFractions(unit) {
+  return !unit || !UNITS[unit].system || UNITS[unit].system === 'us';
+}
+
+function roundFor(value, unit) {
+  const step = stepFor(unit, value);
+  return Math.max(step, Math.round(value / step) * step);
+}
+
+function formatNumber(value, unit, lang) {
+  const rounded = roundFor(value, unit);
+  if (usesFractions(unit)) {
+    const whole = Math.floor(rounded + 1e-9);
+    const rest = rounded - whole;
+    const char = Object.keys(FRACTIONS).find(c => Math.abs(FRACTIONS[c] - rest) < 0.01);
+    if (rest < 0.01) return String(whole);
+    if (char) return `${whole || ''}${char}`;
+  }
+  const str = String(Number(rounded.toFixed(2)));
+  return lang === 'en' ? str : str.replace('.', ',');
+}
+
+function unitLabel(unit, amount, lang) {
+  const label = LABELS[unit];
+  if (!label) return unit;
+  if (typeof label === 'string') return label;
+  const forms = label[lang] || label.en;
+  return amount > 1 ? forms[1] : forms[0];
+}
+
+/**
+ * Menge mit factor multiplizieren (Portionen)
+ * Neue Menge → Originalschreibweise ("cups", "pound") passt evtl. nicht mehr (Singular/Plural)
+ */
+function scaleIngredient(ing, factor) {
+  if (factor === 1) return ing;
+  return { ...ing, min: ing.min * factor, max: ing.max * factor, unitText: '' };
+}
+
+/**
+ * Ins System umrechnen (g → oz, cups → ml) bzw. Einheit aufräumen (1200 g → 1,2 kg)
+ */
+function convertIngredient(ing, system) {
+  let { min, max, unit } = ing;
+  if (needsConversion(unit, system)) {
+    const { dim, base } = UNITS[unit];
+    unit = targetUnit(dim, max * base, system);
+    min = (min * base) / UNITS[unit].base;
+    max = (max * base) / UNITS[unit].base;
+  } else if (unit) {
+    const tidy = tidyUnit(max, unit);
+    unit = tidy.unit;
+    min *= tidy.ratio;
+    max *= tidy.ratio;
+  }
+  // Neue Einheit → Originalschreibweise gilt nicht mehr
+  return { ...ing, min, max, unit, unitText: unit === ing.unit ? ing.unitText : '' };
+}
+
+/**
+ * Mehrere Einträge DERSELBEN Dimension addieren (gleiche Einheit bleibt, sonst g/ml)
+ */
+function sumIngredients(list) {
+  const [first] = list;
+  const total = (key, factor) => list.reduce((sum, i) => sum + i[key] * factor(i), 0);
+  if (list.length === 1) return first;
+  if (list.every(i => i.unit === first.unit)) {
+    return { ...first, unitText: '', min: total('min', () => 1), max: total('max', () => 1) };
+  }
+  const baseUnit = UNITS[first.unit].dim === 'mass' ? 'g' : 'ml';
+  const toBase = i => UNITS[i.unit].base;
+  return { ...first, unit: baseUnit, unitText: '', min: total('min', toBase), max: total('max', toBase) };
+}
+
+function dimensionOf(unit) {
+  return unit ? UNITS[unit].dim : '';
+}
+
+/**
+ * { prefix, min, max, unit, unitText, rest } → "1½ cups milk"
+ */
+function formatIngredient(ing, lang = 'en') {
+  const { unit } = ing;
+  let qty = formatNumber(ing.min, unit, lang);
+  const maxText = formatNumber(ing.max, unit, lang);
+  if (maxText !== qty) qty = `${qty}–${maxText}`;
+  // Einheit unverändert → Originalschreibweise behalten ("EL", "Zehen", "cups")
+  const word = !unit ? '' : ing.unitText || unitLabel(unit, roundFor(ing.max, unit), lang);
+  const space = word && /^\p{L}/u.test(ing.rest) ? ' ' : '';
+  return `${ing.prefix || ''}${qty}${word ? ` ${word}` : ''}${space}${ing.rest}`;
+}
+
+/**
+ * Zeile skalieren (factor) und ins System umrechnen – unverändert, wenn nichts zu tun ist
+ * { factor = 1, system: 'metric'|'us'|null, lang }
+ */
+function adaptLine(line, { factor = 1, system = null, lang = 'en' } = {}) {
+  const ing = parseIngredient(line);
+  if (!ing) return line;
+  if (factor === 1 && !needsConversion(ing.unit, system)) return line;
+  if (!ing.unit && factor !== 1 && (ing.max > 1) !== (ing.max * factor > 1)) {
+    return `${line.trimEnd()} (×${formatNumber(factor, null, lang)})`;
+  }
+  return formatIngredient(convertIngredient(scaleIngredient(ing, factor), system), lang);
+}
+
+/**
+ * Text mit Aufzählung: nur Zeilen mit "- " / "• " / "* " anpassen (nummerierte = Schritte)
+ */
+function adaptBulletLines(text, opts) {
+  return String(text || '').split('\n')
+    .map(line => (BULLET_RE.test(line) ? adaptLine(line, opts) : line))
+    .join('\n');
+}
+
+// ─── ERKENNUNG IN USER-NACHRICHTEN ───────────────────────
+function fold(text) {
+  return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+const US_REQUEST = [
+  /\b(?:in|en|em|auf|to)\s+(?:cups?|ounces?|oz|pounds?|lbs?|tassen|tasses|tazas|xicaras|onzas)\b/,
+  /\b(?:us|u\.s\.|american|imperial|amerikanisch\w*|americain\w*|americano\w*|estadounidense\w*)\s+(?:units?|measurements?|masse|einheiten|mesures|unites|medidas|unidades)\b/,
+];
+const METRIC_REQUEST = [
+  /\b(?:in|en|em|auf|to)\s+(?:grams?|gramm|grammes|gramos|gramas|ml|milliliter\w*|millilitres?|mililitros|kilo\w*)\b/,
+  /\b(?:metric|metrisch\w*|metrique\w*|metrico\w*|metrica\w*)\b/,
+];
+
+/**
+ * "in cups please" → 'us', "en gramos" / "metrisch bitte" → 'metric', sonst null
+ */
+function detectUnitSystem(text) {
+  const norm = fold(text);
+  const us = US_REQUEST.some(re => re.test(norm));
+  const metric = METRIC_REQUEST.some(re => re.test(norm));
+  if (us === metric) return null;
+  return us ? 'us' : 'metric';
+}
+
+// Personenzahl nur als Portionsangabe: "für 4 (Personen)", "6 people", "4 Portionen bitte" –
+// nicht Menge + Zutat ("2 portions of rice", "2 Portionen Reis") oder "for 2 hours"
+const PEOPLE = 'personen|person|leute|people|persons|personnes|personas|pessoas';
+const PORTIONS = 'portionen|portion|servings?|portions?|parts|porciones|raciones|porcoes|doses';
+const NOT_OF = '(?!\\s+(?:of|de|du|des|von|vom|da|do|di)\\b)';
+// Danach kommt nichts mehr (Satzende, Satzzeichen, "bitte")
+const ENDS = '(?=\\s*(?:$|[^\\s\\w]|(?:bitte|please|pls|svp|por favor|merci|danke|thanks|gracias|obrigad[oa])\\b))';
+const SERVINGS_RE = new RegExp(
+  `\\b(?:(?:fur|for|pour|para)\\s+(\\d{1,2})(?:\\s*(?:${PEOPLE}|${PORTIONS})\\b${NOT_OF}|${ENDS})`
+  + `|(\\d{1,2})\\s*(?:${PEOPLE})\\b`
+  + `|(\\d{1,2})\\s*(?:${PORTIONS})${ENDS})`,
+);
+
+/**
+ * "für 6 Personen?" / "for 6 people" / "pour 6" → 6, sonst null
+ */
+function detectServings(text) {
+  const m = SERVINGS_RE.exec(fold(text));
+  const n = m ? parseInt(m[1] || m[2] || m[3], 10) : 0;
+  return n >= 1 && n <= 50 ? n : null;
+}
+
+/**
+ * Filter für die Conversation Engine: [SHOPLIST]-Einträge und •-Listen im Text
+ * ins bevorzugte System umrechnen. Gestreamte Text-Stücke (partial): eine
+ * angefangene •-Zeile wird bis zum Zeilenende zurückgehalten (flush() gibt
+ * den Rest vor dem nächsten Tag-Block bzw. am Ende heraus), alles andere geht
+ * sofort durch.
+ */
+function createUnitFilter({ system, lang }) {
+  const opts = { system, lang };
+  let held = '';      // angefangene Zeile, die eine •-Zeile sein kann
+  let plain = false;  // angefangene Zeile ist sicher keine Aufzählung
+
+  function streamText(text) {
+    let out = '';
+    text.split('\n').forEach((part, i) => {
+      if (i > 0) {
+        out += `${plain ? '' : adaptBulletLines(held, opts)}\n`;
+        held = '';
+        plain = false;
+      }
+      if (plain) {
+        out += part;
+        return;
+      }
+      held += part;
+      if (held.trim() && !BULLET_START_RE.test(held)) {
+        out += held;
+        held = '';
+        plain = true;
+      }
+    });
+    return out;
+  }
+
+  return {
+    check(block, { partial = false } = {}) {
+      if (block.type === 'shoplist') {
+        return { ...block, data: { ...block.data, items: block.data.items.map(i => adaptLine(i, opts)) } };
+      }
+      if (block.type !== 'text') return block;
+      if (!partial) return { ...block, text: adaptBulletLines(block.text, opts) };
+      const text = streamText(block.text);
+      return text ? { ...block, text } : null;
+    },
+    flush() {
+      const text = held;
+      held = '';
+      plain = false;
+      return text ? [{ type: 'text', text: adaptBulletLines(text, opts) }] : [];
+    },
+    finish() {
+      return [];
+    },
+  };
+}
+
+module.exports = {
+  UNIT_SYSTEMS, parseIngredient, parseNumber, scaleIngredient, convertIngredient, sumIngredients,
+  dimensionOf, formatIngredient, adaptLine, adaptBulletLines, detectUnitSystem, detectServings, SERVINGS_RE, createUnitFilter,
+};
@@ -13,10 +13,12 @@
 // ║  SPRACHEN v4.3.0: de, en, fr, es, pt                 ║
 // ║  ENTFERNT: tr, ar                                     ║
 // ║                                                       ║
-// ║  Sprache hinzufügen? Stellen in DIESER Datei:         ║
-// ║  1. langMap{} (~Z.287): Sprach-Anweisung hinzufügen  ║
-// ║  2. buildSystemPrompt() (~Z.340): Grammatik-Hinweis  ║
-// ║  3. WhatsApp langMap (~Z.1005): Vorwahl→Sprache      ║
+// ║  Sprache hinzufügen? Drei Tabellen, keine Logik:      ║
+// ║  1. locales/<lang>.json: alle Texte übersetzen        ║
+// ║     → npm run check:locales meldet fehlende Keys      ║
+// ║  2. lib/langid.js: Trainingstext in CORPUS            ║
+// ║     → aktiv = locales/*.json ∩ CORPUS (LANGS)         ║
+// ║  3. lib/phone.js: Standardsprache pro Ländervorwahl   ║
 // ║                                                       ║
 // ║  ENV-VARIABLEN (Railway):                             ║
 // ║  DEEPSEEK_KEY, ELEVENLABS_KEY, WA_TOKEN, WA_PHONE_ID ║
@@ -25,42 +27,96 @@
 //
 // ARCHITEKTUR:
 // ─────────────────────────────────────────────────────────
-// 1. WEB-CHAT    POST /api/chat       → DeepSeek AI → JSON
-// 2. WHATSAPP    POST /api/whatsapp   → Meta Cloud API
-// 3. VOICE TTS   POST /api/voice      → ElevenLabs → MP3
-// 4. STATS       GET  /api/stats      → Admin-Dashboard
+// 1. WEB-CHAT    POST /api/chat       → LLM (DeepSeek, Fallback lib/llm.js) → JSON (oder SSE-Stream)
+// 2. WHATSAPP    POST /api/whatsapp   → Meta Cloud API (Text + Sprachnachrichten via STT)
+// 3. VOICE TTS   POST /api/voice      → ElevenLabs → MP3 (lib/tts.js, auch für WhatsApp)
+// 4. STATS       GET  /api/stats      → Admin-Dashboard (Auth)
 // 5. HEALTH      GET  /api/health     → Server-Status
-// 6. BROADCAST   POST /api/wa/broadcast → Wöchentl. WhatsApp
+// 6. BROADCAST   POST /api/wa/broadcast → Wöchentl. WhatsApp (Auth)
+// 7. TELEGRAM    POST /api/telegram   → Telegram Bot API (Rezept-Karten als Inline-Buttons)
+//
+// KANÄLE (lib/engine.js):
+//   Web-Chat, WhatsApp und Telegram laufen durch dieselbe ConversationEngine
+//   (Prompt → LLM → Tags parsen → Kanal rendert → Verlauf).
+//   Pro Kanal nur ein Adapter: Modell-Parameter, Prompt-Zusatz, Ausgabeformat.
+//
+// PROFILE (lib/profiles.js):
+//   Ernährung, Allergien, Abneigungen, Haushalt, Geräte pro Userin
+//   (wa:<telefon>, web:<visitorId>, tg:<chatId>) – nach jeder Antwort per
+//   LLM-Extraktion aktualisiert, im System-Prompt für JEDE Antwort.
+//   "Was weißt du über mich?" zeigt es, "Vergiss mich" löscht Profil + Verlauf.
+//   Allergie-/Diät-Filter (lib/dietary.js): WP-Metadaten allergens/diets pro
+//   Rezept → unpassende Rezeptkarten fliegen raus, Links werden markiert,
+//   die Antwort bekommt einen Sicherheitshinweis.
+//   Einheiten (lib/units.js): "in cups please" → Profil units:'us'; Rezept-Details
+//   skaliert ("für 6 Personen"/Haushalt), [SHOPLIST] + •-Listen umgerechnet.
+//   Essensplan (lib/mealplan.js): "Plane meine Woche" → Rezepte passend zum Profil,
+//   Plan in der Session änderbar, EINE Einkaufsliste nach Abteilung (ohne AI).
 //
 // VOICE-FLOW (ElevenLabs):
 //   Userin spricht/tippt → /api/chat (voiceMode:true) → AI-Text
 //   → /api/voice → ElevenLabs Multilingual v2 → MP3 Audio → Browser
 //   → Fallback: Browser SpeechSynthesis (weibliche Stimme)
+//   WhatsApp: "voice on" oder eigene Sprachnachricht → Antwort zusätzlich als Audio
 //
 // REZEPT-LOGIK (3 Stufen):
 //   Stufe 1: Rezept auf unserer Seite → Link + [RECIPE] Card
 //   Stufe 2: Userin will Details → Zutaten + Schritte + Link
+//            (volles Rezept lazy aus WP_DETAIL_URL bzw. JSON-LD, lib/recipe-details.js)
 //   Stufe 3: Rezept NICHT bei uns → Allgemeines Rezept, KEINE fremden Links
 //
 // WHATSAPP-BROADCAST:
-//   - Timezone-aware: Sendet nur 8:00-21:00 Ortszeit
-//   - Duplicate-Lock: 30 Min globaler Lock pro Broadcast-Typ
+//   - Timezone-aware: Sendet nur 8:00-21:00 Ortszeit (BROADCAST_WINDOWS pro Typ),
+//     außerhalb → Empfänger wird zum nächsten Fensterbeginn verschoben (Scheduler)
+//   - Duplicate-Lock: 30 Min pro Broadcast-Typ
+//   - Job-Queue: Antwort sofort mit Job-ID, Versand im Hintergrund (BROADCAST_RATE),
+//     Status pro Empfänger, GET /api/wa/broadcast/:id, Resume nach Neustart
 //   - Personalisiert: Subscriber-Name + Sprache nach Vorwahl
 //
 // ENV-VARIABLEN (Railway Settings > Variables):
 //   ┌─────────────────────────┬──────────────────────────────────────────┐
 //   │ DEEPSEEK_API_KEY        │ DeepSeek Chat API Key                    │
 //   │ DEEPSEEK_MODEL          │ Modell (default: deepseek-chat)          │
+//   │ LLM_PROVIDERS           │ Fallback-Reihenfolge (deepseek,openai)   │
+//   │ OPENAI_API_KEY / _MODEL │ OpenAI-Fallback (default: gpt-4o-mini)   │
+//   │ LOCAL_LLM_URL / _MODEL  │ Ollama/llama.cpp, z.B. :11434/v1         │
+//   │ LLM_TIMEOUT / _RETRIES  │ ms pro Versuch (30000) / Retries (2)     │
+//   │ LLM_PARAMS              │ Pro Anwendungsfall: web.temperature=0.4  │
 //   │ SITE_URL                │ WordPress Domain                         │
 //   │ WP_API_URL              │ Rezepte REST-Endpoint                    │
+//   │ WP_DETAIL_URL           │ Rezept-Details …/{id}, leer → JSON-LD    │
+//   │ DEFAULT_UNIT_SYSTEM     │ metric | us (Userin kann umstellen)      │
 //   │ ELEVENLABS_API_KEY      │ ElevenLabs TTS API Key                   │
 //   │ ELEVENLABS_VOICE_ID     │ ElevenLabs Stimme (z.B. Sarah)           │
 //   │ FISH_AUDIO_API_KEY      │ Fish Audio TTS API Key (Alternative)     │
 //   │ FISH_AUDIO_VOICE_ID     │ Fish Audio Voice ID (Alternative)        │
+//   │ TTS_PROVIDERS           │ TTS-Reihenfolge (default: elevenlabs,...) │
+//   │ TTS_TIMEOUT             │ ms bis zum nächsten Provider (15000)      │
+//   │ TTS_CACHE_DIR / _MAX_MB │ Audio-Cache auf Disk (LRU, default 200MB) │
 //   │ META_WA_TOKEN           │ Meta WhatsApp Business Token              │
 //   │ META_WA_PHONE_ID        │ WhatsApp Phone Number ID                  │
 //   │ META_WA_VERIFY          │ Webhook Verify Token                      │
+//   │ META_APP_SECRET         │ App-Secret → prüft X-Hub-Signature-256    │
+//   │ WA_INTERACTIVE          │ 0 = keine Rezept-Listen/Buttons senden    │
+//   │ TELEGRAM_BOT_TOKEN      │ Bot-Token von @BotFather (optional)       │
+//   │ TELEGRAM_WEBHOOK_SECRET │ secret_token aus setWebhook               │
+//   │ TG_CHAT_LIMIT           │ AI-Nachrichten/Tag pro Chat (50, 0 = aus) │
+//   │ STT_PROVIDER            │ Sprachnachrichten: openai | local | leer  │
+//   │ STT_API_URL / _KEY      │ OpenAI-kompatibler /audio/transcriptions  │
+//   │ STT_MODEL               │ STT-Modell (default: whisper-1)           │
 //   │ AMAZON_PRODUCTS_URL     │ Produkte-API (optional)                   │
+//   │ LANGID_MIN_CONFIDENCE   │ Mindest-Konfidenz Spracherkennung (0.35)  │
+//   │ PROMPT_RECIPES_RELEVANT │ Top-N Suchtreffer im Prompt (default 20)  │
+//   │ PROMPT_RECIPES_MAX      │ Max Rezepte im Prompt gesamt (default 40) │
+//   │ ADMIN_SECRET            │ HMAC-Secret für Admin-Routen (WP-Plugin)  │
+//   │ ADMIN_TOKEN             │ Bearer Token für Admin-Routen (optional)  │
+//   │ STORAGE_DRIVER          │ memory | file | redis (default: auto)     │
+//   │ DATA_DIR                │ Ordner für file-Storage (Railway Volume)  │
+//   │ REDIS_URL               │ redis://:pass@host:6379/0 (optional)      │
+//   │ BROADCAST_RATE          │ Broadcast-Nachrichten pro Sekunde (5)     │
+//   │ BROADCAST_MAX_ATTEMPTS  │ Versuche pro Empfänger bei Rate-Limit (5) │
+//   │ BROADCAST_RESUME        │ 1 = offene Jobs nach Neustart fortsetzen  │
+//   │ BROADCAST_WINDOWS       │ Sendefenster pro Typ (weekly_recipes=8-21)│
 //   └─────────────────────────┴──────────────────────────────────────────┘
 //
 // SICHERHEIT:
@@ -69,6 +125,11 @@
 //   - Input: Max 2000 Zeichen/Nachricht, max 30 Messages/Session
 //   - Sessions: Validierung von sessionId (Länge < 100)
 //   - WhatsApp: 50 Nachrichten/Tag pro Nummer
+//   - WhatsApp-Webhooks: X-Hub-Signature-256 (META_APP_SECRET) bzw.
+//     WordPress-Weiterleitung über /api/whatsapp/forward (ADMIN_SECRET-HMAC)
+//   - Telegram-Webhook: X-Telegram-Bot-Api-Secret-Token (TELEGRAM_WEBHOOK_SECRET)
+//   - Admin-Routen (/api/stats, /api/wa/broadcast, /api/recipes):
+//     HMAC (ADMIN_SECRET) oder Bearer (ADMIN_TOKEN), siehe lib/auth.js
 //
 // DEPLOYMENT:
 //   GitHub → Railway (Auto-Deploy bei git push)
@@ -77,15 +138,37 @@
 
 // ─── ABHÄNGIGKEITEN ──────────────────────────────────────
 require('dotenv').config();           // .env Datei laden (Railway setzt ENV direkt)
+const os = require('os');
+const path = require('path');
 const express = require('express');   // HTTP Server Framework
 const cors = require('cors');         // Cross-Origin für WordPress→Railway Requests
-const fetch = require('node-fetch');  // HTTP Client für DeepSeek, Meta, WordPress API
+const fetch = require('node-fetch');  // HTTP Client für Meta, Telegram, WordPress API
+const { blocksToText, urlPath } = require('./lib/tags');         // [RECIPE]/[SHOPLIST]/[PRODUCT] Parser
+const { ConversationEngine } = require('./lib/engine');         // Ein Gesprächsablauf für alle Kanäle
+const { createLLM } = require('./lib/llm');                      // DeepSeek/OpenAI/lokal mit Fallback
+const { ProfileStore, parseProfileCommand, promptSection, formatProfile } = require('./lib/profiles'); // Vorlieben pro Userin
+const { normalizeAllergens, normalizeDiets, recipeConflicts, withRestrictions, hasRestrictions, createSafetyFilter } = require('./lib/dietary'); // Allergie-/Diät-Filter
+const { createStorage, Persistence } = require('./lib/storage'); // Memory/File/Redis Persistenz
+const { RecipeIndex } = require('./lib/search');                 // BM25 Rezept-Suche für den Prompt
+const { RecipeDetailCache, detailSection } = require('./lib/recipe-details'); // Zutaten/Schritte pro Rezept (lazy)
+const { UNIT_SYSTEMS, adaptLine, detectUnitSystem, detectServings, createUnitFilter } = require('./lib/units'); // Mengen skalieren/umrechnen
+const { parsePlanCommand, buildShoppingList, PLAN_DEFAULT, PLAN_MAX } = require('./lib/mealplan'); // Essensplan + Einkaufsliste
+const { createAdminAuth, createWebhookAuth } = require('./lib/auth'); // Admin-Auth + Webhook-Signaturen
+const { createTranscriber } = require('./lib/stt');              // Sprachnachrichten → Text
+const { createSpeechSynthesizer, toSpeechText } = require('./lib/tts'); // ElevenLabs/Fish Audio (Web + WhatsApp)
+const { buildMultipart } = require('./lib/multipart');           // Datei-Uploads (Meta Media API)
+const { BroadcastQueue } = require('./lib/broadcast-queue');     // Broadcast-Jobs mit Fortschritt + Resume
+const { timezoneForPhone, langForPhone } = require('./lib/phone'); // Vorwahl → Land/Sprache/Zeitzone
+const { detectLanguage, LANGS: LANGID_LANGS } = require('./lib/langid'); // n-Gramm Spracherkennung (Sprachen aus CORPUS)
+const { createI18n, checkCatalogs } = require('./lib/i18n');     // Texte aus locales/<lang>.json
 
 // ─── EXPRESS APP SETUP ───────────────────────────────────
 const app = express();
 app.use(cors());                                          // Erlaubt Requests von jeder Domain
-app.use(express.json({ limit: '50kb' }));                 // JSON Body Parser mit Größenlimit
-app.use(express.urlencoded({ extended: true, limit: '50kb' })); // URL-encoded Body Parser
+// Roh-Body merken (req.rawBody) – nötig für HMAC-Signaturen (Admin-Auth, Webhooks)
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use(express.json({ limit: '50kb', verify: keepRawBody }));                 // JSON Body Parser mit Größenlimit
+app.use(express.urlencoded({ extended: true, limit: '50kb', verify: keepRawBody })); // URL-encoded Body Parser
 
 // ─── RATE LIMITER (Schutz vor Missbrauch) ────────────────
 // Einfaches In-Memory Rate Limit: max 20 Requests pro Minute pro IP.
@@ -127,15 +210,42 @@ setInterval(() => {
 const PORT = process.env.PORT || 3000;                        // Railway setzt PORT automatisch
 // FIX v4.3.3: Akzeptiert BEIDE Namenskonventionen (Doku + Code)
 const DEEPSEEK_KEY = process.env.DEEPSEEK_API_KEY || process.env.DEEPSEEK_KEY || '';
-const DEEPSEEK_URL = 'https://api.deepseek.com/v1/chat/completions';
-const DEEPSEEK_MODEL = process.env.DEEPSEEK_MODEL || 'deepseek-chat';
 const SITE_URL = process.env.SITE_URL || 'https://mydishrecipes.com';
 const WP_API = process.env.WP_API_URL || `${SITE_URL}/wp-json/mdr-chatbot/v1/recipes`;
 const PRODUCTS_API = process.env.AMAZON_PRODUCTS_URL || '';
+// Volles Rezept (Zutaten/Schritte), {id} wird ersetzt – Fallback: JSON-LD der Rezeptseite
+const WP_DETAIL_URL = process.env.WP_DETAIL_URL || ''; // Ohne Route → direkt JSON-LD der Rezeptseite
 const ELEVENLABS_KEY = process.env.ELEVENLABS_API_KEY || process.env.ELEVENLABS_KEY || '';
 const ELEVENLABS_VOICE = process.env.ELEVENLABS_VOICE_ID || '';
 const FISH_AUDIO_KEY = process.env.FISH_AUDIO_API_KEY || '';    // Fish Audio TTS API Key
 const FISH_AUDIO_VOICE = process.env.FISH_AUDIO_VOICE_ID || ''; // Fish Audio Voice ID
+// Sprachmodell: Provider-Kette mit Fallback + Retry (siehe lib/llm.js)
+// params = Defaults pro Anwendungsfall, LLM_PARAMS überschreibt einzelne Werte
+const llm = createLLM({
+  deepseek: { url: process.env.DEEPSEEK_URL || '', key: DEEPSEEK_KEY, model: process.env.DEEPSEEK_MODEL || '' },
+  openai: { url: process.env.OPENAI_URL || '', key: process.env.OPENAI_API_KEY || '', model: process.env.OPENAI_MODEL || '' },
+  local: { url: process.env.LOCAL_LLM_URL || '', key: process.env.LOCAL_LLM_KEY || '', model: process.env.LOCAL_LLM_MODEL || '' },
+  order: (process.env.LLM_PROVIDERS || 'deepseek').split(',').map(s => s.trim()).filter(Boolean),
+  timeout: parseInt(process.env.LLM_TIMEOUT, 10) || 30000,
+  retries: process.env.LLM_RETRIES ? parseInt(process.env.LLM_RETRIES, 10) : 2,
+  params: {
+    web: { max_tokens: 800, temperature: 0.5 },       // Etwas weniger kreativ = genauer
+    whatsapp: { max_tokens: 600, temperature: 0.6 },
+    telegram: { max_tokens: 800, temperature: 0.5 },
+    broadcast: { max_tokens: 200, temperature: 0.7 }, // Kurze Broadcast-Texte (weekly_affiliate)
+    profile: { max_tokens: 200, temperature: 0 },     // Profil-Extraktion (JSON)
+  },
+  overrides: process.env.LLM_PARAMS || '',
+});
+// Profile (Ernährung, Allergien, Haushalt, ...) – Extraktion nach jeder Antwort (lib/profiles.js)
+const profiles = new ProfileStore({ complete: (messages) => llm.complete(messages, llm.params('profile')) });
+const PROFILE_TTL = 365 * 24 * 60 * 60 * 1000; // Ohne Änderung nach 1 Jahr vergessen
+// Einheiten, solange eine Userin nichts anderes wünscht (metric | us, lib/units.js)
+const DEFAULT_UNIT_SYSTEM = UNIT_SYSTEMS.includes(process.env.DEFAULT_UNIT_SYSTEM) ? process.env.DEFAULT_UNIT_SYSTEM : 'metric';
+// Spracherkennung: darunter gilt gemerkte Sprache / Vorwahl / Browser-Sprache (lib/langid.js)
+const LANGID_MIN_CONFIDENCE = parseFloat(process.env.LANGID_MIN_CONFIDENCE) || 0.35;
+// Bis zu so vielen Wörtern ("Lasagne", "Pasta Carbonara") keine gemerkte Sprache überschreiben
+const LANGID_SHORT_WORDS = 3;
 
 // WhatsApp Meta Cloud API Credentials
 // FIX v4.3.3: Akzeptiert BEIDE Namenskonventionen (Doku + Code)
@@ -143,22 +253,96 @@ const FISH_AUDIO_VOICE = process.env.FISH_AUDIO_VOICE_ID || ''; // Fish Audio Vo
 const META_WA_TOKEN = process.env.META_WA_TOKEN || process.env.WA_TOKEN || '';
 const META_WA_PHONE_ID = process.env.META_WA_PHONE_ID || process.env.WA_PHONE_ID || '';
 const META_WA_VERIFY = process.env.META_WA_VERIFY || process.env.WA_VERIFY || 'mdr_verify_token';
+const META_APP_SECRET = process.env.META_APP_SECRET || process.env.WA_APP_SECRET || ''; // Prüft X-Hub-Signature-256
+const META_GRAPH_URL = 'https://graph.facebook.com/v21.0';
+const WA_INTERACTIVE = process.env.WA_INTERACTIVE !== '0';      // Rezept-Listen + Buttons (0 = nur Text)
+
+// Telegram Bot API (Token von @BotFather, Secret bei setWebhook als secret_token)
+const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || '';
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET || '';
+const TELEGRAM_API_URL = 'https://api.telegram.org';
+const TG_CHAT_LIMIT = parseInt(process.env.TG_CHAT_LIMIT || '50', 10); // Pro Chat und Tag (Kostenkontrolle)
+
+// Speech-to-Text für WhatsApp-Sprachnachrichten (siehe lib/stt.js)
+const transcriber = createTranscriber({
+  provider: process.env.STT_PROVIDER || '',         // openai | local | leer = aus
+  apiUrl: process.env.STT_API_URL || '',            // Default: https://api.openai.com/v1
+  apiKey: process.env.STT_API_KEY || process.env.OPENAI_API_KEY || '',
+  model: process.env.STT_MODEL || '',               // Default: whisper-1
+  localText: process.env.STT_LOCAL_TEXT || '',
+});
+
+// Persistenz (siehe lib/storage.js) – ohne DATA_DIR/REDIS_URL bleibt alles nur im RAM
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || '';             // memory | file | redis
+const DATA_DIR = process.env.DATA_DIR || '';                         // Für file-Adapter (Railway Volume)
+const REDIS_URL = process.env.REDIS_URL || '';                       // Für redis-Adapter
+const STORAGE_FLUSH_INTERVAL = parseInt(process.env.STORAGE_FLUSH_INTERVAL, 10) || 30 * 1000;
+
+// Text-to-Speech: Provider-Kette + Disk-Cache (siehe lib/tts.js)
+const tts = createSpeechSynthesizer({
+  elevenLabsKey: ELEVENLABS_KEY, elevenLabsVoice: ELEVENLABS_VOICE,
+  fishKey: FISH_AUDIO_KEY, fishVoice: FISH_AUDIO_VOICE,
+  order: (process.env.TTS_PROVIDERS || 'elevenlabs,fishaudio').split(',').map(s => s.trim()).filter(Boolean),
+  timeout: parseInt(process.env.TTS_TIMEOUT, 10) || 15000,
+  cacheDir: process.env.TTS_CACHE_DIR || path.join(DATA_DIR || os.tmpdir(), 'tts-cache'),
+  cacheMaxBytes: (parseInt(process.env.TTS_CACHE_MAX_MB, 10) || 200) * 1024 * 1024,
+});
+
+// Admin-Auth für Operator-Endpoints (siehe lib/auth.js)
+const ADMIN_SECRET = process.env.ADMIN_SECRET || '';   // HMAC-Secret (WordPress-Plugin)
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';     // Bearer Token (curl, Dashboard)
+const requireAdmin = createAdminAuth({ secret: ADMIN_SECRET, token: ADMIN_TOKEN });
+const webhookAuth = createWebhookAuth({
+  appSecret: META_APP_SECRET,
+  forwardSecret: ADMIN_SECRET,
+  telegramSecret: TELEGRAM_WEBHOOK_SECRET,
+});
+
+// Texte für Userinnen: locales/<lang>.json (siehe lib/i18n.js) – t(lang, key, vars)
+const i18n = createI18n();
+const t = i18n.t;
+// Unterstützte Sprachen: Katalog vorhanden UND von der Erkennung trainiert
+// (Telegram /language, Browser-Sprache, detectLang) – neue Sprache ohne Code-Edit hier
+const LANGS = i18n.locales.filter(l => LANGID_LANGS.includes(l));
+for (const problem of checkCatalogs(i18n.catalogs)) console.warn(`[i18n] ${problem}`);
 
 // ─── WHATSAPP CONVERSATION MEMORY ────────────────────────
 // In-Memory Map: Telefonnummer → { msgs[], ts, userName, userLang, dailyCount, ... }
 // Speichert die letzten 20 Nachrichten pro User für 24 Stunden.
-// ACHTUNG: Daten gehen bei Railway Deploy/Restart verloren!
-// Für persistente Daten → Redis oder Datenbank nötig (zukünftig).
+// Persistenz: Snapshot über lib/storage.js (STORAGE_DRIVER) → überlebt Deploys/Restarts.
 const waConversations = new Map(); // phone → {msgs, ts, name, lang, ...}
 const WA_HISTORY_MAX = 20;                    // Max Nachrichten pro Conversation
 const WA_HISTORY_TTL = 24 * 60 * 60 * 1000;  // 24 Stunden Time-to-Live
-
-// Abgelaufene Conversations automatisch entfernen (alle 30 Min)
+const waOptOuts = new Map();       // phone → { ts } – "stop" gesendet, keine Broadcasts mehr
+
+// Telegram: Chat-ID → { msgs[], ts, userName, userLang, langFixed, dailyCount } (wie waConversations)
+const tgConversations = new Map();
+const TG_HISTORY_MAX = 20;
+const TG_HISTORY_TTL = 24 * 60 * 60 * 1000;
+
+// Deduplizierung: Meta wiederholt Webhooks → jede eingehende msg.id nur einmal verarbeiten
+const waProcessedIds = new Map();  // msg.id → { state: 'processing'|'done', ts }
+const WA_DEDUPE_TTL = 48 * 60 * 60 * 1000;   // Meta retried bis zu ~24h → 48h merken
+const WA_DEDUPE_STALE = 5 * 60 * 1000;       // 'processing' länger als 5 Min → abgestürzt
+// Zustell-Status ausgehender Nachrichten (aus value.statuses)
+const waMessageStatus = new Map(); // wamid → { status, recipient, ts, error? }
+const WA_STATUS_TTL = 7 * 24 * 60 * 60 * 1000; // 7 Tage
+
+// Abgelaufene Conversations, Dedupe-IDs und Status automatisch entfernen (alle 30 Min)
 setInterval(() => {
   const now = Date.now();
   for (const [phone, conv] of waConversations) {
     if (now - conv.ts > WA_HISTORY_TTL) waConversations.delete(phone);
   }
+  for (const [chatId, conv] of tgConversations) {
+    if (now - conv.ts > TG_HISTORY_TTL) tgConversations.delete(chatId);
+  }
+  for (const [id, seen] of waProcessedIds) {
+    if (now - seen.ts > WA_DEDUPE_TTL) waProcessedIds.delete(id);
+  }
+  for (const [id, st] of waMessageStatus) {
+    if (now - st.ts > WA_STATUS_TTL) waMessageStatus.delete(id);
+  }
 }, 30 * 60 * 1000);
 
 // ═══════════════════════════════════════════════════════════
@@ -168,6 +352,10 @@ let recipesCache = [];
 let productsCache = [];
 let cacheTimestamp = 0;
 const CACHE_TTL = 5 * 60 * 1000; // 5 Minuten
+let recipeIndex = new RecipeIndex([]); // Wird bei jedem Cache-Refresh neu gebaut
+const recipeDetails = new RecipeDetailCache({ detailUrl: WP_DETAIL_URL }); // Volles Rezept erst bei Bedarf
+const PROMPT_RECIPES_RELEVANT = parseInt(process.env.PROMPT_RECIPES_RELEVANT, 10) || 20; // Top-N Suchtreffer
+const PROMPT_RECIPES_MAX = parseInt(process.env.PROMPT_RECIPES_MAX, 10) || 40;           // Gesamt im Prompt
 
 async function getRecipes() {
   const now = Date.now();
@@ -187,10 +375,18 @@ async function getRecipes() {
       url: r.url || '',
       excerpt: (r.excerpt || '').slice(0, 150),
       date: r.date,
+      // Kategorien/Tags/Küche für die Suche (WP liefert Strings oder {name})
+      taxonomy: [].concat(r.categories || [], r.tags || [], r.cuisine || [])
+        .map(term => (typeof term === 'string' ? term : term && term.name) || '')
+        .filter(Boolean),
+      // Allergene/Ernährung als Codes (lib/dietary.js) – null = nicht getaggt
+      allergens: normalizeAllergens(r.allergens),
+      diets: normalizeDiets(r.diets || r.diet),
     }));
 
     cacheTimestamp = now;
-    console.log(`[Cache] ${recipesCache.length} Rezepte geladen`);
+    recipeIndex = new RecipeIndex(recipesCache);
+    console.log(`[Cache] ${recipesCache.length} Rezepte geladen + indexiert`);
 
   } catch (err) {
     console.error('[Cache] WP-Fehler:', err.message);
@@ -245,38 +441,21 @@ setInterval(getBranding, 30 * 60 * 1000);
 //   3. Sprache (auto-detect, GTranslate)
 //   4. Persönlichkeit (warm, freundlich, ermutigend)
 //   5. Rezept-Logik (3 Stufen: Link → Details → Allgemein)
-//   6. Rezeptliste (aus WordPress REST API, cached)
+//   6. Rezeptliste (Fixierte + BM25-Treffer zur Anfrage + Neueste, siehe selectPromptRecipes)
 //   7. Produkt-Integration (Amazon Affiliate, optional)
 //
 // ÄNDERN: Wenn Lily anders sprechen soll → hier anpassen.
-async function buildSystemPrompt(lang, pageTitle, isRecipe) {
+async function buildSystemPrompt(lang, pageTitle, isRecipe, messages, profile) {
   const recipes = await getRecipes();
+  const units = unitPrefs(messages, profile);
   const { bot_name: botName, bot_emoji: botEmoji, blog_name: blogName } = brandingCache;
 
-  // ── Rezeptliste für den Prompt zusammenstellen ──
-  // Wenn Admin Rezepte fixiert hat → nur diese zeigen
-  // Sonst: Mix aus neuesten + zufälligen Rezepten (damit Bot variiert)
-  const pinnedRecipeIds = (brandingCache.pinned_recipe_ids || '').split(',').map(s=>s.trim()).filter(Boolean);
-  let promptRecipes = recipes;
-
-  if (pinnedRecipeIds.length > 0) {
-    // Admin hat bestimmte Rezepte vorgegeben → die zuerst, Rest dahinter
-    const pinned = recipes.filter(r => pinnedRecipeIds.includes(String(r.id)));
-    const rest = recipes.filter(r => !pinnedRecipeIds.includes(String(r.id)));
-    promptRecipes = [...pinned, ...rest];
-  } else {
-    // Keine Vorgabe → Mix: 30 neueste + 30 zufällige (verhindert "immer das Gleiche")
-    const newest = recipes.slice(0, 30);
-    const older = recipes.slice(30);
-    // Fisher-Yates Shuffle auf ältere Rezepte
-    for (let i = older.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [older[i], older[j]] = [older[j], older[i]];
-    }
-    promptRecipes = [...newest, ...older.slice(0, 30)];
-  }
-
-  const recipeList = promptRecipes.slice(0, 60).map(r =>
+  // Rezepte, die nachweislich nicht zum Profil (+ aktueller Nachricht) passen, gar nicht erst anbieten
+  const lastUser = [...(messages || [])].reverse().find(m => m.role === 'user');
+  const restrictions = withRestrictions(profile, lastUser && lastUser.content);
+  const promptRecipes = selectPromptRecipes(recipes, messages, pageTitle)
+    .filter(r => recipeConflicts(r, restrictions).length === 0);
+  const recipeList = promptRecipes.map(r =>
     `• "${r.title}" | URL: ${r.url} | ${r.excerpt}`
   ).join('\n');
 
@@ -301,19 +480,11 @@ async function buildSystemPrompt(lang, pageTitle, isRecipe) {
       ).join('\n');
   }
 
-  const langMap = {
-    de: 'Antworte immer auf Deutsch.',
-    en: 'Always reply in English.',
-    fr: 'Réponds toujours en français.',
-    es: 'Responde siempre en español.',
-    pt: 'Responde sempre em português.',
-  };
-
   // Kontext: User ist auf einer bestimmten Rezeptseite
   let pageContext = '';
   if (isRecipe && pageTitle) {
     // Finde das Rezept in unserer Liste
-    const currentRecipe = recipes.find(r => r.title.toLowerCase() === pageTitle.toLowerCase());
+    const currentRecipe = findRecipeByTitle(recipes, pageTitle);
     pageContext = `
 AKTUELLER KONTEXT:
 Die Userin befindet sich gerade auf der Rezeptseite: "${pageTitle}"
@@ -363,7 +534,7 @@ GESCHLECHT & GRAMMATIK (SEHR WICHTIG für alle Sprachen!):
 - Beispiele: "Hast du Lust auf...?" / "¿Te gustaría...?" / "Tu veux...?"
 
 SPRACHE:
-- Die Startsprache ist: ${langMap[lang] || langMap.en}
+- Die Startsprache ist: ${t(lang, 'prompt.reply_in')}
 - WICHTIG: Wenn in einer ANDEREN Sprache geschrieben wird, antworte SOFORT in dieser Sprache!
 - Passe dich immer der letzten Nachricht an.
 - Achte in JEDER Sprache auf die korrekte weibliche Grammatik!
@@ -391,7 +562,8 @@ STUFE 1 – REZEPT AUF UNSERER SEITE VORHANDEN:
 
 STUFE 2 – USER WILL DETAILS IM CHAT (Zutaten, Schritte, Tipps):
 → Wenn das Rezept auf unserer Seite existiert: Gib die Zutaten und Zubereitungsschritte
-  im Chat, basierend auf dem was du über das Rezept weißt. Sage dazu:
+  im Chat – stehen unten REZEPT-DETAILS dafür, dann EXAKT diese. Ohne Details:
+  nur grob beschreiben und auf den Link verweisen. Sage dazu:
   "Das vollständige Rezept mit Bildern findest du hier: [Link]"
 → Erfinde KEINE Zutaten oder Schritte, die nicht zum Rezept gehören!
 
@@ -434,50 +606,323 @@ VERHALTEN:
 - Sei freundlich, nicht roboterhaft
 - Wenn User Zutaten nennt → finde das beste passende Rezept aus der Liste
 - Wenn kein Rezept passt → liefere ein allgemeines Rezept (ohne fremde Links!)
-${pageContext}`;
+${promptSection(profile)}${unitSection(units)}${pageContext}${await discussedRecipeSection(recipes, messages, pageTitle, isRecipe, units, lang)}`;
 }
 
-// ─── DEEPSEEK API CALL ───────────────────────────────────
-async function callAI(messages, lang, pageTitle, isRecipe) {
-  const systemPrompt = await buildSystemPrompt(lang || 'de', pageTitle, isRecipe);
+// ─── REZEPT-DETAILS FÜR STUFE 2 (lib/recipe-details.js) ──
+// Nur für EIN Rezept pro Antwort: die Rezeptseite (isRecipe/pageTitle) oder
+// das Rezept, um das es in den letzten Nachrichten geht (Link/Karte/Titel).
+// Mehrere Rezepte in derselben Nachricht → unklar welches → keine Details.
+const DISCUSSED_LOOKBACK = 4;   // Nachrichten rückwärts durchsuchen
+const TITLE_MIN_CHARS = 6;      // Kürzere Titel nicht per Text erkennen ("Dal")
 
-  const res = await fetch(DEEPSEEK_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${DEEPSEEK_KEY}`,
-    },
-    body: JSON.stringify({
-      model: DEEPSEEK_MODEL,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        ...messages.slice(-10),
-      ],
-      max_tokens: 800,
-      temperature: 0.5,  // Etwas weniger kreativ = genauer
-    }),
-  });
+function findRecipeByTitle(recipes, title) {
+  return recipes.find(r => r.title.toLowerCase() === String(title || '').toLowerCase()) || null;
+}
 
-  if (!res.ok) {
-    const err = await res.text();
-    throw new Error(`DeepSeek ${res.status}: ${err}`);
+/**
+ * Rezepte, die in einer Nachricht per Link, [RECIPE]-Karte oder exaktem Titel vorkommen
+ */
+function recipesInMessage(recipes, text) {
+  const found = new Set();
+  for (const url of String(text || '').match(/https?:\/\/[^\s)\]>*_"]+/g) || []) {
+    const urlPathname = urlPath(url);
+    const recipe = urlPathname && recipes.find(r => urlPath(r.url) === urlPathname);
+    if (recipe) found.add(recipe);
+  }
+  const lower = String(text || '').toLowerCase();
+  for (const r of recipes) {
+    if (r.title.length >= TITLE_MIN_CHARS && lower.includes(r.title.toLowerCase())) found.add(r);
   }
+  return [...found];
+}
 
-  const data = await res.json();
-  return data.choices[0].message.content;
+function discussedRecipe(recipes, messages, pageTitle, isRecipe) {
+  if (isRecipe && pageTitle) {
+    const current = findRecipeByTitle(recipes, pageTitle);
+    if (current) return current;
+  }
+  for (const m of (messages || []).slice(-DISCUSSED_LOOKBACK).reverse()) {
+    const found = recipesInMessage(recipes, m.content);
+    if (found.length) return found.length === 1 ? found[0] : null;
+  }
+  return null;
+}
+
+async function discussedRecipeSection(recipes, messages, pageTitle, isRecipe, units, lang) {
+  const recipe = discussedRecipe(recipes, messages, pageTitle, isRecipe);
+  if (!recipe) return '';
+  const detail = await recipeDetails.get(recipe);
+  return detailSection(recipe, detail && adaptDetail(detail, units, lang));
+}
+
+// ─── MENGEN & EINHEITEN (lib/units.js) ───────────────────
+// System: Wunsch in der letzten Nachricht ("in cups please") > Profil > DEFAULT_UNIT_SYSTEM
+// Portionen: "für 6 Personen" in den letzten Nachrichten > Haushalt im Profil
+// Rezept-Details kommen bereits skaliert + umgerechnet in den Prompt,
+// [SHOPLIST] und •-Listen der Antwort rechnet der Einheiten-Filter nach.
+function unitPrefs(messages, profile) {
+  const userTexts = (messages || []).slice(-DISCUSSED_LOOKBACK).filter(m => m.role === 'user').map(m => m.content).reverse();
+  const last = userTexts[0] || '';
+  const servings = userTexts.map(detectServings).find(Boolean);
+  return {
+    system: detectUnitSystem(last) || profile?.units || DEFAULT_UNIT_SYSTEM,
+    servings: servings || profile?.household || 0,
+  };
+}
+
+/**
+ * Rezept-Details auf gewünschte Portionen + Einheiten bringen
+ */
+function adaptDetail(detail, { system, servings }, lang) {
+  const factor = servings && detail.servings ? servings / detail.servings : 1;
+  return {
+    ...detail,
+    ingredients: detail.ingredients.map(line => adaptLine(line, { factor, system, lang })),
+    servings: factor === 1 ? detail.servings : servings,
+    yield: factor === 1 ? detail.yield : '',
+  };
+}
+
+function unitSection({ system }) {
+  return system === 'us'
+    ? '\nEINHEITEN: US (cups, oz, lb, tbsp/tsp) – alle Mengen so angeben, NICHT mit g/ml mischen.\n'
+    : '\nEINHEITEN: metrisch (g, kg, ml, l, EL/TL) – alle Mengen so angeben, NICHT mit cups/oz mischen.\n';
+}
+
+function unitFilter(ctx) {
+  const { system } = unitPrefs(ctx.conv.msgs, profiles.get(ctx.profileKey));
+  return createUnitFilter({ system, lang: ctx.lang });
+}
+
+/**
+ * Rezeptliste für den Prompt zusammenstellen
+ * 1. Vom Admin fixierte Rezepte (pinned_recipe_ids) IMMER zuerst
+ * 2. BM25-Treffer zu den letzten User-Nachrichten + Seitentitel
+ *    (letzte Nachricht zählt am meisten, ältere weniger)
+ * 3. Auffüllen mit den neuesten Rezepten bis PROMPT_RECIPES_MAX
+ */
+function selectPromptRecipes(recipes, messages, pageTitle) {
+  const pinnedRecipeIds = (brandingCache.pinned_recipe_ids || '').split(',').map(s=>s.trim()).filter(Boolean);
+  const pinned = recipes.filter(r => pinnedRecipeIds.includes(String(r.id)));
+
+  const userMsgs = (messages || []).filter(m => m.role === 'user').slice(-3).reverse();
+  const query = userMsgs.map((m, i) => ({ text: m.content, weight: [3, 2, 1][i] }));
+  if (pageTitle) query.push({ text: pageTitle, weight: 2 });
+  const relevant = recipeIndex.search(query, PROMPT_RECIPES_RELEVANT).map(hit => hit.recipe);
+
+  const seen = new Set();
+  const out = [];
+  for (const r of [...pinned, ...relevant, ...recipes]) {
+    if (seen.has(r.id)) continue;
+    seen.add(r.id);
+    out.push(r);
+  }
+  return out.slice(0, Math.max(PROMPT_RECIPES_MAX, pinned.length));
+}
+
+// ─── CONVERSATION ENGINE ─────────────────────────────────
+// Gemeinsamer Ablauf für alle Kanäle (siehe lib/engine.js), Modell = lib/llm.js.
+// Adapter: 'web' (unten), 'whatsapp' (WhatsApp-Abschnitt), 'telegram' (Telegram-Abschnitt)
+const engine = new ConversationEngine({
+  buildSystemPrompt,
+  model: { complete: llm.complete, stream: llm.stream },
+  blockContext,
+  profiles,
+  filters: [unitFilter, safetyFilter],
+});
+
+// ─── ALLERGIE-/DIÄT-FILTER (lib/dietary.js) ──────────────
+// Nach jeder Antwort: [RECIPE]-Karten, die laut WP-Metadaten nicht zum Profil
+// passen, fliegen raus; Rezept-Links im Text bleiben, werden aber benannt.
+// Beides → kurzer Sicherheitshinweis in der Sprache der Antwort.
+// Profil + aktuelle Nachricht ("ich bin allergisch gegen Nüsse") – gelernt wird erst danach.
+function safetyFilter(ctx) {
+  const lastUser = [...(ctx.conv.msgs || [])].reverse().find(m => m.role === 'user');
+  const profile = withRestrictions(profiles.get(ctx.profileKey), lastUser && lastUser.content);
+  if (!hasRestrictions(profile)) return null;
+  return createSafetyFilter({ profile, recipes: recipesCache, note: flagged => safetyNote(flagged, ctx.lang) });
+}
+
+/**
+ * [{ recipe, conflicts }] → "⚠️ ... „Erdnuss-Curry“ enthält Erdnüsse ..."
+ */
+function safetyNote(flagged, lang) {
+  const items = [];
+  for (const { recipe, conflicts } of flagged) {
+    const allergens = conflicts.filter(c => c.type === 'allergen').map(c => t(lang, `allergen.${c.code}`));
+    if (allergens.length) items.push(t(lang, 'safety.contains', { title: recipe.title, allergens: allergens.join(', ') }));
+    const diet = conflicts.find(c => c.type === 'diet');
+    if (diet) items.push(t(lang, 'safety.not_diet', { title: recipe.title, diet: t(lang, `diet.${diet.code}`) }));
+  }
+  return t(lang, 'safety.note', { items: items.join('; ') });
+}
+
+// ─── ESSENSPLAN (lib/mealplan.js) ────────────────────────
+// "Plane meine Woche" → Rezepte aus recipesCache (Suche + Profil-Filter), der Plan
+// liegt in der Session/Conversation (conv.mealPlan). Änderungen und die
+// zusammengeführte Einkaufsliste beantwortet der Server ohne AI → blocks[]:
+// Web als Karten + [SHOPLIST] mit Abteilungen, Telegram über renderTelegram(),
+// WhatsApp als Text (planToWhatsApp).
+
+/**
+ * Rezepte für den Plan: Suchtreffer zuerst, mit fill danach die neuesten –
+ * ohne Allergie-/Diät-Konflikte und ohne Abneigungen im Titel
+ */
+function pickPlanRecipes(query, count, profile, { exclude = [], fill = true } = {}) {
+  const hits = query ? recipeIndex.search([{ text: query, weight: 1 }], PLAN_MAX * 3).map(hit => hit.recipe) : [];
+  const dislikes = (profile?.dislikes || []).map(d => d.toLowerCase());
+  const out = [];
+  for (const r of fill ? [...hits, ...recipesCache] : hits) {
+    if (out.length >= count) break;
+    if (exclude.includes(r.id) || out.includes(r) || recipeConflicts(r, profile).length) continue;
+    if (dislikes.some(d => r.title.toLowerCase().includes(d))) continue;
+    out.push(r);
+  }
+  return out;
+}
+
+function planRecipes(plan) {
+  return (plan?.recipeIds || []).map(id => recipesCache.find(r => r.id === id)).filter(Boolean);
+}
+
+/**
+ * Plan-Befehl ausführen (ändert conv.mealPlan) → blocks[]
+ */
+async function runPlanCommand(cmd, { conv, profileKey, lang }) {
+  const profile = withRestrictions(profiles.get(profileKey), cmd.query); // "Wochenplan ohne Gluten"
+  const plan = conv.mealPlan;
+  const ids = planRecipes(plan).map(r => r.id);
+  const skipped = plan?.skipped || [];
+  const say = key => [{ type: 'text', text: t(lang, key, { max: PLAN_MAX }) }];
+  const save = (recipeIds, changes = {}) => {
+    conv.mealPlan = { recipeIds, servings: plan?.servings || 0, skipped, ...changes, ts: Date.now() };
+    return planBlocks(conv.mealPlan, lang);
+  };
+  // Nummer ("entferne 2") oder Name ("entferne die Lasagne") → Index im Plan, sonst -1
+  const indexOf = ({ index, query }) => {
+    if (index) return index <= ids.length ? index - 1 : -1;
+    const hit = recipeIndex.search([{ text: query, weight: 1 }], PLAN_MAX * 3).find(h => ids.includes(h.recipe.id));
+    return hit ? ids.indexOf(hit.recipe.id) : -1;
+  };
+
+  switch (cmd.action) {
+    case 'create': {
+      // "Neuer Plan" → andere Rezepte als bisher
+      let picked = pickPlanRecipes(cmd.query, cmd.count, profile, { exclude: ids });
+      if (!picked.length && ids.length) picked = pickPlanRecipes(cmd.query, cmd.count, profile);
+      if (!picked.length) return say('plan.none_found');
+      return save(picked.map(r => r.id), { servings: cmd.servings || profile?.household || 0, skipped: [] });
+    }
+    case 'add': {
+      if (ids.length >= PLAN_MAX) return say('plan.full');
+      const [recipe] = pickPlanRecipes(cmd.query, 1, profile, { exclude: ids, fill: false });
+      if (recipe) return save([...ids, recipe.id]);
+      // Schon im Plan → Plan zeigen statt "nichts gefunden"
+      return indexOf({ query: cmd.query }) === -1 ? say('plan.none_found') : planBlocks(plan, lang);
+    }
+    case 'remove': {
+      const index = indexOf(cmd);
+      if (index === -1) return say('plan.not_found');
+      if (ids.length === 1) break;
+      return save(ids.filter((_, i) => i !== index), { skipped: [...skipped, ids[index]] });
+    }
+    case 'replace': {
+      const index = indexOf(cmd);
+      if (index === -1) return say('plan.not_found');
+      const [recipe] = pickPlanRecipes('', 1, profile, { exclude: [...ids, ...skipped] });
+      if (!recipe) return say('plan.none_found');
+      return save(ids.map((id, i) => (i === index ? recipe.id : id)), { skipped: [...skipped, ids[index]] });
+    }
+    case 'servings':
+      return save(ids, { servings: cmd.servings });
+    case 'shoplist':
+      return ids.length ? planShoppingList(conv.mealPlan, conv, profile, lang) : say('plan.none');
+    case 'show':
+      return ids.length ? planBlocks(plan, lang) : say('plan.none');
+  }
+  // 'clear' bzw. letztes Rezept entfernt
+  delete conv.mealPlan;
+  return say('plan.cleared');
+}
+
+/**
+ * Plan → Überschrift + nummerierte Rezept-Karten + Hinweis zum Ändern
+ */
+function planBlocks(plan, lang) {
+  const recipes = planRecipes(plan);
+  const servings = plan.servings ? ` – ${t(lang, 'plan.servings', { count: plan.servings })}` : '';
+  return [
+    { type: 'text', text: `${t(lang, 'plan.title', { count: recipes.length })}${servings}\n` },
+    ...recipes.map((r, i) => ({
+      type: 'recipe',
+      data: { id: r.id, title: r.title, url: r.url, emoji: `${i + 1}\uFE0F\u20E3`, desc: clip(r.excerpt, 160), time: '', difficulty: '' },
+    })),
+    { type: 'text', text: `\n${t(lang, 'plan.hint')}` },
+  ];
+}
+
+/**
+ * Einkaufsliste für alle Rezepte des Plans: Details laden (lib/recipe-details.js),
+ * auf plan.servings skalieren, zusammenführen + nach Abteilung sortieren
+ */
+async function planShoppingList(plan, conv, profile, lang) {
+  const recipes = planRecipes(plan);
+  const details = await Promise.all(recipes.map(r => recipeDetails.get(r)));
+  const entries = recipes.map((recipe, i) => ({
+    recipe,
+    lines: details[i] && details[i].ingredients,
+    factor: plan.servings && details[i]?.servings ? plan.servings / details[i].servings : 1,
+  }));
+  const { sections, missing } = buildShoppingList(entries, { system: unitPrefs(conv.msgs, profile).system, lang });
+
+  const blocks = [];
+  if (sections.length) {
+    const named = sections.map(s => ({ name: t(lang, `shop.section.${s.code}`), items: s.items }));
+    const servings = plan.servings ? ` (${t(lang, 'plan.servings', { count: plan.servings })})` : '';
+    blocks.push({
+      type: 'shoplist',
+      // items = flache Liste für ältere Widgets, sections = nach Abteilung
+      data: { title: `${t(lang, 'shop.title')}${servings}`, items: named.flatMap(s => s.items), sections: named },
+    });
+  }
+  if (missing.length) {
+    blocks.push({ type: 'text', text: `\n${t(lang, 'shop.missing', { recipes: missing.map(r => r.title).join(', ') })}` });
+  }
+  return blocks;
+}
+
+/**
+ * Plan-Blocks → WhatsApp-Text (nummerierte Rezepte mit Link, Einkaufsliste nach Abteilung)
+ */
+function planToWhatsApp(blocks) {
+  let n = 0;
+  return blocks.map((b) => {
+    if (b.type === 'text') return b.text;
+    if (b.type === 'recipe') return `*${++n}. ${b.data.title}*\n👉 ${b.data.url}\n`;
+    if (b.type === 'shoplist') {
+      const sections = b.data.sections.map(s => `*${s.name}*\n${s.items.map(i => `• ${i}`).join('\n')}`);
+      return `🛒 *${b.data.title}*\n\n${sections.join('\n\n')}\n`;
+    }
+    return '';
+  }).join('\n').replace(/\n{3,}/g, '\n\n').trim();
 }
 
 // ═══════════════════════════════════════════════════════════
 // ROUTE: POST /api/chat – Web-Chat + Voice-Chat
 // ═══════════════════════════════════════════════════════════
-// Empfängt: { messages[], lang, pageTitle, isRecipe, sessionId, voiceMode }
-// Gibt zurück: { reply: "AI Antwort" }
+// Empfängt: { messages[], lang, pageTitle, isRecipe, sessionId, visitorId, voiceMode, stream }
+//   visitorId = dauerhafte Browser-ID des Widgets → Profil "web:<visitorId>" (lib/profiles.js)
+// Gibt zurück: { reply: "AI Antwort", blocks: [{type:'text'|'recipe'|'shoplist'|'product', ...}] }
+//   blocks[] = serverseitig geparste + gegen recipesCache validierte Tags
+//   ODER bei stream:true / Accept: text/event-stream → Server-Sent Events
+//   (token / block / done, siehe streamChat())
 //
 // Session-Tracking: Speichert Konversation per sessionId (1h TTL).
 // Jede neue Nachricht wird an die Session angehängt → AI hat Kontext.
 // voiceMode: true → Stats werden als Voice gezählt statt Web.
 //
-// Flow: Nachricht → Session laden → AI Prompt bauen → DeepSeek → Antwort
+// Flow: Nachricht → Session laden → engine.reply('web') → Antwort
 const webSessions = new Map(); // sessionId → { msgs, ts }
 const WEB_SESSION_TTL = 60 * 60 * 1000; // 1 Stunde
 
@@ -490,8 +935,9 @@ setInterval(() => {
 }, 15 * 60 * 1000);
 
 app.post('/api/chat', async (req, res) => {
+  let chatLang = 'de';
   try {
-    const { messages, lang, pageTitle, isRecipe, sessionId, voiceMode } = req.body;
+    const { messages, lang, pageTitle, isRecipe, sessionId, visitorId, voiceMode, stream } = req.body;
     if (!messages || !Array.isArray(messages) || messages.length > 30) {
       return res.status(400).json({ error: 'messages[] required (max 30)' });
     }
@@ -503,11 +949,12 @@ app.post('/api/chat', async (req, res) => {
 
     // Session-Tracking: merge mit vorherigen Nachrichten
     let fullMessages = cleanMessages;
+    let session = null;
     if (sessionId && typeof sessionId === 'string' && sessionId.length < 100) {
       if (!webSessions.has(sessionId)) {
         webSessions.set(sessionId, { msgs: [], ts: Date.now() });
       }
-      const session = webSessions.get(sessionId);
+      session = webSessions.get(sessionId);
       session.ts = Date.now();
 
       // Neue Nachrichten hinzufügen
@@ -519,94 +966,190 @@ app.post('/api/chat', async (req, res) => {
       fullMessages = session.msgs;
     }
 
-    const reply = await callAI(fullMessages, lang, pageTitle, isRecipe);
+    // Widget schickt kein `lang` → serverseitig erkennen
+    chatLang = lang || resolveWebLang(req, fullMessages, session);
 
-    // Antwort in Session speichern
-    if (sessionId && webSessions.has(sessionId)) {
-      webSessions.get(sessionId).msgs.push({ role: 'assistant', content: reply });
+    // Streaming-Modus: { stream: true } oder Accept: text/event-stream
+    const wantsStream = stream === true || (req.headers.accept || '').includes('text/event-stream');
+    // Ohne Session: Verlauf nur für diesen Request
+    const conv = session || { msgs: fullMessages };
+    const profileKey = typeof visitorId === 'string' && visitorId && visitorId.length < 100 ? `web:${visitorId}` : null;
+
+    // "Was weißt du über mich?" / "Vergiss mich" → ohne AI beantworten
+    const lastUser = [...fullMessages].reverse().find(m => m.role === 'user');
+    const profileCmd = lastUser && parseProfileCommand(lastUser.content);
+    if (profileCmd) {
+      return sendDirectReply(res, runProfileCommand(profileCmd, profileKey, conv, chatLang), chatLang, wantsStream);
+    }
+    // Essensplan: "Plane meine Woche", "entferne 2", "Einkaufsliste für den Plan" (lib/mealplan.js)
+    const planCmd = lastUser && parsePlanCommand(lastUser.content, !!conv.mealPlan, detectServings(lastUser.content));
+    if (planCmd) {
+      const blocks = await runPlanCommand(planCmd, { conv, profileKey, lang: chatLang });
+      return sendDirectReply(res, blocks, chatLang, wantsStream);
     }
 
-    // Tracking: Voice oder Web-Chat Nutzung zählen
-    if (voiceMode) {
-      trackUsage(voiceChatStats);
-    } else {
-      trackUsage(webChatStats);
+    if (wantsStream) {
+      return streamChat(res, { conv, lang: chatLang, pageTitle, isRecipe, voiceMode, profileKey });
     }
 
-    res.json({ reply });
+    const { text: reply, blocks } = await engine.reply('web', { conv, lang: chatLang, pageTitle, isRecipe, profileKey });
+    finishChat(voiceMode);
+
+    res.json({ reply, blocks, lang: chatLang });
   } catch (err) {
     console.error('[Chat]', err.message);
-    res.status(500).json({ reply: 'Entschuldigung, bitte versuche es nochmal!' });
+    res.status(500).json({ reply: t(chatLang, 'chat.error') });
+  }
+});
+
+/**
+ * Web-Chat-Sprache ohne `lang` vom Widget:
+ * letzte User-Nachricht → gemerkte Session-Sprache → Accept-Language → de
+ */
+function resolveWebLang(req, messages, session) {
+  const lastUser = [...messages].reverse().find(m => m.role === 'user');
+  const detected = lastUser ? detectLang(lastUser.content, session && session.lang) : null;
+  if (detected) {
+    if (session) session.lang = detected; // Sprache merken (kurze Antworten wie "ok")
+    return detected;
+  }
+  if (session && session.lang) return session.lang;
+  const browserLang = (req.headers['accept-language'] || '').slice(0, 2).toLowerCase();
+  return LANGS.includes(browserLang) ? browserLang : 'de';
+}
+
+/**
+ * Profil-Befehl (alle Kanäle) → Antworttext
+ * forget löscht Profil UND Verlauf, sonst "erinnert" sich die AI aus conv.msgs
+ */
+function runProfileCommand(command, profileKey, conv, lang) {
+  if (command === 'forget') {
+    if (profileKey) profiles.forget(profileKey);
+    if (conv) conv.msgs = [];
+    return t(lang, 'profile.forgotten');
+  }
+  return formatProfile(profiles.get(profileKey), t, lang);
+}
+
+/**
+ * Feste Antwort ohne AI (Text oder blocks[]) – als JSON oder als SSE
+ * (token/block + done) wie streamChat()
+ */
+function sendDirectReply(res, content, lang, stream) {
+  const blocks = typeof content === 'string' ? [{ type: 'text', text: content }] : content;
+  const reply = blocksToText(blocks);
+  if (!stream) return res.json({ reply, blocks, lang });
+  res.status(200).set({ 'Content-Type': 'text/event-stream; charset=utf-8', 'Cache-Control': 'no-cache, no-transform' });
+  for (const block of blocks) {
+    if (block.type === 'text') res.write(`event: token\ndata: ${JSON.stringify({ text: block.text })}\n\n`);
+    else res.write(`event: block\ndata: ${JSON.stringify(block)}\n\n`);
   }
+  res.end(`event: done\ndata: ${JSON.stringify({ reply, blocks, lang })}\n\n`);
+}
+
+/**
+ * Kontext für die Block-Validierung (echte Rezepte + eigene Domain)
+ */
+function blockContext() {
+  return { recipes: recipesCache, siteUrl: SITE_URL };
+}
+
+/**
+ * Web-Adapter: Tags serverseitig geparst + gegen recipesCache validiert,
+ * Ausgabe = Text (inkl. Tags, landet so auch in der Session) + blocks[]
+ */
+engine.register({
+  name: 'web',
+  params: llm.params('web'),
+  contextMessages: 10,
+  historyMax: 20,
+  render: (blocks) => ({ text: blocksToText(blocks), blocks }),
 });
 
+/**
+ * Nach fertiger AI-Antwort: Nutzung zählen (Session speichert die Engine)
+ */
+function finishChat(voiceMode) {
+  // Tracking: Voice oder Web-Chat Nutzung zählen
+  if (voiceMode) {
+    trackUsage(voiceChatStats);
+  } else {
+    trackUsage(webChatStats);
+  }
+}
+
+/**
+ * SSE-Antwort für /api/chat
+ * Events:
+ *   token → { text }              Text-Stück (nie mitten in einem Tag abgeschnitten)
+ *   block → { type, data }        Validierter [RECIPE]/[SHOPLIST]/[PRODUCT] Block
+ *   done  → { reply, blocks }     Bereinigter Antworttext + blocks[] (wie bei JSON)
+ *   error → { reply }             Fehlermeldung für die Userin
+ */
+async function streamChat(res, { conv, lang, pageTitle, isRecipe, voiceMode, profileKey }) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Proxy-Buffering (nginx/Railway) aus
+  });
+  res.flushHeaders();
+
+  // Schließt die Userin den Chat, lesen wir trotzdem zu Ende → Session bleibt vollständig
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const { text: reply, blocks } = await engine.stream('web', { conv, lang, pageTitle, isRecipe, profileKey }, (block) => {
+      if (block.type === 'text') send('token', { text: block.text });
+      else send('block', block);
+    });
+    finishChat(voiceMode);
+    send('done', { reply, blocks, lang });
+  } catch (err) {
+    console.error('[Chat Stream]', err.message);
+    send('error', { reply: t(lang, 'chat.error') });
+  }
+  res.end();
+}
+
 // ═══════════════════════════════════════════════════════════
 // ROUTE: POST /api/voice – ElevenLabs Text-to-Speech
 // ═══════════════════════════════════════════════════════════
-// Empfängt: { text, lang }
-// Gibt zurück: audio/mpeg (MP3 Buffer)
+// Empfängt: { text, lang, provider }
+// Gibt zurück: audio/mpeg (MP3 Buffer), Header X-TTS-Provider + X-TTS-Cache (hit/miss)
 //
 // Modell: eleven_multilingual_v2 → erkennt Sprache automatisch aus Text
 // Voice: Aus ENV ELEVENLABS_VOICE_ID (Default: Sarah = EXAVITQu4vr4xnSDxMaL)
+// Provider-Kette: `provider` zuerst, dann TTS_PROVIDERS – Fehler/Timeout → nächster
+// Cache: Gleicher Text + Stimme + Provider + Sprache → von Disk, kein bezahlter Call
 // Max 500 Zeichen pro Request (Kostenkontrolle)
 // Bei Fehler: Client fällt auf Browser SpeechSynthesis zurück
 app.post('/api/voice', async (req, res) => {
   try {
     const { text, lang, provider } = req.body;
-    const useFish = provider === 'fishaudio';
 
-    // Prüfe ob der gewählte Provider konfiguriert ist
+    // Prüfe ob überhaupt ein Provider der Kette konfiguriert ist
     if (!text) return res.status(400).json({ error: 'No text' });
-    if (useFish && !FISH_AUDIO_KEY) return res.status(400).json({ error: 'Fish Audio not configured' });
-    if (!useFish && !ELEVENLABS_KEY) return res.status(400).json({ error: 'ElevenLabs not configured' });
-
-    // Kürze Text auf max 500 Zeichen (Kostenkontrolle)
-    const shortText = text.slice(0, 500);
-    let ttsRes;
-
-    if (useFish) {
-      // ── Fish Audio TTS ──
-      const voiceId = FISH_AUDIO_VOICE;
-      console.log('[Voice] Fish Audio...', { textLen: shortText.length, voice: voiceId || 'default' });
-
-      const ttsBody = { text: shortText, format: 'mp3', mp3_bitrate: 128, normalize: true, latency: 'balanced' };
-      if (voiceId) ttsBody.reference_id = voiceId;
-
-      ttsRes = await fetch('https://api.fish.audio/v1/tts', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${FISH_AUDIO_KEY}` },
-        body: JSON.stringify(ttsBody),
-      });
-    } else {
-      // ── ElevenLabs Multilingual v2 (Default) ──
-      const voiceId = ELEVENLABS_VOICE || 'EXAVITQu4vr4xnSDxMaL'; // Default: Sarah
-      console.log('[Voice] ElevenLabs...', { textLen: shortText.length, voice: voiceId, lang });
-
-      ttsRes = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'xi-api-key': ELEVENLABS_KEY },
-        body: JSON.stringify({
-          text: shortText,
-          model_id: 'eleven_multilingual_v2',
-          voice_settings: { stability: 0.5, similarity_boost: 0.75, style: 0.3, use_speaker_boost: true },
-        }),
-      });
-    }
+    if (!tts.isConfigured(provider)) return res.status(400).json({ error: 'TTS not configured' });
 
-    if (!ttsRes.ok) {
-      const err = await ttsRes.text();
-      console.error(`[Voice] ${useFish ? 'Fish Audio' : 'ElevenLabs'} error:`, ttsRes.status, err);
-      return res.status(500).json({ error: 'TTS failed', detail: err });
-    }
+    // TTS (lib/tts.js kürzt auf max 500 Zeichen – Kostenkontrolle)
+    const audio = await tts.synthesize(text, { provider, lang });
 
     // Audio zurück an Client
-    res.set('Content-Type', 'audio/mpeg');
-    const buffer = await ttsRes.buffer();
-    console.log('[Voice] Success, audio size:', buffer.length, 'bytes');
+    res.set({
+      'Content-Type': audio.contentType,
+      'X-TTS-Provider': audio.provider,
+      'X-TTS-Cache': audio.cached ? 'hit' : 'miss',
+    });
     trackUsage(voiceChatStats);
-    res.send(buffer);
+    res.send(audio.buffer);
 
   } catch (err) {
+    if (err.detail !== undefined) return res.status(500).json({ error: 'TTS failed', detail: err.detail });
     console.error('[Voice] Exception:', err.message);
     res.status(500).json({ error: 'Voice error' });
   }
@@ -616,13 +1159,16 @@ app.post('/api/voice', async (req, res) => {
 // ROUTE: WhatsApp (Meta Cloud API)
 // ═══════════════════════════════════════════════════════════
 // GET  /api/whatsapp → Webhook Verification (Meta prüft einmalig)
-// POST /api/whatsapp → Eingehende Nachrichten von Userinnen
-// POST /api/wa/broadcast → Broadcasts (Rezepte/Affiliate, von WP-Cron)
+// POST /api/whatsapp → Eingehende Nachrichten von Userinnen (X-Hub-Signature-256)
+// POST /api/whatsapp/forward → Von WordPress weitergeleitet (ADMIN_SECRET-HMAC)
+// POST /api/wa/broadcast → Broadcast-Job anlegen (Rezepte/Affiliate, von WP-Cron)
+// GET  /api/wa/broadcast/:id → Fortschritt + Status pro Empfänger
+// POST /api/wa/broadcast/:id/resume → Unterbrochenen Job fortsetzen
 //
 // Konversation: In-Memory Map (Telefon → {msgs[], userName, userLang})
 // Limit: 50 Nachrichten/Tag pro Nummer, 20 History Messages
 // Sprache: Auto-detect aus Text, Fallback aus Vorwahl
-// Broadcasts: Timezone-aware (8:00-21:00 Ortszeit), Duplicate-Lock 30 Min
+// Broadcasts: Timezone-aware (8:00-21:00 Ortszeit, sonst verschoben), Duplicate-Lock 30 Min, Job-Queue
 
 // Webhook Verification (GET)
 app.get('/api/whatsapp', (req, res) => {
@@ -637,44 +1183,227 @@ app.get('/api/whatsapp', (req, res) => {
 });
 
 // Webhook Handler (POST) – empfängt Nachrichten
-app.post('/api/whatsapp', async (req, res) => {
+// Direkt von Meta: Signatur mit META_APP_SECRET (unsignierte Requests → 401/403)
+app.post('/api/whatsapp', webhookAuth.meta, (req, res) => handleWhatsAppWebhook(req, res, false));
+// Von WordPress weitergeleitet ({ raw_webhook, chat_limit }): HMAC mit ADMIN_SECRET
+app.post('/api/whatsapp/forward', webhookAuth.forward, (req, res) => handleWhatsAppWebhook(req, res, true));
+
+async function handleWhatsAppWebhook(req, res, forwarded) {
   // Sofort 200 an Meta zurück (sonst Retry-Schleife)
   res.status(200).send('OK');
 
+  // Kann direkt von Meta kommen ODER von WordPress weitergeleitet
+  const raw = forwarded ? req.body?.raw_webhook : req.body;
+  const settings = {
+    chatLimit: (forwarded && req.body?.chat_limit) || 0,
+  };
+
+  // Antwort ist schon raus → Fehler hier NUR loggen (sonst unhandledRejection = Prozess-Absturz)
   try {
-    // Kann direkt von Meta kommen ODER von WordPress weitergeleitet
-    let entry, value, msg, from, name;
-    const raw = req.body?.raw_webhook || req.body;
-    const settings = {
-      chatLimit: req.body?.chat_limit || 0,
-    };
+    // Meta kann mehrere Einträge/Nachrichten in EINEM Webhook bündeln
+    for (const entry of asList(raw?.entry)) {
+      for (const change of asList(entry?.changes)) {
+        const value = change?.value;
+        if (!value || typeof value !== 'object') continue;
+
+        // Zustell-Status (sent/delivered/read/failed) unserer ausgehenden Nachrichten
+        if (Array.isArray(value.statuses)) recordWhatsAppStatuses(value.statuses);
+
+        for (const msg of asList(value.messages)) {
+          if (!msg || typeof msg !== 'object') continue;
+          // Meta-Retries / doppelte Zustellung → jede msg.id nur EINMAL beantworten
+          if (!claimWhatsAppMessage(msg.id)) {
+            console.log(`[WA] Duplikat übersprungen: ${msg.id}`);
+            continue;
+          }
+          const failed = (await processWhatsAppMessage(msg, value, settings)) === false;
+          // Nur Erfolg ist "done" – nach einem Fehler darf Metas Retry nochmal ran
+          if (failed) waProcessedIds.delete(msg.id);
+          else if (waProcessedIds.has(msg.id)) waProcessedIds.get(msg.id).state = 'done';
+        }
+      }
+    }
+  } catch (err) {
+    console.error('[WA Webhook]', err.message);
+  }
+}
+
+/**
+ * Payload-Feld als Array (kaputte/fremde Webhooks: {} , "x", null → [])
+ */
+function asList(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Eingehende msg.id reservieren. false → bereits (oder gerade) verarbeitet.
+ * 'processing'-Einträge älter als WA_DEDUPE_STALE gelten als abgestürzt → neu verarbeiten.
+ */
+function claimWhatsAppMessage(id) {
+  if (!id) return true; // Ohne ID keine Deduplizierung möglich
+  const seen = waProcessedIds.get(id);
+  const now = Date.now();
+  if (seen && (seen.state === 'done' || now - seen.ts < WA_DEDUPE_STALE)) return false;
+  waProcessedIds.set(id, { state: 'processing', ts: now });
+  return true;
+}
+
+/**
+ * Status-Callbacks von Meta speichern + zählen
+ * failed → mit Fehlercode loggen (z.B. 131047 = 24h-Fenster abgelaufen)
+ */
+function recordWhatsAppStatuses(statuses) {
+  for (const st of statuses) {
+    if (!st?.id || !st.status) continue;
+    const error = st.errors?.[0];
+    const prev = waMessageStatus.get(st.id);
+    waMessageStatus.set(st.id, {
+      status: st.status,
+      recipient: st.recipient_id || prev?.recipient || '',
+      ts: Date.now(),
+      error: error ? { code: error.code, title: error.title || error.message || '' } : undefined,
+    });
+    // Nur Statuswechsel zählen (Meta schickt manche Status mehrfach)
+    if (prev?.status !== st.status) trackDelivery(st.status);
+    if (st.status === 'failed') {
+      console.error(`[WA Status] ${st.id} → ${st.recipient_id} failed:`, error ? `${error.code} ${error.title || ''}` : 'unbekannt');
+    }
+  }
+}
+
+// ─── WHATSAPP-ADAPTER (Conversation Engine) ──────────────
+/**
+ * Kanal-Regeln für den System-Prompt: Kurz, nur Text, Links auf unsere Seite,
+ * persönlicher Kontext (Name, Erstkontakt, gewähltes Rezept)
+ */
+function whatsAppPromptExtension({ conv, name, currentRecipe }) {
+  const botName = brandingCache.bot_name || 'Lily';
+  const userName = conv.userName || name || '';
+  const msgCount = conv.msgs.filter(m => m.role === 'user').length;
+  const isFirstContact = msgCount === 1;
+  return `
+
+WHATSAPP-MODUS:
+- Du antwortest via WhatsApp, NICHT im Web-Chat
+- WICHTIG: Antworte IMMER in der Sprache der letzten Nachricht!
+- Wenn User Deutsch schreibt → Deutsch. Englisch → Englisch. Französisch → Französisch. Etc.
+- Halte Antworten KURZ (max 3-4 Sätze)
+- KEINE [RECIPE], [SHOPLIST], [PRODUCT] Tags – nur einfacher Text
+- Rezept-Links IMMER als vollständige URL mit Domain: ${SITE_URL}/rezept-slug/
+- WICHTIG: Jeder Rezept-Link MUSS auf unsere Website zeigen (${SITE_URL}), damit Userinnen auf unsere Seite kommen!
+- Einkaufslisten als • Aufzählung
+- Wenn du Produkte empfiehlst, verlinke auf unsere BLOG-REVIEW-SEITE (${SITE_URL}/produkt-review/), NICHT direkt auf Amazon!
+
+REZEPT-VERHALTEN IM WHATSAPP:
+- Stufe 1: Wenn Rezept auf unserer Seite → Link geben: ${SITE_URL}/rezept-name/
+- Stufe 2: Wenn User "zeig mir das Rezept" oder Details will → Zutaten + Schritte im Chat, PLUS Link
+- Stufe 3: Wenn Rezept NICHT auf unserer Seite → Zutaten + Schritte im Chat, OHNE fremde Links
+  Sage: "Das haben wir noch nicht auf unserer Seite, aber hier ist mein Rezept für dich:"
+  Dann Zutaten + Schritte liefern. NIEMALS fremde Websites verlinken!
+
+PERSÖNLICHKEIT & KONTEXT:
+- Die Userin heißt: ${userName || 'unbekannt'}${userName ? ` – nutze den Namen gelegentlich persönlich (z.B. "Hey ${userName}!", "Gute Wahl, ${userName}!")` : ''}
+- Das ist Nachricht Nr. ${msgCount} von ihr
+${currentRecipe ? `- Sie hat im WhatsApp-Menü das Rezept "${currentRecipe.title}" ausgewählt – "dieses Rezept", Zutaten, Einkaufsliste und ähnliche Rezepte beziehen sich darauf.\n` : ''}${isFirstContact ? '- ERSTER KONTAKT: Begrüße sie herzlich, stelle dich als ihre Koch-Freundin vor, frage was sie kochen möchte.' : '- WIEDERKEHRENDE USERIN: Ihr kennt euch schon. Sei freundlich aber überspringe die Vorstellung. Beziehe dich auf den bisherigen Gesprächsverlauf.'}
+- WICHTIG: Lies den bisherigen Chat-Verlauf genau! Wenn sie vorher etwas erwähnt hat (Zutaten, Vorlieben, Allergien, Geräte), erinnere dich daran und nutze es.
+- Wenn sie z.B. gesagt hat "ich habe Hähnchen" und jetzt fragt "was noch?" → beziehe dich auf das Hähnchen!
+- Merke dir Vorlieben: Wenn jemand sagt "ich bin Vegetarierin" oder "kein Schwein" → respektiere das in ALLEN folgenden Antworten
+- GESCHLECHT: Du (${botName}) bist weiblich. Sprich die Userin in weiblicher Form an. Französisch/Spanisch/Portugiesisch: weibliche Formen.
+- Sei warm, persönlich und wie eine beste Freundin die gerne kocht`;
+}
+
+/**
+ * WhatsApp zeigt nur Text → [RECIPE]/[SHOPLIST]/[PRODUCT] Blöcke fallen weg
+ */
+engine.register({
+  name: 'whatsapp',
+  params: llm.params('whatsapp'),
+  contextMessages: 12,
+  historyMax: WA_HISTORY_MAX,
+  promptExtension: whatsAppPromptExtension,
+  render: (blocks) => ({
+    text: blocks.filter(b => b.type === 'text').map(b => b.text).join('').replace(/\n{3,}/g, '\n\n').trim(),
+  }),
+});
+
+/**
+ * Tageszähler der Conversation hochzählen → true wenn `limit` überschritten (0 = unbegrenzt)
+ */
+function overDailyLimit(conv, limit) {
+  if (!conv || !(limit > 0)) return false;
+  const today = new Date().toDateString();
+  if (!conv.dailyCount || conv.dailyDate !== today) {
+    conv.dailyCount = 0;
+    conv.dailyDate = today;
+  }
+  conv.dailyCount++;
+  return conv.dailyCount > limit;
+}
 
-    entry = raw?.entry?.[0];
-    const changes = entry?.changes?.[0];
-    value = changes?.value;
-    if (!value?.messages?.[0]) return;
+/**
+ * WhatsApp-Tageslimit (chat_limit von WordPress) → Hinweis senden, true = nicht weiter verarbeiten
+ */
+async function waChatLimitReached(from, settings) {
+  const conv = waConversations.get(from);
+  if (!overDailyLimit(conv, settings.chatLimit)) return false;
+  await sendWhatsApp(from, t(conv.userLang || detectLangFromPhone(from), 'wa.limit_reached', { limit: settings.chatLimit }));
+  return true;
+}
 
-    msg = value.messages[0];
-    from = msg.from;
-    name = value.contacts?.[0]?.profile?.name || '';
+/**
+ * Eine einzelne eingehende WhatsApp-Nachricht verarbeiten + beantworten
+ * → false wenn dabei ein Fehler auftrat (Fehler wird hier geloggt)
+ */
+async function processWhatsAppMessage(msg, value, settings) {
+  try {
+    const from = msg.from;
+    const name = value.contacts?.find(c => c.wa_id === from)?.profile?.name
+      || value.contacts?.[0]?.profile?.name || '';
     const type = msg.type;
 
     let userText = '';
+    let selection = null; // Ausgewähltes Rezept aus Liste/Button
+    let synthetic = false; // Platzhalter/Button-Titel statt User-Text → keine Spracherkennung
     if (type === 'text') {
       userText = (msg.text?.body || '').slice(0, 2000); // Limit input
     } else if (type === 'audio') {
-      userText = '[Der User hat eine Sprachnachricht gesendet. Antworte freundlich, frage was du helfen kannst. Erwähne dass du leider noch keine Sprachnachrichten verstehen kannst, aber gerne Textfragen beantwortest.]';
+      // Limit VOR Download + (bezahlter) Transkription prüfen
+      if (await waChatLimitReached(from, settings)) return;
+      // Sprachnachricht → Media-Download → Speech-to-Text → normaler Chat-Flow
+      const langHint = waConversations.get(from)?.userLang || detectLangFromPhone(from);
+      try {
+        userText = (await transcribeWhatsAppAudio(msg.audio, langHint)).slice(0, 2000);
+        console.log(`[WA STT] ${from}: ${userText.length} Zeichen (${transcriber.name})`);
+      } catch (e) {
+        console.error('[WA STT] Fehler:', e.message);
+      }
+      if (!userText) {
+        synthetic = true;
+        userText = '[Der User hat eine Sprachnachricht gesendet, die leider nicht verstanden werden konnte. Antworte freundlich, entschuldige dich kurz und bitte sie, es nochmal zu versuchen oder die Frage als Text zu schreiben.]';
+      }
     } else if (type === 'interactive') {
-      userText = msg.interactive?.button_reply?.title || msg.interactive?.list_reply?.title || '';
+      const choice = msg.interactive?.button_reply || msg.interactive?.list_reply;
+      userText = choice?.title || '';
+      synthetic = true; // Titel kommen aus unseren eigenen Listen/Buttons
+      // Eigene Listen/Buttons: id = "aktion:rezeptId" (siehe sendRecipeInteractive)
+      selection = parseInteractiveId(choice?.id, await getRecipes());
+      if (selection) {
+        userText = selection.action === 'recipe'
+          ? selection.recipe.title
+          : `${choice.title}: ${selection.recipe.title}`;
+      }
     } else {
+      synthetic = true;
       userText = '[Nachricht vom Typ: ' + type + ']';
     }
     if (!userText) return;
+    const textLang = synthetic ? null : detectLang(userText, waConversations.get(from)?.userLang);
 
     // Abo-Check
     const lower = userText.toLowerCase().trim();
     if (['stop','quit','abmelden','unsubscribe','abbestellen','arrêter','parar','durdur'].includes(lower)) {
-      await sendWhatsApp(from, '✅ Du wurdest abgemeldet. Schreibe jederzeit "Hallo" um wieder dabei zu sein! 👋');
+      waOptOuts.set(from, { ts: Date.now() });
+      await sendWhatsApp(from, t(waConversations.get(from)?.userLang || detectLangFromPhone(from), 'wa.unsubscribed'));
       try {
         await fetch(`${SITE_URL}/wp-json/mdr-chatbot/v1/wa/unsubscribe`, {
           method:'POST', headers:{'Content-Type':'application/json'},
@@ -683,30 +1412,11 @@ app.post('/api/whatsapp', async (req, res) => {
       } catch(e) {}
       return;
     }
+    // Jede andere Nachricht meldet wieder an (WordPress auto_subscribe macht dasselbe)
+    waOptOuts.delete(from);
 
-    // Chat-Limit prüfen
-    if (settings.chatLimit > 0) {
-      const conv = waConversations.get(from);
-      if (conv) {
-        const today = new Date().toDateString();
-        if (!conv.dailyCount || conv.dailyDate !== today) {
-          conv.dailyCount = 0;
-          conv.dailyDate = today;
-        }
-        conv.dailyCount++;
-        if (conv.dailyCount > settings.chatLimit) {
-          const lang = detectLangFromPhone(from);
-          const limitMsgs = {
-            de: `⏳ Du hast dein Tageslimit von ${settings.chatLimit} Nachrichten erreicht. Morgen geht es weiter!`,
-            en: `⏳ You've reached your daily limit of ${settings.chatLimit} messages. Try again tomorrow!`,
-            fr: `⏳ Vous avez atteint votre limite de ${settings.chatLimit} messages. Réessayez demain !`,
-            es: `⏳ Has alcanzado tu límite de ${settings.chatLimit} mensajes. ¡Inténtalo mañana!`,
-          };
-          await sendWhatsApp(from, limitMsgs[lang] || limitMsgs.en);
-          return;
-        }
-      }
-    }
+    // Chat-Limit prüfen (Sprachnachrichten schon vor der Transkription, siehe oben)
+    if (type !== 'audio' && await waChatLimitReached(from, settings)) return;
 
     // FIX v4.3.3: Auto-Subscribe entfernt!
     // WordPress handle_webhook() ruft auto_subscribe() + track() bereits auf.
@@ -715,138 +1425,140 @@ app.post('/api/whatsapp', async (req, res) => {
     // Bei vielen gleichzeitigen Nachrichten: PHP-Worker-Exhaustion.
 
     // Conversation History – Name und Sprache merken
-    if (!waConversations.has(from)) {
-      waConversations.set(from, { msgs:[], ts:Date.now(), dailyCount:1, dailyDate:new Date().toDateString(), userName:name||'', userLang:'' });
-    }
-    const conv = waConversations.get(from);
+    const conv = getWaConversation(from, name);
     conv.ts = Date.now();
+
+    // Sprach-Antworten an/aus ("voice on" / "voice off")
+    const voiceCmd = parseVoiceCommand(lower);
+    if (voiceCmd) {
+      conv.voiceReplies = voiceCmd;
+      const cmdLang = conv.userLang || detectLangFromPhone(from);
+      await sendWhatsApp(from, t(cmdLang, `wa.voice_${voiceCmd}`));
+      return;
+    }
+    // "Was weißt du über mich?" / "Vergiss mich"
+    const profileCmd = parseProfileCommand(userText);
+    if (profileCmd) {
+      const cmdLang = textLang || conv.userLang || detectLangFromPhone(from);
+      await sendWhatsApp(from, runProfileCommand(profileCmd, `wa:${from}`, conv, cmdLang));
+      return;
+    }
+    // Essensplan anlegen/ändern/Einkaufsliste (lib/mealplan.js) → Text, im Verlauf für Folgefragen
+    const planCmd = parsePlanCommand(userText, !!conv.mealPlan, detectServings(userText));
+    if (planCmd) {
+      const planLang = textLang || conv.userLang || detectLangFromPhone(from);
+      conv.msgs.push({ role: 'user', content: userText });
+      const text = planToWhatsApp(await runPlanCommand(planCmd, { conv, profileKey: `wa:${from}`, lang: planLang }));
+      conv.msgs.push({ role: 'assistant', content: text });
+      if (conv.msgs.length > WA_HISTORY_MAX) conv.msgs = conv.msgs.slice(-WA_HISTORY_MAX);
+      await sendWhatsApp(from, text);
+      return;
+    }
+    // Audio-Antwort: wenn aktiviert ODER wenn sie selbst eine Sprachnachricht geschickt hat
+    const replyWithVoice = conv.voiceReplies === 'on' || (type === 'audio' && conv.voiceReplies !== 'off');
+
     if (name && !conv.userName) conv.userName = name; // Name merken
     conv.msgs.push({ role:'user', content:userText });
     if (conv.msgs.length > WA_HISTORY_MAX) conv.msgs = conv.msgs.slice(-WA_HISTORY_MAX);
-    const isFirstContact = conv.msgs.filter(m => m.role === 'user').length === 1;
 
-    // Sprache: erst aus Text erkennen, Fallback gespeichert, dann Vorwahl
-    const textLang = detectLang(userText);
+    // Sprache: erst aus Text erkennen (oben, nur wenn sicher genug), Fallback gespeichert, dann Vorwahl
     const phoneLang = detectLangFromPhone(from);
     const lang = textLang || conv.userLang || phoneLang;
     if (textLang) conv.userLang = textLang; // Sprache merken
 
-    // AI Antwort
-    const systemPrompt = await buildSystemPrompt(lang, '', false);
-    const botName = brandingCache.bot_name || 'Lily';
-    const userName = conv.userName || name || '';
-    const msgCount = conv.msgs.filter(m => m.role === 'user').length;
-    const waSystemPrompt = systemPrompt + `
+    // Antwort auf den Wochen-Broadcast ("2", "die zweite", "the second one")?
+    const picked = resolveBroadcastChoice(conv, userText);
+    if (picked) {
+      const pickLang = conv.lastBroadcast.lang || lang;
+      delete conv.lastBroadcast; // Nur die erste Antwort ist eine Wahl
+      const detail = buildBroadcastChoiceMsg(picked, pickLang);
+      if (picked.recipe) conv.currentRecipeId = picked.recipe.id;
+      conv.msgs.push({ role:'assistant', content:detail });
+      await sendWhatsApp(from, detail);
+      if (WA_INTERACTIVE && picked.recipe) await sendRecipeInteractive(from, [picked.recipe], pickLang);
+      trackUsage(waChatStats);
+      return;
+    }
 
-WHATSAPP-MODUS:
-- Du antwortest via WhatsApp, NICHT im Web-Chat
-- WICHTIG: Antworte IMMER in der Sprache der letzten Nachricht!
-- Wenn User Deutsch schreibt → Deutsch. Englisch → Englisch. Französisch → Französisch. Etc.
-- Halte Antworten KURZ (max 3-4 Sätze)
-- KEINE [RECIPE], [SHOPLIST], [PRODUCT] Tags – nur einfacher Text
-- Rezept-Links IMMER als vollständige URL mit Domain: ${SITE_URL}/rezept-slug/
-- WICHTIG: Jeder Rezept-Link MUSS auf unsere Website zeigen (${SITE_URL}), damit Userinnen auf unsere Seite kommen!
-- Einkaufslisten als • Aufzählung
-- Wenn du Produkte empfiehlst, verlinke auf unsere BLOG-REVIEW-SEITE (${SITE_URL}/produkt-review/), NICHT direkt auf Amazon!
-
-REZEPT-VERHALTEN IM WHATSAPP:
-- Stufe 1: Wenn Rezept auf unserer Seite → Link geben: ${SITE_URL}/rezept-name/
-- Stufe 2: Wenn User "zeig mir das Rezept" oder Details will → Zutaten + Schritte im Chat, PLUS Link
-- Stufe 3: Wenn Rezept NICHT auf unserer Seite → Zutaten + Schritte im Chat, OHNE fremde Links
-  Sage: "Das haben wir noch nicht auf unserer Seite, aber hier ist mein Rezept für dich:"
-  Dann Zutaten + Schritte liefern. NIEMALS fremde Websites verlinken!
+    // Rezept aus Liste/Button gewählt → dessen Kontext laden (wie auf der Rezeptseite)
+    if (selection) conv.currentRecipeId = selection.recipe.id;
+    const currentRecipe = conv.currentRecipeId ? recipesCache.find(r => r.id === conv.currentRecipeId) : null;
 
-PERSÖNLICHKEIT & KONTEXT:
-- Die Userin heißt: ${userName || 'unbekannt'}${userName ? ` – nutze den Namen gelegentlich persönlich (z.B. "Hey ${userName}!", "Gute Wahl, ${userName}!")` : ''}
-- Das ist Nachricht Nr. ${msgCount} von ihr
-${isFirstContact ? '- ERSTER KONTAKT: Begrüße sie herzlich, stelle dich als ihre Koch-Freundin vor, frage was sie kochen möchte.' : '- WIEDERKEHRENDE USERIN: Ihr kennt euch schon. Sei freundlich aber überspringe die Vorstellung. Beziehe dich auf den bisherigen Gesprächsverlauf.'}
-- WICHTIG: Lies den bisherigen Chat-Verlauf genau! Wenn sie vorher etwas erwähnt hat (Zutaten, Vorlieben, Allergien, Geräte), erinnere dich daran und nutze es.
-- Wenn sie z.B. gesagt hat "ich habe Hähnchen" und jetzt fragt "was noch?" → beziehe dich auf das Hähnchen!
-- Merke dir Vorlieben: Wenn jemand sagt "ich bin Vegetarierin" oder "kein Schwein" → respektiere das in ALLEN folgenden Antworten
-- GESCHLECHT: Du (${botName}) bist weiblich. Sprich die Userin in weiblicher Form an. Französisch/Spanisch/Portugiesisch: weibliche Formen.
-- Sei warm, persönlich und wie eine beste Freundin die gerne kocht`;
-
-    const aiRes = await fetch(DEEPSEEK_URL, {
-      method:'POST',
-      headers:{'Content-Type':'application/json','Authorization':`Bearer ${DEEPSEEK_KEY}`},
-      body: JSON.stringify({
-        model: DEEPSEEK_MODEL,
-        messages: [
-          {role:'system', content:waSystemPrompt},
-          ...conv.msgs.slice(-12),
-        ],
-        max_tokens: 600, temperature: 0.6,
-      }),
+    // AI Antwort (Prompt-Zusatz + Tag-Entfernung: WhatsApp-Adapter)
+    const { text: reply } = await engine.reply('whatsapp', {
+      conv, lang, name, currentRecipe,
+      profileKey: `wa:${from}`,
+      pageTitle: currentRecipe?.title || '',
+      isRecipe: !!currentRecipe,
     });
 
-    if (!aiRes.ok) throw new Error(`DeepSeek ${aiRes.status}`);
-    const aiData = await aiRes.json();
-    let reply = aiData.choices[0].message.content;
-
-    // Tags entfernen
-    reply = reply.replace(/\[RECIPE\].*?\[\/RECIPE\]/gs,'')
-                 .replace(/\[SHOPLIST\].*?\[\/SHOPLIST\]/gs,'')
-                 .replace(/\[PRODUCT\].*?\[\/PRODUCT\]/gs,'')
-                 .trim();
-
-    conv.msgs.push({role:'assistant',content:reply});
     await sendWhatsApp(from, reply);
+    if (replyWithVoice) await sendWhatsAppVoice(from, reply, lang);
+    if (WA_INTERACTIVE) {
+      // Unpassende Rezepte (Allergie/Diät) keine Buttons geben – der Hinweis steht schon im Text
+      const profile = withRestrictions(profiles.get(`wa:${from}`), userText);
+      const mentioned = findMentionedRecipes(reply).filter(r => recipeConflicts(r, profile).length === 0);
+      await sendRecipeInteractive(from, mentioned, lang);
+    }
     trackUsage(waChatStats);
 
   } catch (err) {
     console.error('[WA] Error:', err.message);
+    return false;
   }
-});
+}
 
-// WhatsApp Broadcast Endpoint (von WordPress Cron aufgerufen)
-app.post('/api/wa/broadcast', async (req, res) => {
-  try {
-    const { type, recipes, subscribers, pinned_product, botName } = req.body;
-    if (!subscribers || !Array.isArray(subscribers)) {
-      return res.status(400).json({ error: 'subscribers[] required' });
-    }
+// ─── BROADCAST-JOBS (lib/broadcast-queue.js) ─────────────
+// POST /api/wa/broadcast legt nur einen Job an (202 + id), ein Worker sendet
+// im Hintergrund mit BROADCAST_RATE. Fortschritt: GET /api/wa/broadcast/:id
+const BROADCAST_RATE = parseFloat(process.env.BROADCAST_RATE) || 5;            // Nachrichten/Sekunde
+const BROADCAST_MAX_ATTEMPTS = parseInt(process.env.BROADCAST_MAX_ATTEMPTS, 10) || 5; // Bei Rate-Limit
+const BROADCAST_RESUME = process.env.BROADCAST_RESUME === '1';                 // Offene Jobs nach Neustart fortsetzen
+const BROADCAST_LOCK = 30 * 60 * 1000;                                         // Duplikat-Schutz pro Typ
+// Sendefenster in Ortszeit des Empfängers pro Typ, "typ=von-bis" (volle Stunden, inkl.)
+// Leer = jederzeit. Außerhalb → Empfänger wird auf den nächsten Fensterbeginn verschoben.
+const BROADCAST_WINDOWS = {
+  weekly_recipes: parseSendWindow('8-21'),
+  ...parseSendWindows(process.env.BROADCAST_WINDOWS || ''),
+};
 
-    // ── Schutz gegen doppelte Broadcasts (30 Min Lock) ──
-    const lockKey = `_broadcast_lock_${type}`;
-    if (global[lockKey] && Date.now() - global[lockKey] < 30 * 60 * 1000) {
-      console.log(`[WA Broadcast] ${type} BLOCKED – duplicate lock active`);
-      return res.json({ sent: 0, total: subscribers.length, blocked: 'duplicate' });
-    }
-    global[lockKey] = Date.now();
+/**
+ * Sendefenster prüfen → null (jetzt senden) ODER { status: 'scheduled', sendAt }
+ */
+function checkSendWindow(job, phone) {
+  const window = job.payload.window;
+  if (!window) return null;
+  const tz = getTimezoneFromPhone(phone);
+  const { hour, minute } = getLocalTime(tz);
+  if (inSendWindow(hour, window)) return null;
+  const sendAt = nextWindowStart(hour, minute, window);
+  console.log(`[WA Broadcast] ${phone} – ${hour}h in ${tz}, verschoben auf ${new Date(sendAt).toISOString()}`);
+  return { status: 'scheduled', reason: 'quiet_hours', sendAt };
+}
 
-    let sent = 0;
+const broadcastHandlers = {
+  weekly_recipes: {
+    async deliver(job, { phone, lang, name }) {
+      if (waOptOuts.has(phone)) return { status: 'skipped', reason: 'opted_out' }; // Hat "stop" geschrieben
+      // Timezone-Check: außerhalb des Sendefensters (default 8-21 Uhr) → später zustellen
+      const deferred = checkSendWindow(job, phone);
+      if (deferred) return deferred;
+      // EINE Nachricht: Begrüßung + Rezepte mit Links + Footer
+      const { recipes, botName } = job.payload;
+      const msg = buildRecipeBroadcast(recipes, lang, botName || 'Lily', name);
+      const data = await sendWhatsApp(phone, msg);
+      rememberBroadcast(phone, name, recipes, lang, msg);
+      return { status: 'sent', wamid: data?.messages?.[0]?.id };
+    },
+  },
 
-    if (type === 'weekly_recipes' && recipes) {
-      for (const sub of subscribers) {
-        const phone = sub.phone || sub;
-        const lang = sub.lang || 'en';
-        const name = sub.name || '';
-        try {
-          // Timezone-Check: nicht vor 8:00 oder nach 21:00 Ortszeit senden
-          const tz = getTimezoneFromPhone(phone);
-          const localHour = getLocalHour(tz);
-          if (localHour < 8 || localHour > 21) {
-            console.log(`[WA Broadcast] Skip ${phone} – ${localHour}h in ${tz}`);
-            continue;
-          }
-          // EINE Nachricht: Begrüßung + Rezepte mit Links + Footer
-          const msg = buildRecipeBroadcast(recipes, lang, botName || 'Lily', name);
-          await sendWhatsApp(phone, msg);
-          sent++;
-          await new Promise(r => setTimeout(r, 200));
-        } catch(e) {
-          console.error(`[WA Broadcast] Failed ${phone}:`, e.message);
-        }
-      }
-    }
-    else if (type === 'weekly_affiliate') {
-      // FIX v4.3.3: DeepSeek nur 1x PRO SPRACHE aufrufen, nicht pro Subscriber!
-      // Vorher: 100 Subscriber = 100 API-Calls = 500s Blockade
-      // Nachher: Max 5 API-Calls (5 Sprachen) = 25s
+  weekly_affiliate: {
+    // FIX v4.3.3: LLM nur 1x PRO SPRACHE aufrufen, nicht pro Subscriber!
+    // Ergebnis liegt in job.data → ein fortgesetzter Job generiert NICHT neu.
+    async prepare(job) {
       const aiMsgCache = {}; // lang → message
-
-      // Schritt 1: Für jede vorkommende Sprache EINE Nachricht generieren
-      const langs = [...new Set(subscribers.map(s => s.lang || 'en'))];
+      const { pinned_product } = job.payload;
+      const langs = [...new Set(job.recipients.map(r => r.lang))];
       for (const lang of langs) {
         try {
           if (pinned_product && pinned_product.trim()) {
@@ -854,52 +1566,67 @@ app.post('/api/wa/broadcast', async (req, res) => {
           } else {
             const allRecipes = await getRecipes();
             const latest = allRecipes.slice(0,3).map(r=>r.title).join(', ');
-            const langInstructions = {
-              de:'auf Deutsch',en:'in English',
-              fr:'en français',es:'en español',pt:'em português',
-            };
-            const aiRes = await fetch(DEEPSEEK_URL, {
-              method:'POST',
-              headers:{'Content-Type':'application/json','Authorization':`Bearer ${DEEPSEEK_KEY}`},
-              body:JSON.stringify({
-                model:DEEPSEEK_MODEL,
-                messages:[{
-                  role:'user',
-                  content:`Erstelle eine kurze WhatsApp-Nachricht (max 3 Sätze) ${langInstructions[lang]||langInstructions.en} die EIN nützliches Küchenprodukt empfiehlt das zu diesen Rezepten passt: ${latest}. Natürlich, nicht werblich. 1-2 Emojis. Keine Links.`
-                }],
-                max_tokens:200, temperature:0.7,
-              }),
-            });
-            const aiData = await aiRes.json();
-            aiMsgCache[lang] = aiData.choices?.[0]?.message?.content || '';
+            const text = await llm.complete([{
+              role:'user',
+              content:`Erstelle eine kurze WhatsApp-Nachricht (max 3 Sätze) ${t(lang, 'prompt.in_language')} die EIN nützliches Küchenprodukt empfiehlt das zu diesen Rezepten passt: ${latest}. Natürlich, nicht werblich. 1-2 Emojis. Keine Links.`
+            }], llm.params('broadcast'));
+            aiMsgCache[lang] = text.trim();
           }
         } catch(e) {
           console.error(`[WA Affiliate] AI failed for ${lang}:`, e.message);
           aiMsgCache[lang] = '';
         }
       }
+      job.data.messages = aiMsgCache;
+    },
 
-      // Schritt 2: Generierte Nachrichten an alle Subscriber senden
-      for (const sub of subscribers) {
-        const phone = sub.phone || sub;
-        const lang = sub.lang || 'en';
-        try {
-          let msg = aiMsgCache[lang] || aiMsgCache['en'] || '';
-          if (msg) {
-            const stopMsg = {de:'"stop" zum Abmelden',en:'"stop" to unsubscribe',fr:'"stop" pour se désabonner',es:'"stop" para cancelar',pt:'"stop" para cancelar'};
-            msg += `\n\n_${stopMsg[lang]||stopMsg.en}_`;
-            await sendWhatsApp(phone, msg);
-            sent++;
-          }
-          await new Promise(r => setTimeout(r, 200));
-        } catch(e) {
-          console.error(`[WA Affiliate] Failed ${phone}:`, e.message);
-        }
-      }
+    async deliver(job, { phone, lang }) {
+      if (waOptOuts.has(phone)) return { status: 'skipped', reason: 'opted_out' };
+      const deferred = checkSendWindow(job, phone);
+      if (deferred) return deferred;
+      const messages = job.data.messages || {};
+      let msg = messages[lang] || messages['en'] || '';
+      if (!msg) return { status: 'skipped', reason: 'no_message' };
+      msg += `\n\n_${t(lang, 'broadcast.stop_hint')}_`;
+      const data = await sendWhatsApp(phone, msg);
+      return { status: 'sent', wamid: data?.messages?.[0]?.id };
+    },
+  },
+};
+
+let broadcastQueue = null; // Wird nach dem Storage-Setup erzeugt (siehe PERSISTENZ)
+
+// WhatsApp Broadcast Endpoint (von WordPress Cron aufgerufen, HMAC-signiert)
+// → 202 { id, status, total } – Versand läuft im Hintergrund
+app.post('/api/wa/broadcast', requireAdmin, async (req, res) => {
+  try {
+    const { type, recipes, subscribers, pinned_product, botName, send_window } = req.body;
+    if (!subscribers || !Array.isArray(subscribers)) {
+      return res.status(400).json({ error: 'subscribers[] required' });
+    }
+    if (!broadcastHandlers[type]) return res.status(400).json({ error: `unknown type: ${type}` });
+    if (type === 'weekly_recipes' && !Array.isArray(recipes)) {
+      return res.status(400).json({ error: 'recipes[] required' });
+    }
+    // Optional pro Request: send_window "9-20" (oder "" = jederzeit) statt BROADCAST_WINDOWS
+    const window = send_window === undefined ? BROADCAST_WINDOWS[type] || null : parseSendWindow(send_window);
+    if (send_window && !window) return res.status(400).json({ error: 'send_window must look like "8-21"' });
+
+    // ── Schutz gegen doppelte Broadcasts (30 Min pro Typ) ──
+    const recent = broadcastQueue.findRecent(type, BROADCAST_LOCK);
+    if (recent) {
+      console.log(`[WA Broadcast] ${type} BLOCKED – duplicate of job ${recent.id}`);
+      return res.json({ ...broadcastQueue.summary(recent, { withRecipients: false }), blocked: 'duplicate' });
     }
 
-    console.log(`[WA Broadcast] ${type}: ${sent}/${subscribers.length}`);
-    res.json({ sent, total: subscribers.length });
+    const recipients = subscribers.map(sub => ({
+      phone: String(sub.phone || sub),
+      lang: sub.lang || detectLangFromPhone(sub.phone || sub),
+      name: sub.name || '',
+    }));
+    const job = await broadcastQueue.create(type, { recipes, pinned_product, botName, window }, recipients);
+    console.log(`[WA Broadcast] ${type} Job ${job.id}: ${recipients.length} Empfänger`);
+    res.status(202).json(broadcastQueue.summary(job, { withRecipients: false }));
 
   } catch (err) {
     console.error('[WA Broadcast]', err.message);
@@ -907,31 +1634,183 @@ app.post('/api/wa/broadcast', async (req, res) => {
   }
 });
 
+// Fortschritt + Ergebnis pro Empfänger
+app.get('/api/wa/broadcast/:id', requireAdmin, (req, res) => {
+  const job = broadcastQueue.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Not found' });
+  res.json(broadcastQueue.summary(job));
+});
+
+// Unterbrochenen Job (Neustart ohne BROADCAST_RESUME) manuell fortsetzen
+app.post('/api/wa/broadcast/:id/resume', requireAdmin, async (req, res) => {
+  const job = broadcastQueue.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Not found' });
+  if (!(await broadcastQueue.resume(job.id))) {
+    return res.status(409).json({ error: `job is ${job.status}` });
+  }
+  res.status(202).json(broadcastQueue.summary(job, { withRecipients: false }));
+});
+
 /**
- * Timezone aus Telefon-Vorwahl → sendet Broadcasts zur Ortszeit
+ * WhatsApp-Conversation holen oder anlegen
  */
-function getTimezoneFromPhone(phone) {
-  const clean = phone.replace(/[^0-9]/g, '');
-  const map = {
-    '1':'America/New_York','44':'Europe/London','49':'Europe/Berlin',
-    '43':'Europe/Vienna','41':'Europe/Zurich','90':'Europe/Istanbul',
-    '33':'Europe/Paris','34':'Europe/Madrid','39':'Europe/Rome',
-    '31':'Europe/Amsterdam','966':'Asia/Riyadh','971':'Asia/Dubai',
-    '20':'Africa/Cairo','212':'Africa/Casablanca','55':'America/Sao_Paulo',
-    '52':'America/Mexico_City','91':'Asia/Kolkata','86':'Asia/Shanghai','81':'Asia/Tokyo',
-  };
-  for (const len of [3, 2, 1]) {
-    const pre = clean.substring(0, len);
-    if (map[pre]) return map[pre];
+function getWaConversation(phone, name) {
+  if (!waConversations.has(phone)) {
+    waConversations.set(phone, { msgs:[], ts:Date.now(), dailyCount:1, dailyDate:new Date().toDateString(), userName:name||'', userLang:'' });
   }
-  return 'Europe/Berlin';
+  return waConversations.get(phone);
 }
 
-function getLocalHour(tz) {
+// ─── INTERAKTIVE NACHRICHTEN (Listen + Buttons) ──────────
+// Erwähnt die Antwort Rezepte von unserer Seite:
+//   2+ Rezepte → Listen-Nachricht (max 10 Zeilen), Zeile = "recipe:<id>"
+//   1 Rezept   → Reply-Buttons "Zutaten" / "Einkaufsliste" / "Ähnliche Rezepte"
+// Die Auswahl kommt als interactive.list_reply / button_reply zurück.
+const WA_LIST_MAX = 10;         // Meta-Limit: 10 Zeilen pro Liste
+const WA_ACTIONS = ['recipe', 'ingredients', 'shoplist', 'similar'];
+
+/**
+ * Rezepte aus recipesCache finden, deren URL in der Antwort vorkommt
+ */
+function findMentionedRecipes(text) {
+  const urls = String(text || '').match(/https?:\/\/[^\s)\]>*_]+/g) || [];
+  const found = [];
+  for (const url of urls) {
+    const urlPathname = urlPath(url);
+    const recipe = urlPathname && recipesCache.find(r => urlPath(r.url) === urlPathname);
+    if (recipe && !found.includes(recipe)) found.push(recipe);
+  }
+  return found;
+}
+
+/**
+ * Interaktive ID "aktion:rezeptId" → { action, recipe } oder null
+ */
+function parseInteractiveId(id, recipes) {
+  const [action, recipeId] = String(id || '').split(':');
+  if (!WA_ACTIONS.includes(action)) return null;
+  const recipe = recipes.find(r => String(r.id) === recipeId);
+  return recipe ? { action, recipe } : null;
+}
+
+/**
+ * Text auf Meta-Feldlänge kürzen (Zeilen-Titel 24, Beschreibung 72, Button 20 Zeichen)
+ */
+function clip(text, max) {
+  const str = String(text || '').trim();
+  return str.length > max ? str.slice(0, max - 1) + '…' : str;
+}
+
+/**
+ * Rezept-Liste bzw. Follow-up-Buttons senden (Fehler nicht fatal)
+ */
+async function sendRecipeInteractive(to, recipes, lang) {
+  if (recipes.length === 0) return;
+  const l = (key) => t(lang, `wa.interactive.${key}`);
+
+  let interactive;
+  if (recipes.length === 1) {
+    const r = recipes[0];
+    interactive = {
+      type: 'button',
+      header: { type: 'text', text: clip(r.title, 60) },
+      body: { text: l('next') },
+      action: {
+        buttons: ['ingredients', 'shoplist', 'similar'].map(action => ({
+          type: 'reply', reply: { id: `${action}:${r.id}`, title: clip(l(action), 20) },
+        })),
+      },
+    };
+  } else {
+    interactive = {
+      type: 'list',
+      body: { text: l('body') },
+      action: {
+        button: clip(l('button'), 20),
+        sections: [{
+          title: clip(brandingCache.blog_name || 'Rezepte', 24),
+          rows: recipes.slice(0, WA_LIST_MAX).map(r => ({
+            id: `recipe:${r.id}`,
+            title: clip(r.title, 24),
+            description: clip(r.excerpt, 72),
+          })),
+        }],
+      },
+    };
+  }
+
   try {
-    const str = new Date().toLocaleString('en-US', { timeZone: tz, hour: 'numeric', hour12: false });
-    return parseInt(str, 10);
-  } catch(e) { return 12; }
+    await sendWhatsAppMessage(to, { type: 'interactive', interactive });
+  } catch (e) {
+    console.error('[WA Interactive] Fehler:', e.message);
+  }
+}
+
+/**
+ * "voice on" / "voice off" (+ Varianten in unseren Sprachen) → 'on' | 'off' | null
+ */
+function parseVoiceCommand(lower) {
+  lower = lower.replace(/[.!?]+$/, ''); // Transkripte enden oft mit Punkt
+  const on = ['voice on','audio on','audio an','sprachnachrichten an','voix on','voz on','voz sim','áudio on','audio sim'];
+  const off = ['voice off','audio off','audio aus','sprachnachrichten aus','voix off','voz off','voz não','áudio off','audio não'];
+  if (on.includes(lower)) return 'on';
+  if (off.includes(lower)) return 'off';
+  return null;
+}
+
+/**
+ * Timezone aus Telefon-Vorwahl (lib/phone.js, inkl. Area Codes) → sendet Broadcasts zur Ortszeit
+ */
+function getTimezoneFromPhone(phone) {
+  return timezoneForPhone(phone);
+}
+
+/**
+ * Aktuelle Ortszeit in tz → { hour, minute }
+ */
+function getLocalTime(tz) {
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone: tz, hour: 'numeric', minute: 'numeric', hour12: false })
+      .formatToParts(new Date());
+    const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+    return { hour: get('hour') % 24, minute: get('minute') };
+  } catch(e) { return { hour: 12, minute: 0 }; }
+}
+
+// ─── SENDEFENSTER (Ruhezeiten) ───────────────────────────
+// "8-21" → { start: 8, end: 21 } = 8:00 bis 21:59 Ortszeit.
+// Über Mitternacht geht auch ("20-2").
+
+function parseSendWindow(str) {
+  const m = String(str || '').trim().match(/^(\d{1,2})\s*-\s*(\d{1,2})$/);
+  if (!m) return null;
+  const start = parseInt(m[1], 10), end = parseInt(m[2], 10);
+  return start < 24 && end < 24 ? { start, end } : null;
+}
+
+/**
+ * "weekly_recipes=8-21,weekly_affiliate=10-20" → { typ: window|null }
+ */
+function parseSendWindows(str) {
+  const out = {};
+  for (const entry of str.split(',')) {
+    const [type, range] = entry.split('=').map(s => s.trim());
+    if (type) out[type] = parseSendWindow(range);
+  }
+  return out;
+}
+
+function inSendWindow(hour, { start, end }) {
+  return start <= end ? hour >= start && hour <= end : hour >= start || hour <= end;
+}
+
+/**
+ * Zeitpunkt (ms) des nächsten Fensterbeginns ab jetzt
+ * (Sommerzeit-Sprünge: checkSendWindow verschiebt beim Zustellen ggf. erneut)
+ */
+function nextWindowStart(hour, minute, { start }) {
+  const hoursUntil = (start - hour + 24) % 24 || 24;
+  return Math.floor(Date.now() / 60000) * 60000 + hoursUntil * 3600000 - minute * 60000;
 }
 
 /**
@@ -943,21 +1822,8 @@ function buildRecipeBroadcast(recipes, lang, botName, subscriberName) {
   const firstName = subscriberName ? subscriberName.split(' ')[0] : '';
 
   // Persönliche Begrüßung mit Subscriber-Name wenn vorhanden
-  const intros = {
-    de: `Hey${firstName ? ' ' + firstName : ' Liebes'}! 💕 Hier ist ${bot} mit frischen Rezept-Ideen für dich:`,
-    en: `Hey${firstName ? ' ' + firstName : ' lovely'}! 💕 It's ${bot} with fresh recipe ideas for you:`,
-    fr: `Coucou${firstName ? ' ' + firstName : ' ma belle'} ! 💕 C'est ${bot} avec de nouvelles idées :`,
-    es: `¡Hola${firstName ? ' ' + firstName : ' guapa'}! 💕 Soy ${bot} con ideas frescas de recetas:`,
-  };
-
-  const footers = {
-    de: `\n💬 _Antworte einfach mit einer Nummer für Details!_\n\n_"stop" zum Abmelden_`,
-    en: `\n💬 _Reply with a number for details!_\n\n_"stop" to unsubscribe_`,
-    fr: `\n💬 _Répondez avec un numéro pour les détails !_\n\n_"stop" pour se désabonner_`,
-    es: `\n💬 _Responde con un número para detalles!_\n\n_"stop" para cancelar_`,
-  };
-
-  let msg = (intros[lang] || intros.en) + '\n\n';
+  const greetName = firstName || t(lang, 'broadcast.default_name');
+  let msg = t(lang, 'broadcast.intro', { name: greetName, bot }) + '\n\n';
 
   recipes.forEach((r, i) => {
     msg += `*${i + 1}. ${r.title}*\n`;
@@ -966,10 +1832,102 @@ function buildRecipeBroadcast(recipes, lang, botName, subscriberName) {
     msg += '\n';
   });
 
-  msg += (footers[lang] || footers.en);
+  msg += `\n${t(lang, 'broadcast.reply_hint')}\n\n_${t(lang, 'broadcast.stop_hint')}_`;
   return msg;
 }
 
+// ─── ANTWORTEN AUF BROADCASTS ("2" → Rezept Nr. 2) ──────
+// Der Broadcast sagt "Antworte mit einer Nummer für Details!" → die
+// nummerierten Rezepte werden in der Conversation gespeichert und eine
+// Antwort innerhalb von WA_BROADCAST_REPLY_WINDOW darauf aufgelöst – aber NUR,
+// solange der Broadcast die letzte Bot-Nachricht ist ("2" auf "Für wie viele
+// Personen?" ist keine Rezeptwahl). Nach der ersten Wahl ist er erledigt.
+const WA_BROADCAST_REPLY_WINDOW = 24 * 60 * 60 * 1000; // = WA_HISTORY_TTL
+
+// Ordinalzahlen ("die zweite", "the second one", "la segunda") → Index
+const ORDINALS = [
+  ['first', 'erste', 'ersten', 'erster', 'erstes', 'premier', 'premiere', 'primero', 'primera', 'primer', 'primeiro', 'primeira'],
+  ['second', 'zweite', 'zweiten', 'zweiter', 'zweites', 'deuxieme', 'seconde', 'segundo', 'segunda'],
+  ['third', 'dritte', 'dritten', 'dritter', 'drittes', 'troisieme', 'tercero', 'tercera', 'tercer', 'terceiro', 'terceira'],
+  ['fourth', 'vierte', 'vierten', 'vierter', 'viertes', 'quatrieme', 'cuarto', 'cuarta', 'quarto', 'quarta'],
+  ['fifth', 'funfte', 'funften', 'funfter', 'funftes', 'cinquieme', 'quinto', 'quinta'],
+];
+// Zahlwörter nur als KOMPLETTE Nachricht ("zwei"), sonst zu mehrdeutig ("one with chicken")
+const CARDINALS = [
+  ['one', 'eins', 'un', 'une', 'uno', 'una', 'um', 'uma'],
+  ['two', 'zwei', 'deux', 'dos', 'dois', 'duas'],
+  ['three', 'drei', 'trois', 'tres'],
+  ['four', 'vier', 'quatre', 'cuatro', 'quatro'],
+  ['five', 'funf', 'cinq', 'cinco'],
+];
+
+/**
+ * Nummer aus einer kurzen Antwort lesen → 1-basiert oder null
+ */
+function parseChoiceNumber(text) {
+  const norm = String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/ß/g, 'ss').replace(/[^a-z0-9# ]+/g, ' ').trim();
+  if (!norm || norm.split(/\s+/).length > 5) return null; // Lange Nachrichten = normale Frage
+
+  const digit = norm.match(/^(?:#|nr|no|nummer|number|numero)?\s*(\d{1,2})$/) || norm.match(/(?:^|\s)(?:#|nr|no|nummer|number|numero)\s*(\d{1,2})(?:\s|$)/);
+  if (digit) return parseInt(digit[1], 10);
+
+  const words = norm.split(/\s+/);
+  const ord = ORDINALS.findIndex(list => words.some(w => list.includes(w)));
+  if (ord !== -1) return ord + 1;
+  const card = CARDINALS.findIndex(list => list.includes(norm));
+  return card !== -1 ? card + 1 : null;
+}
+
+/**
+ * Broadcast in der Conversation des Empfängers speichern
+ */
+function rememberBroadcast(phone, name, recipes, lang, text) {
+  const conv = getWaConversation(phone, name);
+  conv.ts = Date.now();
+  conv.lastBroadcast = {
+    ts: Date.now(),
+    lang,
+    text, // Erkennung "Broadcast ist noch die letzte Bot-Nachricht"
+    recipes: recipes.map(r => ({ id: r.id, title: r.title || '', url: r.url || '', excerpt: r.excerpt || '' })),
+  };
+  // Auch in die History → die AI weiß worauf sich Folgefragen beziehen
+  conv.msgs.push({ role: 'assistant', content: text });
+  if (conv.msgs.length > WA_HISTORY_MAX) conv.msgs = conv.msgs.slice(-WA_HISTORY_MAX);
+}
+
+/**
+ * Antwort auf den letzten Broadcast auflösen → { index, item, recipe } oder null
+ * recipe = passender Eintrag aus recipesCache (für Rezept-Kontext + Buttons)
+ */
+function resolveBroadcastChoice(conv, text) {
+  const bc = conv.lastBroadcast;
+  if (!bc) return null;
+  const lastBot = [...conv.msgs].reverse().find(m => m.role === 'assistant');
+  if (Date.now() - bc.ts > WA_BROADCAST_REPLY_WINDOW || !lastBot || lastBot.content !== bc.text) {
+    delete conv.lastBroadcast; // Abgelaufen oder Gespräch ging weiter
+    return null;
+  }
+  const n = parseChoiceNumber(text);
+  if (!n || n < 1 || n > bc.recipes.length) return null;
+  const item = bc.recipes[n - 1];
+  const recipe = recipesCache.find(r => (item.id && r.id === item.id) || (item.url && urlPath(r.url) === urlPath(item.url))) || null;
+  return { index: n, item, recipe };
+}
+
+/**
+ * Detail-Nachricht für das gewählte Broadcast-Rezept
+ */
+function buildBroadcastChoiceMsg({ index, item, recipe }, lang) {
+  const title = recipe?.title || item.title;
+  const excerpt = recipe?.excerpt || item.excerpt;
+  const url = recipe?.url || item.url;
+  let msg = `*${index}. ${title}*\n`;
+  if (excerpt) msg += `${excerpt}\n`;
+  if (url) msg += `👉 ${url}\n`;
+  return msg + `\n${t(lang, 'broadcast.choice_outro')}`;
+}
+
 /**
  * Fixiertes Produkt als Message formatieren
  */
@@ -979,31 +1937,95 @@ function buildPinnedProductMsg(pinned, lang) {
   const parts = first.split('|').map(s=>s.trim());
   const name = parts[0] || '';
   const link = parts[1] || '';
-  const intros = {
-    de:`💡 *Küchentipp der Woche:* ${name}`,
-    en:`💡 *Kitchen tip of the week:* ${name}`,
-    fr:`💡 *Astuce cuisine de la semaine :* ${name}`,
-    es:`💡 *Consejo de cocina de la semana:* ${name}`,
-  };
-  let msg = intros[lang]||intros.en;
+  let msg = t(lang, 'broadcast.tip_of_week', { name });
   if (link) msg += `\n👉 ${link}`;
   return msg;
 }
 
 /**
- * Meta Cloud API: Nachricht senden
+ * Meta Cloud API: Media-Datei herunterladen (Sprachnachrichten etc.)
+ * Schritt 1: GET /{media-id} → temporäre URL, Schritt 2: URL mit Token laden
+ */
+async function downloadWhatsAppMedia(mediaId) {
+  if (!META_WA_TOKEN) throw new Error('META_WA_TOKEN fehlt');
+  const auth = { 'Authorization': `Bearer ${META_WA_TOKEN}` };
+
+  const metaRes = await fetch(`${META_GRAPH_URL}/${mediaId}`, { headers: auth, timeout: 10000 });
+  if (!metaRes.ok) throw new Error(`Meta Media ${metaRes.status}: ${await metaRes.text()}`);
+  const media = await metaRes.json();
+
+  const fileRes = await fetch(media.url, { headers: auth, timeout: 20000, size: 16 * 1024 * 1024 });
+  if (!fileRes.ok) throw new Error(`Meta Media Download ${fileRes.status}`);
+  return { buffer: await fileRes.buffer(), mimeType: media.mime_type || 'audio/ogg' };
+}
+
+/**
+ * WhatsApp-Sprachnachricht transkribieren → Text ('' wenn nichts erkannt)
+ */
+async function transcribeWhatsAppAudio(audio, lang) {
+  if (!audio?.id) throw new Error('Audio ohne Media-ID');
+  const { buffer, mimeType } = await downloadWhatsAppMedia(audio.id);
+  return transcriber.transcribe(buffer, { mimeType: audio.mime_type || mimeType, lang });
+}
+
+/**
+ * Meta Cloud API: Text-Nachricht senden
  */
 async function sendWhatsApp(to, text) {
+  // WhatsApp max 4096 Zeichen
+  const msg = text.slice(0, 4000);
+  return sendWhatsAppMessage(to, { type: 'text', text: { body: msg } });
+}
+
+/**
+ * Meta Cloud API: Antwort zusätzlich als Sprachnachricht senden
+ * TTS (lib/tts.js) → Media Upload → audio-Nachricht. Fehler sind nicht fatal
+ * (die Text-Antwort ist bereits raus).
+ */
+async function sendWhatsAppVoice(to, text, lang) {
+  const provider = tts.available();
+  if (!provider) return console.error('[WA Voice] Kein TTS-Provider konfiguriert');
+  const speech = toSpeechText(text);
+  if (!speech) return;
+  try {
+    const audio = await tts.synthesize(speech, { provider, lang });
+    const mediaId = await uploadWhatsAppMedia(audio.buffer, audio.contentType, 'reply.mp3');
+    await sendWhatsAppMessage(to, { type: 'audio', audio: { id: mediaId } });
+    trackUsage(voiceChatStats);
+  } catch (e) {
+    console.error('[WA Voice] Fehler:', e.detail || e.message);
+  }
+}
+
+/**
+ * Meta Cloud API: Datei hochladen → Media-ID (gültig 30 Tage)
+ */
+async function uploadWhatsAppMedia(buffer, contentType, filename) {
+  const { body, contentType: multipartType } = buildMultipart(
+    { messaging_product: 'whatsapp', type: contentType },
+    [{ name: 'file', filename, contentType, data: buffer }]
+  );
+  const res = await fetch(`${META_GRAPH_URL}/${META_WA_PHONE_ID}/media`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${META_WA_TOKEN}`, 'Content-Type': multipartType },
+    body,
+    timeout: 20000,
+  });
+  if (!res.ok) throw new Error(`Meta Media Upload ${res.status}: ${await res.text()}`);
+  return (await res.json()).id;
+}
+
+/**
+ * Meta Cloud API: beliebige Nachricht senden (text, audio, ...)
+ */
+async function sendWhatsAppMessage(to, payload) {
   if (!META_WA_TOKEN || !META_WA_PHONE_ID) {
     console.error('[WA] Not configured: missing TOKEN or PHONE_ID');
     return;
   }
 
-  // WhatsApp max 4096 Zeichen
-  const msg = text.slice(0, 4000);
-
   const res = await fetch(
-    `https://graph.facebook.com/v21.0/${META_WA_PHONE_ID}/messages`,
+    `${META_GRAPH_URL}/${META_WA_PHONE_ID}/messages`,
     {
       method: 'POST',
       headers: {
@@ -1013,61 +2035,330 @@ async function sendWhatsApp(to, text) {
       body: JSON.stringify({
         messaging_product: 'whatsapp',
         to: to,
-        type: 'text',
-        text: { body: msg },
+        ...payload,
       }),
     }
   );
 
   if (!res.ok) {
     const err = await res.text();
-    throw new Error(`Meta WA API ${res.status}: ${err}`);
+    // status + Meta-Fehlercode mitgeben → Broadcast-Queue erkennt Rate-Limits (429/131056)
+    let code;
+    try { code = JSON.parse(err).error?.code; } catch (e) { /* kein JSON */ }
+    throw Object.assign(new Error(`Meta WA API ${res.status}: ${err}`), { status: res.status, code });
   }
-  return res.json();
+  const data = await res.json();
+  // Ausgehende ID merken → Status-Callbacks (delivered/read/failed) zuordnen
+  const wamid = data.messages?.[0]?.id;
+  if (wamid) {
+    waMessageStatus.set(wamid, { status: 'accepted', recipient: to, ts: Date.now() });
+    trackDelivery('accepted');
+  }
+  return data;
 }
 
 /**
- * Sprache aus Telefon-Vorwahl erkennen
+ * Sprache aus Telefon-Vorwahl erkennen (lib/phone.js)
  */
 function detectLangFromPhone(phone) {
-  const clean = (phone||'').replace(/\D/g,'');
-  const map = {
-    '49':'de','43':'de','41':'de',
-    '1':'en','44':'en','61':'en',
-    '90':'en', // Türkei → Englisch als Fallback
-    '966':'en','971':'en','20':'en','212':'en','213':'en','216':'en', // Arab. Länder → Englisch
-    '33':'fr','32':'fr',
-    '34':'es','52':'es','54':'es',
-    '55':'pt','351':'pt', // Portugiesisch → Portugiesisch
-    '39':'en','31':'en',
-    '81':'en','82':'en','86':'en',
-    '91':'en','62':'en','66':'en',
-  };
-  for (const len of [3,2,1]) {
-    const pre = clean.substring(0, len);
-    if (map[pre]) return map[pre];
+  return langForPhone(phone);
+}
+
+/**
+ * Spracherkennung aus Text (n-Gramm-Modell, lib/langid.js)
+ * → null wenn unter LANGID_MIN_CONFIDENCE (kurze Texte, "ok", Zahlen, Emojis)
+ * → null wenn schon eine Sprache bekannt ist und der Text kurz ist:
+ *   Gerichtnamen ("Pasta Carbonara" → es) sollen sie nicht überschreiben
+ */
+function detectLang(text, knownLang) {
+  if (knownLang && String(text).trim().split(/\s+/).length <= LANGID_SHORT_WORDS) return null;
+  return detectLanguage(text, LANGID_MIN_CONFIDENCE, LANGS);
+}
+
+
+// ═══════════════════════════════════════════════════════════
+// ROUTE: POST /api/telegram – Telegram Bot (Webhook)
+// ═══════════════════════════════════════════════════════════
+// Einrichtung (einmalig):
+//   curl https://api.telegram.org/bot<TELEGRAM_BOT_TOKEN>/setWebhook \
+//     -d url=https://<railway-domain>/api/telegram -d secret_token=<TELEGRAM_WEBHOOK_SECRET>
+// Telegram schickt das secret_token als X-Telegram-Bot-Api-Secret-Token mit (lib/auth.js).
+//
+// Gleiche Assistentin wie Web/WhatsApp (Conversation Engine, Adapter 'telegram'):
+//   - [RECIPE] → eigene Nachricht mit Inline-Button zum Rezept auf SITE_URL
+//   - [SHOPLIST]/[PRODUCT] → als Text an die Antwort angehängt
+// Befehle: /start (Begrüßung), /stop (Chat beenden + Verlauf löschen),
+//          /language [<lang> aus LANGS] (ohne Argument → Auswahl-Buttons),
+//          /profile bzw. /forget (gespeichertes Profil zeigen/löschen, lib/profiles.js),
+//          /plan [Wunsch] (Essensplan zeigen bzw. anlegen, lib/mealplan.js)
+// Limit: TG_CHAT_LIMIT AI-Antworten pro Chat und Tag (Befehle frei)
+// Sprache: per /language fest gewählt → sonst Text-Erkennung → gemerkte Sprache
+//          → language_code des Telegram-Accounts → en
+const TG_MESSAGE_MAX = 4096; // Telegram-Limit pro Nachricht
+const TG_MEDIA_TYPES = ['voice', 'audio', 'photo', 'video', 'video_note', 'sticker', 'document', 'location'];
+
+app.post('/api/telegram', webhookAuth.telegram, (req, res) => {
+  // Sofort 200 (sonst stellt Telegram das Update erneut zu)
+  res.status(200).send('OK');
+  processTelegramUpdate(req.body || {}).catch(err => console.error('[TG] Error:', err.message));
+});
+
+/**
+ * Kanal-Regeln für den System-Prompt (Telegram zeigt Rezept-Karten als Buttons)
+ */
+function telegramPromptExtension({ conv, name }) {
+  const userName = conv.userName || name || '';
+  const isFirstContact = conv.msgs.filter(m => m.role === 'user').length === 1;
+  return `
+
+TELEGRAM-MODUS:
+- Du antwortest via Telegram, NICHT im Web-Chat
+- Halte Antworten KURZ (max 4-5 Sätze), kein Markdown (keine **, keine #)
+- Rezepte von unserer Seite IMMER als [RECIPE] Tag – sie erscheinen als Karte mit Button zur Website
+- Einkaufslisten als [SHOPLIST] Tag
+- Die Userin heißt: ${userName || 'unbekannt'}
+${isFirstContact ? '- ERSTER KONTAKT: Begrüße sie herzlich und frage was sie kochen möchte.' : '- WIEDERKEHRENDE USERIN: Überspringe die Vorstellung, beziehe dich auf den bisherigen Verlauf.'}`;
+}
+
+/**
+ * blocks[] → Telegram-Nachrichten: erst der Text (inkl. Listen/Produkte),
+ * dann pro Rezept eine Karte mit URL-Button
+ */
+function renderTelegram(blocks, lang) {
+  const parts = [];
+  const cards = [];
+  for (const b of blocks) {
+    if (b.type === 'text') parts.push(b.text);
+    else if (b.type === 'shoplist') {
+      // Essensplan-Listen kommen nach Abteilung gruppiert (sections)
+      const list = b.data.sections
+        ? b.data.sections.map(s => `${s.name}:\n${s.items.map(i => `• ${i}`).join('\n')}`).join('\n\n')
+        : b.data.items.map(i => `• ${i}`).join('\n');
+      parts.push(`\n🛒 ${b.data.title || ''}\n${list}\n`);
+    } else if (b.type === 'product') {
+      parts.push(`\n${b.data.emoji} ${b.data.name}${b.data.reason ? ` – ${b.data.reason}` : ''}${b.data.url ? `\n${b.data.url}` : ''}\n`);
+    } else if (b.type === 'recipe') {
+      const d = b.data;
+      cards.push({
+        text: [`${d.emoji} ${d.title}`, d.desc, [d.time, d.difficulty].filter(Boolean).join(' · ')].filter(Boolean).join('\n'),
+        reply_markup: { inline_keyboard: [[{ text: t(lang, 'tg.open_recipe'), url: d.url }]] },
+      });
+    }
   }
-  return 'en';
+  const text = parts.join('').replace(/\n{3,}/g, '\n\n').trim().slice(0, TG_MESSAGE_MAX);
+  return text ? [{ text }, ...cards] : cards;
 }
 
+engine.register({
+  name: 'telegram',
+  params: llm.params('telegram'),
+  contextMessages: 12,
+  historyMax: TG_HISTORY_MAX,
+  promptExtension: telegramPromptExtension,
+  // Verlauf behält die Tags (wie Web) → die AI sieht welche Karten sie schon gezeigt hat
+  render: (blocks, ctx) => ({ text: blocksToText(blocks), messages: renderTelegram(blocks, ctx.lang) }),
+});
+
 /**
- * Einfache Spracherkennung aus Text
+ * Ein Telegram-Update (Nachricht oder Button-Klick) verarbeiten
  */
-function detectLang(text) {
-  const t = (text || '').toLowerCase();
-  if (/[äöüß]|hallo|bitte|danke|rezept/i.test(t)) return 'de';
-  if (/bonjour|recette|merci|[éèêàâùûçœ]/i.test(t)) return 'fr';
-  if (/hola|receta|gracias|[ñ¿¡]/i.test(t)) return 'es';
-  return 'en';
+async function processTelegramUpdate(update) {
+  if (update.callback_query) return handleTelegramCallback(update.callback_query);
+  const msg = update.message;
+  if (!msg?.chat) return; // edited_message, channel_post etc. ignorieren
+
+  const chatId = String(msg.chat.id);
+  const name = msg.from?.first_name || '';
+  let userText = (msg.text || msg.caption || '').slice(0, 2000);
+  const synthetic = !userText; // Platzhalter → keine Spracherkennung
+  if (!userText) {
+    const type = TG_MEDIA_TYPES.find(k => msg[k]) || 'unknown';
+    userText = '[Nachricht vom Typ: ' + type + ']';
+  }
+
+  const command = parseTelegramCommand(userText);
+  if (command === 'stop') {
+    const conv = tgConversations.get(chatId);
+    const lang = conv?.userLang || telegramAccountLang(msg.from);
+    tgConversations.delete(chatId);
+    await sendTelegram(chatId, t(lang, 'tg.stopped'));
+    return;
+  }
+
+  const conv = getTgConversation(chatId, name);
+  conv.ts = Date.now();
+  if (name && !conv.userName) conv.userName = name;
+
+  if (command === 'start' || command === 'help') {
+    const lang = conv.userLang || telegramAccountLang(msg.from);
+    await sendTelegram(chatId, t(lang, 'tg.welcome', { bot: brandingCache.bot_name || 'Lily' }));
+    return;
+  }
+  // /profile, /forget oder "Was weißt du über mich?" / "Vergiss mich"
+  const profileCmd = { profile: 'show', forget: 'forget' }[command] || (!command && parseProfileCommand(userText));
+  if (profileCmd) {
+    const lang = conv.userLang || (!synthetic && detectLang(userText)) || telegramAccountLang(msg.from);
+    await sendTelegram(chatId, runProfileCommand(profileCmd, `tg:${chatId}`, conv, lang));
+    return;
+  }
+  // /plan (zeigen bzw. neu anlegen) oder "Plane meine Woche", "entferne 2", ...
+  const planCmd = command === 'plan'
+    ? (conv.mealPlan ? { action: 'show' } : { action: 'create', count: PLAN_DEFAULT, query: userText.split(/\s+/).slice(1).join(' '), servings: null })
+    : !command && parsePlanCommand(userText, !!conv.mealPlan, detectServings(userText));
+  if (planCmd) {
+    const lang = conv.userLang || (!synthetic && detectLang(userText)) || telegramAccountLang(msg.from);
+    const blocks = await runPlanCommand(planCmd, { conv, profileKey: `tg:${chatId}`, lang });
+    conv.msgs.push({ role: 'user', content: userText }, { role: 'assistant', content: blocksToText(blocks) });
+    if (conv.msgs.length > TG_HISTORY_MAX) conv.msgs = conv.msgs.slice(-TG_HISTORY_MAX);
+    for (const m of renderTelegram(blocks, lang)) await sendTelegram(chatId, m.text, m.reply_markup);
+    return;
+  }
+  if (command === 'language') {
+    const arg = userText.split(/\s+/)[1]?.toLowerCase();
+    if (LANGS.includes(arg)) return setTelegramLang(chatId, conv, arg);
+    const lang = conv.userLang || telegramAccountLang(msg.from);
+    await sendTelegram(chatId, t(lang, 'tg.language_prompt'), languageKeyboard());
+    return;
+  }
+
+  // Tageslimit wie bei WhatsApp (Befehle oben zählen nicht, sie kosten keinen AI-Call)
+  if (overDailyLimit(conv, TG_CHAT_LIMIT)) {
+    const lang = conv.userLang || telegramAccountLang(msg.from);
+    await sendTelegram(chatId, t(lang, 'wa.limit_reached', { limit: TG_CHAT_LIMIT }));
+    return;
+  }
+
+  conv.msgs.push({ role: 'user', content: userText });
+  if (conv.msgs.length > TG_HISTORY_MAX) conv.msgs = conv.msgs.slice(-TG_HISTORY_MAX);
+
+  // Sprache: feste Wahl (/language) gewinnt, sonst Erkennung wie bei WhatsApp
+  let lang = conv.userLang;
+  if (!conv.langFixed) {
+    const textLang = synthetic ? null : detectLang(userText, conv.userLang);
+    if (textLang) conv.userLang = textLang;
+    lang = textLang || conv.userLang || telegramAccountLang(msg.from);
+  }
+
+  callTelegram('sendChatAction', { chat_id: chatId, action: 'typing' }).catch(() => {});
+  const { messages } = await engine.reply('telegram', {
+    conv, lang, name, profileKey: `tg:${chatId}`, pageTitle: '', isRecipe: false,
+  });
+  for (const m of messages) await sendTelegram(chatId, m.text, m.reply_markup);
+  trackUsage(tgChatStats);
 }
 
+/**
+ * Inline-Button geklickt (callback_data "lang:<code>" aus languageKeyboard())
+ */
+async function handleTelegramCallback(query) {
+  // Telegram zeigt sonst einen Lade-Spinner am Button
+  await callTelegram('answerCallbackQuery', { callback_query_id: query.id }).catch(() => {});
+  const chatId = query.message?.chat?.id;
+  const [action, value] = String(query.data || '').split(':');
+  if (!chatId || action !== 'lang' || !LANGS.includes(value)) return;
+  const conv = getTgConversation(String(chatId), query.from?.first_name || '');
+  conv.ts = Date.now();
+  await setTelegramLang(String(chatId), conv, value);
+}
+
+async function setTelegramLang(chatId, conv, lang) {
+  conv.userLang = lang;
+  conv.langFixed = true; // Erkennung aus Text ab jetzt aus
+  await sendTelegram(chatId, t(lang, 'tg.language_set'));
+}
+
+/**
+ * "/start", "/language fr", "/stop@MeinBot" → 'start' | 'language' | 'stop' | ... | null
+ */
+function parseTelegramCommand(text) {
+  const m = /^\/([a-z_]+)(?:@\w+)?(?:\s|$)/i.exec(text.trim());
+  return m ? m[1].toLowerCase() : null;
+}
+
+/**
+ * Sprache des Telegram-Accounts ("pt-br" → "pt"), sonst en
+ */
+function telegramAccountLang(from) {
+  const code = String(from?.language_code || '').slice(0, 2).toLowerCase();
+  return LANGS.includes(code) ? code : 'en';
+}
+
+/**
+ * Auswahl-Buttons für /language (Beschriftung jeweils in der eigenen Sprache)
+ */
+function languageKeyboard() {
+  const buttons = LANGS.map(l => ({ text: t(l, 'language.name'), callback_data: `lang:${l}` }));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Telegram-Conversation holen oder anlegen
+ */
+function getTgConversation(chatId, name) {
+  if (!tgConversations.has(chatId)) {
+    tgConversations.set(chatId, { msgs: [], ts: Date.now(), userName: name || '', userLang: '', langFixed: false });
+  }
+  return tgConversations.get(chatId);
+}
+
+/**
+ * Bot API aufrufen. Fehler mit .status + .code (wie sendWhatsAppMessage)
+ */
+async function callTelegram(method, payload) {
+  if (!TELEGRAM_BOT_TOKEN) throw new Error('TELEGRAM_BOT_TOKEN fehlt');
+  const res = await fetch(`${TELEGRAM_API_URL}/bot${TELEGRAM_BOT_TOKEN}/${method}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    timeout: 10000,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.ok) {
+    const err = new Error(`Telegram ${method} ${res.status}: ${data.description || 'unbekannter Fehler'}`);
+    err.status = res.status;
+    err.code = data.error_code;
+    throw err;
+  }
+  return data.result;
+}
+
+async function sendTelegram(chatId, text, replyMarkup) {
+  const payload = { chat_id: chatId, text, disable_web_page_preview: true };
+  if (replyMarkup) payload.reply_markup = replyMarkup;
+  return callTelegram('sendMessage', payload);
+}
 
 // ═══════════════════════════════════════════════════════════
-// TRACKING STATS – Web, WhatsApp, Voice
+// TRACKING STATS – Web, WhatsApp, Telegram, Voice
 // ═══════════════════════════════════════════════════════════
 const webChatStats = { today: 0, daily: {}, lastActive: 0 };
 const waChatStats = { today: 0, daily: {}, lastActive: 0 };
+const tgChatStats = { today: 0, daily: {}, lastActive: 0 };
 const voiceChatStats = { today: 0, daily: {}, lastActive: 0 };
+// WhatsApp Zustellung: YYYY-MM-DD → { accepted, sent, delivered, read, failed }
+const waDeliveryStats = { daily: {} };
+
+function trackDelivery(status) {
+  const today = new Date().toISOString().slice(0, 10);
+  const day = waDeliveryStats.daily[today] || (waDeliveryStats.daily[today] = {});
+  day[status] = (day[status] || 0) + 1;
+  const keys = Object.keys(waDeliveryStats.daily).sort();
+  if (keys.length > 60) keys.slice(0, keys.length - 60).forEach(k => delete waDeliveryStats.daily[k]);
+}
+
+function getDeliveryRange(days) {
+  const out = { accepted: 0, sent: 0, delivered: 0, read: 0, failed: 0 };
+  const now = new Date();
+  for (let i = 0; i < days; i++) {
+    const d = new Date(now);
+    d.setDate(d.getDate() - i);
+    const day = waDeliveryStats.daily[d.toISOString().slice(0, 10)] || {};
+    for (const k of Object.keys(out)) out[k] += day[k] || 0;
+  }
+  return out;
+}
 
 function trackUsage(statsObj) {
   const today = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
@@ -1094,8 +2385,8 @@ function getStatsRange(statsObj, days) {
   return total;
 }
 
-// Stats API für Admin-Dashboard
-app.get('/api/stats', (req, res) => {
+// Stats API für Admin-Dashboard (requireAdmin)
+app.get('/api/stats', requireAdmin, (req, res) => {
   res.json({
     web: {
       today: getStatsRange(webChatStats, 1),
@@ -1107,6 +2398,16 @@ app.get('/api/stats', (req, res) => {
       week: getStatsRange(waChatStats, 7),
       month: getStatsRange(waChatStats, 30),
       subscribers: waConversations.size,
+      delivery: {
+        today: getDeliveryRange(1),
+        week: getDeliveryRange(7),
+      },
+    },
+    telegram: {
+      today: getStatsRange(tgChatStats, 1),
+      week: getStatsRange(tgChatStats, 7),
+      month: getStatsRange(tgChatStats, 30),
+      chats: tgConversations.size,
     },
     voice: {
       today: getStatsRange(voiceChatStats, 1),
@@ -1129,19 +2430,75 @@ app.get('/api/health', async (req, res) => {
     version: '4.0.0',
     whatsapp: META_WA_TOKEN ? 'configured' : 'not configured',
     wa_conversations: waConversations.size,
+    telegram: TELEGRAM_BOT_TOKEN ? 'configured' : 'not configured',
+    tg_conversations: tgConversations.size,
+    recipe_details: recipeDetails.size,
   });
 });
 
 // ═══════════════════════════════════════════════════════════
-// ROUTE: Rezepte-Liste (Debug)
+// ROUTE: Rezepte-Liste (Debug, requireAdmin)
 // ═══════════════════════════════════════════════════════════
-app.get('/api/recipes', async (req, res) => {
+app.get('/api/recipes', requireAdmin, async (req, res) => {
   const recipes = await getRecipes();
   res.json({ count: recipes.length, recipes: recipes.slice(0, 10) });
 });
 
+// ═══════════════════════════════════════════════════════════
+// PERSISTENZ – Snapshots laden/speichern (lib/storage.js)
+// ═══════════════════════════════════════════════════════════
+// Alle Maps bleiben In-Memory, werden aber alle 30s (nur bei Änderung)
+// in den Storage geschrieben. Beim Start wird VOR app.listen() geladen.
+// Abgelaufene Einträge (WEB_SESSION_TTL, WA_HISTORY_TTL) werden nicht geladen.
+const storage = createStorage({ driver: STORAGE_DRIVER, dir: DATA_DIR, redisUrl: REDIS_URL });
+const persistence = new Persistence(storage);
+persistence.trackMap('webSessions', webSessions, WEB_SESSION_TTL);
+persistence.trackMap('waConversations', waConversations, WA_HISTORY_TTL);
+persistence.trackMap('tgConversations', tgConversations, TG_HISTORY_TTL);
+persistence.trackMap('userProfiles', profiles.profiles, PROFILE_TTL);
+persistence.trackMap('waOptOuts', waOptOuts, 0);
+persistence.trackMap('rateLimits', rateLimits, RATE_WINDOW * 5);
+persistence.trackMap('waProcessedIds', waProcessedIds, WA_DEDUPE_TTL);
+persistence.trackMap('waMessageStatus', waMessageStatus, WA_STATUS_TTL);
+persistence.track('stats', {
+  dump: () => ({ web: webChatStats, whatsapp: waChatStats, telegram: tgChatStats, voice: voiceChatStats, waDelivery: waDeliveryStats }),
+  load: (data) => {
+    Object.assign(webChatStats, data.web || {});
+    Object.assign(waChatStats, data.whatsapp || {});
+    Object.assign(tgChatStats, data.telegram || {});
+    Object.assign(voiceChatStats, data.voice || {});
+    Object.assign(waDeliveryStats, data.waDelivery || {});
+  },
+});
+
+// Broadcast-Jobs schreiben bei jedem Statuswechsel direkt in den Storage
+broadcastQueue = new BroadcastQueue({
+  storage,
+  handlers: broadcastHandlers,
+  rate: BROADCAST_RATE,
+  maxAttempts: BROADCAST_MAX_ATTEMPTS,
+});
+
+// Railway schickt SIGTERM vor dem Deploy → letzten Stand sichern
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, async () => {
+    console.log(`[Storage] ${signal} – speichere Snapshot...`);
+    await persistence.stop();
+    process.exit(0);
+  });
+}
+
 // ─── START ───────────────────────────────────────────────
-app.listen(PORT, () => {
+persistence.restore().then(async () => {
+  persistence.start(STORAGE_FLUSH_INTERVAL);
+  console.log(`[Storage] ${storage.name}: ${webSessions.size} Web-Sessions, ${waConversations.size} WA-Chats, ${tgConversations.size} Telegram-Chats geladen`);
+  // Offene Broadcasts: fortsetzen (BROADCAST_RESUME=1) oder als "interrupted" markieren
+  await broadcastQueue.load({ resume: BROADCAST_RESUME })
+    .catch(e => console.error('[Broadcast] Jobs nicht ladbar:', e.message));
+  app.listen(PORT, onListen);
+});
+
+function onListen() {
   console.log(`
   ┌──────────────────────────────────────┐
   │  🍽️  My Dish Recipes Chatbot v4.3.3  │
@@ -1149,11 +2506,15 @@ app.listen(PORT, () => {
   │  API:  ${WP_API.slice(0, 32)}...  │
   └──────────────────────────────────────┘
   ENV-Status:
-    DeepSeek:    ${DEEPSEEK_KEY ? '✅ Key gesetzt' : '❌ FEHLT! (DEEPSEEK_API_KEY oder DEEPSEEK_KEY)'}
+    LLM:         ${llm.providers.length ? `✅ ${llm.providers.join(' → ')}` : '❌ FEHLT! (DEEPSEEK_API_KEY, OPENAI_API_KEY oder LOCAL_LLM_URL)'}
     ElevenLabs:  ${ELEVENLABS_KEY ? '✅ Key gesetzt' : '⚠️  Nicht gesetzt (Voice-Fallback: Browser)'}
     WA Token:    ${META_WA_TOKEN ? '✅ Token gesetzt' : '❌ FEHLT! (META_WA_TOKEN oder WA_TOKEN)'}
     WA Phone ID: ${META_WA_PHONE_ID ? '✅ ID gesetzt' : '❌ FEHLT! (META_WA_PHONE_ID oder WA_PHONE_ID)'}
     WA Verify:   ${META_WA_VERIFY}
+    WA Signatur: ${META_APP_SECRET ? '✅ App-Secret gesetzt' : '❌ FEHLT! (META_APP_SECRET) – Meta-Webhooks werden abgelehnt'}
+    Telegram:    ${TELEGRAM_BOT_TOKEN ? (TELEGRAM_WEBHOOK_SECRET ? '✅ Bot + Secret gesetzt' : '❌ FEHLT! (TELEGRAM_WEBHOOK_SECRET) – Updates werden abgelehnt') : '⚠️  Nicht gesetzt (TELEGRAM_BOT_TOKEN)'}
     Site URL:    ${SITE_URL}
+    Admin-Auth:  ${ADMIN_SECRET || ADMIN_TOKEN ? '✅ konfiguriert' : '❌ FEHLT! (ADMIN_SECRET oder ADMIN_TOKEN) – Admin-Routen gesperrt'}
+    Storage:     ${storage.name}
   `);
-});
+}
@@ -0,0 +1,48 @@
+// Allergie-/Diät-Filter (lib/dietary.js): aktuelle Nachricht zählt schon vor dem Profil-Lernen
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { recipeConflicts, restrictionsFromText, withRestrictions } = require('../lib/dietary');
+
+test('Restriktionen aus der Nachricht', () => {
+  assert.deepEqual(restrictionsFromText('Ich bin allergisch gegen Nüsse, was kann ich backen?'), { diet: null, allergens: ['nuts'] });
+  assert.deepEqual(restrictionsFromText('I have a nut allergy'), { diet: null, allergens: ['nuts'] });
+  assert.deepEqual(restrictionsFromText('Habe eine Erdnussallergie'), { diet: null, allergens: ['peanuts'] });
+  assert.deepEqual(restrictionsFromText('etwas Glutenfreies? glutenfrei bitte'), { diet: null, allergens: ['gluten'] });
+  assert.deepEqual(restrictionsFromText('Ich bin Veganerin'), { diet: 'vegan', allergens: [] });
+  assert.deepEqual(restrictionsFromText('algo sin huevo'), { diet: null, allergens: ['eggs'] });
+  assert.deepEqual(restrictionsFromText('I am allergic to peanuts and eggs'), { diet: null, allergens: ['peanuts', 'eggs'] });
+  assert.deepEqual(restrictionsFromText("I'm vegetarian"), { diet: 'vegetarian', allergens: [] });
+  // Zutat ohne Allergie-Bezug ist ein Rezeptwunsch
+  assert.deepEqual(restrictionsFromText('Ich hätte gern ein Rezept mit Nüssen und Ei'), { diet: null, allergens: [] });
+});
+
+test('Kein Allergen ohne direkt angehängten Hinweis', () => {
+  const none = { diet: null, allergens: [] };
+  assert.deepEqual(restrictionsFromText('I want a peanut curry without coriander'), none);
+  assert.deepEqual(restrictionsFromText('Erdnuss-Curry ohne Koriander bitte'), none);
+  assert.deepEqual(restrictionsFromText('Kuchen mit Ei aber ohne Zucker'), none);
+  assert.deepEqual(restrictionsFromText('gluten free pasta with fish'), { diet: null, allergens: ['gluten'] });
+});
+
+test('Diät nur aus einer Aussage über sich selbst, nicht verneint', () => {
+  const none = { diet: null, allergens: [] };
+  assert.deepEqual(restrictionsFromText('ich bin nicht vegan'), none);
+  assert.deepEqual(restrictionsFromText('my friend is vegan but I am not'), none);
+  assert.deepEqual(restrictionsFromText('Was ist der Unterschied zwischen vegan und vegetarisch?'), none);
+  assert.deepEqual(restrictionsFromText('no soy vegano'), none);
+  assert.deepEqual(restrictionsFromText('vegane Rezepte bitte'), none);
+});
+
+test('Profil + Nachricht zusammenführen', () => {
+  const stored = { diet: 'vegetarian', allergens: ['milk'], household: 2 };
+  assert.deepEqual(withRestrictions(stored, 'auch allergisch gegen Sesam'), { diet: 'vegetarian', allergens: ['milk', 'sesame'], household: 2 });
+  assert.equal(withRestrictions(stored, 'was kochen wir heute?'), stored);
+  assert.deepEqual(withRestrictions(null, "I'm vegan"), { diet: 'vegan', allergens: [] });
+});
+
+test('Nussallergie schließt Erdnuss-Rezepte mit ein', () => {
+  const satay = { id: 1, allergens: ['peanuts', 'soy'], diets: [] };
+  assert.deepEqual(recipeConflicts(satay, { allergens: ['nuts'] }), [{ type: 'allergen', code: 'peanuts' }]);
+  assert.deepEqual(recipeConflicts(satay, { allergens: ['peanuts'] }), [{ type: 'allergen', code: 'peanuts' }]);
+  assert.deepEqual(recipeConflicts({ id: 2, allergens: ['nuts'] }, { allergens: ['peanuts'] }), []);
+});
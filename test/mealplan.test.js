@@ -0,0 +1,60 @@
+// Plan-Befehle (lib/mealplan.js parsePlanCommand): Aufforderungen ja, Fragen/Nebensätze nein
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePlanCommand, buildShoppingList, sectionFor, PLAN_DEFAULT } = require('../lib/mealplan');
+const { detectServings } = require('../lib/units');
+
+const parse = (text, hasPlan) => parsePlanCommand(text, hasPlan, detectServings(text));
+
+test('Plan anlegen: nur als Aufforderung am Anfang', () => {
+  assert.deepEqual(parse('Plane meine Woche mit Hähnchen!', false), { action: 'create', count: PLAN_DEFAULT, query: 'hahnchen', servings: null });
+  assert.deepEqual(parse('plan my week for 4 people', false), { action: 'create', count: PLAN_DEFAULT, query: '', servings: 4 });
+  assert.equal(parse('bitte mach mir einen Wochenplan mit Fisch', false).query, 'fisch');
+  assert.equal(parse('neuer Wochenplan bitte', true).action, 'create');
+  assert.equal(parse('What is a healthy meal plan for diabetics?', false), null);
+  assert.equal(parse('Ist das im Essensplan vegan?', false), null);
+});
+
+test('Plan zeigen: nur "mein Plan", "zeig mir den Plan", ...', () => {
+  assert.deepEqual(parse('mein Plan', true), { action: 'show' });
+  assert.deepEqual(parse('zeig mir den Plan', true), { action: 'show' });
+  assert.deepEqual(parse('show me my plan', true), { action: 'show' });
+  assert.deepEqual(parse('wochenplan', true), { action: 'show' });
+  assert.equal(parse('My plan is to bake a cake tonight', true), null);
+  assert.equal(parse('o plano é bom', true), null);
+});
+
+test('Entfernen/Tauschen: Nummer allein oder Rezept mit Plan-Wort', () => {
+  assert.deepEqual(parse('entferne 2', true), { action: 'remove', index: 2, query: '' });
+  assert.deepEqual(parse('tausche Nummer 3', true), { action: 'replace', index: 3 });
+  assert.deepEqual(parse('entferne die Lasagne aus dem Plan', true), { action: 'remove', index: null, query: 'lasagne' });
+  assert.deepEqual(parse('lösche den Plan', true), { action: 'clear' });
+  assert.equal(parse('remove 2 tablespoons sugar from the sauce', true), null);
+  assert.equal(parse('tausche 3 Eier gegen Bananen', true), null);
+  assert.equal(parse('ohne Zucker?', true), null);
+});
+
+test('Hinzufügen: nur mit Plan-Wort', () => {
+  assert.deepEqual(parse('füge Lasagne zum Plan hinzu', true), { action: 'add', query: 'lasagne' });
+  assert.deepEqual(parse('add lasagna to my plan', true), { action: 'add', query: 'lasagna' });
+  assert.deepEqual(parse('adiciona lasanha ao plano', true), { action: 'add', query: 'lasanha' });
+  assert.equal(parse('Add cheese?', true), null);
+  assert.equal(parse('nimm Butter statt Öl', true), null);
+});
+
+test('Personenzahl und Einkaufsliste', () => {
+  assert.deepEqual(parse('Plan für 4 Personen', true), { action: 'servings', servings: 4 });
+  assert.equal(parse('My plan is to cook for 4 people', true), null);
+  assert.deepEqual(parse('Einkaufsliste für den Plan', true), { action: 'shoplist' });
+  assert.equal(parse('entferne 2', false), null); // ohne Plan nichts zu ändern
+});
+
+test('Einkaufsliste: Stückzahlen grammatisch, Konserven im Vorrat', () => {
+  const items = (entries) => buildShoppingList(entries, { lang: 'en' }).sections.flatMap(s => s.items);
+  assert.deepEqual(items([{ recipe: {}, lines: ['1 egg'], factor: 2 }]), ['egg × 2']);
+  assert.deepEqual(items([{ recipe: {}, lines: ['1 egg'] }, { recipe: {}, lines: ['2 eggs'] }]), ['3 eggs']);
+  assert.deepEqual(items([{ recipe: {}, lines: ['1 Dose Kokosmilch'], factor: 2 }, { recipe: {}, lines: ['2 Dosen Kokosmilch'] }]), ['4 Dosen Kokosmilch']);
+  assert.equal(sectionFor('Dose Tomaten'), 'pantry');
+  assert.equal(sectionFor('canned tomatoes'), 'pantry');
+  assert.equal(sectionFor('Tomaten'), 'produce');
+});
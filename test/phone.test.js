@@ -0,0 +1,61 @@
+// Vorwahl → Land/Sprache/Zeitzone (lib/phone.js), v.a. Länder mit mehreren Zonen
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePhone, timezoneForPhone, langForPhone } = require('../lib/phone');
+
+test('NANP: Area Code entscheidet über Land, Sprache und Zone', () => {
+  assert.deepEqual(
+    [parsePhone('+1 514 555 0100').country, langForPhone('+15145550100'), timezoneForPhone('+15145550100')],
+    ['CA', 'fr', 'America/Toronto'],
+  );
+  assert.equal(langForPhone('+14165550100'), 'en'); // Toronto bleibt Englisch
+  assert.equal(timezoneForPhone('+13105550100'), 'America/Los_Angeles');
+  assert.equal(timezoneForPhone('+16025550100'), 'America/Phoenix');
+  assert.equal(timezoneForPhone('+12125550100'), 'America/New_York');
+  assert.deepEqual([parsePhone('+17875550100').country, langForPhone('+17875550100')], ['PR', 'es']);
+});
+
+test('Brasilien: DDD 92 → Manaus, sonst São Paulo', () => {
+  assert.equal(timezoneForPhone('5592991234567'), 'America/Manaus');
+  assert.equal(timezoneForPhone('5511991234567'), 'America/Sao_Paulo');
+  assert.equal(langForPhone('5592991234567'), 'pt');
+});
+
+test('Australien: 8 → Perth, 88 → Adelaide, Mobil → Sydney', () => {
+  assert.equal(timezoneForPhone('+61 8 9123 4567'), 'Australia/Perth');
+  assert.equal(timezoneForPhone('+61 8 8123 4567'), 'Australia/Adelaide');
+  assert.equal(timezoneForPhone('+61 412 345 678'), 'Australia/Sydney');
+});
+
+test('Mexiko: altes "1" nach der 52 wird ignoriert', () => {
+  const legacy = parsePhone('5216641234567');
+  assert.equal(legacy.national, '6641234567');
+  assert.equal(legacy.timezone, 'America/Tijuana');
+  assert.equal(timezoneForPhone('526641234567'), 'America/Tijuana');
+  assert.equal(timezoneForPhone('5215512345678'), 'America/Mexico_City');
+});
+
+test('+7: Russland vs. Kasachstan', () => {
+  assert.equal(parsePhone('+7 727 123 4567').country, 'KZ');
+  assert.equal(timezoneForPhone('+77271234567'), 'Asia/Almaty');
+  assert.equal(parsePhone('+7 495 123 4567').country, 'RU');
+  assert.equal(timezoneForPhone('+74951234567'), 'Europe/Moscow');
+  assert.equal(timezoneForPhone('+73831234567'), 'Asia/Novosibirsk');
+});
+
+test('Kanaren, Madeira, Kanalinseln', () => {
+  assert.equal(timezoneForPhone('+34 928 123 456'), 'Atlantic/Canary');
+  assert.equal(timezoneForPhone('+34 912 123 456'), 'Europe/Madrid');
+  assert.equal(timezoneForPhone('+351 291 123 456'), 'Atlantic/Madeira');
+  assert.equal(timezoneForPhone('+351 21 123 4567'), 'Europe/Lisbon');
+  assert.equal(parsePhone('+44 1481 123456').country, 'GG');
+  assert.equal(timezoneForPhone('+44 1534 123456'), 'Europe/Jersey');
+  assert.equal(timezoneForPhone('+44 20 7946 0000'), 'Europe/London');
+});
+
+test('Unbekannte oder zu kurze Nummern → Fallback', () => {
+  assert.equal(parsePhone(''), null);
+  assert.equal(parsePhone('+49'), null);
+  assert.equal(timezoneForPhone('abc'), 'Europe/Berlin');
+  assert.equal(langForPhone('', 'de'), 'de');
+});
@@ -0,0 +1,26 @@
+// Mengen skalieren/umrechnen (lib/units.js): Einheit passt zur neuen Menge, Personenzahl-Erkennung
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { adaptLine, detectServings } = require('../lib/units');
+
+test('Skalierte Menge → Einheit im passenden Singular/Plural', () => {
+  assert.equal(adaptLine('1 1/2 cups milk', { factor: 0.5, lang: 'en' }), '¾ cup milk');
+  assert.equal(adaptLine('• 2 cups flour', { factor: 0.5, lang: 'en' }), '• 1 cup flour');
+  assert.equal(adaptLine('1 cup sugar', { factor: 2, lang: 'en' }), '2 cups sugar');
+  assert.equal(adaptLine('2 Tassen Mehl', { factor: 0.5, lang: 'de' }), '1 Tasse Mehl');
+  assert.equal(adaptLine('1 pound beef', { factor: 2, lang: 'en' }), '2 lb beef');
+  // Unverändert → Originalschreibweise bleibt
+  assert.equal(adaptLine('2 Esslöffel Öl', { factor: 1, system: 'metric', lang: 'de' }), '2 Esslöffel Öl');
+  // Ohne Einheit: Nomen nicht beugen, Faktor dazuschreiben
+  assert.equal(adaptLine('1 egg', { factor: 2, lang: 'en' }), '1 egg (×2)');
+});
+
+test('Personenzahl nur als Portionsangabe', () => {
+  assert.equal(detectServings('für 4 Personen?'), 4);
+  assert.equal(detectServings('pour 6 personnes'), 6);
+  assert.equal(detectServings('Kuchen für 6, bitte'), 6);
+  assert.equal(detectServings('4 Portionen bitte'), 4);
+  assert.equal(detectServings('2 portions of rice'), null);
+  assert.equal(detectServings('2 Portionen Reis'), null);
+  assert.equal(detectServings('bake for 2 hours'), null);
+});